@@ -6,6 +6,10 @@ const express = require('express');
 const session = require('express-session');
 const path = require('path');
 const cors = require('cors');
+const database = require('../database');
+const { assignRequestId } = require('../middleware/errors');
+const { MongoSessionStore } = require('../utils/sessionStore');
+const { SESSION_MAX_AGE_MS } = require('./constants');
 
 // Create Express application instance
 const app = express();
@@ -15,6 +19,9 @@ function setupMiddleware(app) {
   // Trust proxy for secure sessions on Render
   app.set('trust proxy', 1);
 
+  // Tag each request with an ID that error responses and logs refer to
+  app.use(assignRequestId);
+
   // Enable Cross-Origin Resource Sharing for API access
   const allowedOrigins = [
     'http://localhost:3000',
@@ -41,7 +48,12 @@ function setupMiddleware(app) {
   }));
 
   // Parse JSON request bodies (for API endpoints)
-  app.use(express.json());
+  // The raw bytes are kept for verifying Paystack webhook signatures
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
 
   // Parse URL-encoded form data (for form submissions)
   app.use(express.urlencoded({ extended: true }));
@@ -54,13 +66,16 @@ function setupMiddleware(app) {
 
   app.use(session({
     secret: process.env.SESSION_SECRET || 'fagos-booking-secret', // Use environment variable for secret
+    // Keep sessions in MongoDB so they survive restarts and are shared between servers;
+    // without a database connection fall back to memory so pages still load
+    store: database.getDb() ? new MongoSessionStore(() => database.getDb()) : undefined,
     resave: false, // Don't save session if unmodified
     saveUninitialized: false, // Don't create session until something stored
     proxy: isProduction, // Trust the reverse proxy in production
     cookie: {
       secure: isProduction, // Set to true in production with HTTPS
       httpOnly: true, // Prevent XSS attacks by making cookie inaccessible to JavaScript
-      maxAge: 24 * 60 * 60 * 1000, // Session expires after 24 hours
+      maxAge: SESSION_MAX_AGE_MS, // Session expires after 24 hours
       sameSite: isProduction ? 'none' : 'lax' // Required for cross-site cookies in production
     }
   }));
@@ -1,5 +1,8 @@
 // Application configuration constants
 
+const os = require('os');
+const path = require('path');
+
 // Server port - uses environment variable or defaults to 3001
 const PORT = process.env.PORT || 3001;
 
@@ -12,6 +15,9 @@ const MONGODB_URI = process.env.MONGODB_URI;
 // Environment mode
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
+// Public address of the site, for links in emails sent outside a request
+const SITE_URL = (process.env.SITE_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+
 // Validate required environment variables
 if (!PAYSTACK_SECRET_KEY) {
   console.error('❌ PAYSTACK_SECRET_KEY not found in environment variables');
@@ -24,7 +30,8 @@ if (!MONGODB_URI) {
 const API_ENDPOINTS = {
   PAYSTACK_BASE_URL: 'api.paystack.co',
   TRANSACTION_INITIALIZE: '/transaction/initialize',
-  TRANSACTION_VERIFY: '/transaction/verify'
+  TRANSACTION_VERIFY: '/transaction/verify',
+  REFUND: '/refund'
 };
 
 // Database collections names
@@ -34,7 +41,14 @@ const COLLECTIONS = {
   PAYMENTS: 'payments',
   HOTELS: 'hotels',
   CONTACTS: 'contacts',
-  DEALS: 'deals'
+  DEALS: 'deals',
+  ROOM_INVENTORY: 'room_inventory',
+  REVIEWS: 'reviews',
+  PROMO_CODES: 'promo_codes',
+  NOTIFICATIONS: 'notifications',
+  SESSIONS: 'sessions',
+  JOB_LOCKS: 'job_locks',
+  JOB_RUNS: 'job_runs'
 };
 
 // User roles
@@ -48,14 +62,169 @@ const PAYMENT_STATUS = {
   PENDING: 'pending',
   PAID: 'paid',
   FAILED: 'failed',
-  REFUNDED: 'refunded'
+  REFUNDED: 'refunded',
+  PARTIALLY_REFUNDED: 'partially_refunded'
+};
+
+// Refund status constants (tracked on bookings and payments)
+const REFUND_STATUS = {
+  NONE: 'none', // Nothing to refund under the policy
+  PENDING: 'pending', // Requested from Paystack, waiting for processing
+  PROCESSED: 'processed', // Paystack confirmed the refund
+  FAILED: 'failed' // Paystack rejected the request; needs manual follow-up
 };
 
 // Booking status constants
 const BOOKING_STATUS = {
+  PENDING: 'pending',
+  EXPIRED: 'expired',
   CONFIRMED: 'confirmed',
   CANCELLED: 'cancelled',
-  COMPLETED: 'completed'
+  COMPLETED: 'completed',
+  NO_SHOW: 'no_show' // Guest never arrived; set by admins after check-in date
+};
+
+// Contact message status constants
+const CONTACT_STATUS = {
+  UNREAD: 'unread',
+  READ: 'read',
+  REPLIED: 'replied'
+};
+
+// Contact messages accepted from one email address or IP within the window
+const CONTACT_LIMIT = {
+  MAX_MESSAGES: 3,
+  WINDOW_MINUTES: 60
+};
+
+// Minutes a pending booking holds its room while the guest pays
+const BOOKING_HOLD_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES, 10) || 15;
+
+// Nights that count as the weekend for deals and room rates (getUTCDay(): Friday and Saturday)
+const WEEKEND_NIGHTS = [5, 6];
+
+// Charges added on top of the room rate, as fractions of the amount they apply to
+const PRICING = {
+  SERVICE_FEE_RATE: 0.05, // Platform service fee on the (discounted) room subtotal
+  TAX_RATE: process.env.TAX_RATE !== undefined ? parseFloat(process.env.TAX_RATE) : 0.075, // VAT on subtotal plus service fee
+  CURRENCY: 'NGN'
+};
+
+// How a promo code's discount_value is read: a percentage or a naira amount
+const PROMO_DISCOUNT_TYPES = {
+  PERCENT: 'percent',
+  FIXED: 'fixed'
+};
+
+// Cancellation policy applied when a booking is cancelled
+const DEFAULT_CANCELLATION_POLICY = {
+  free_cancellation_days: parseInt(process.env.FREE_CANCELLATION_DAYS, 10) || 7, // Full refund this many days or more before check-in
+  penalty_percent: 50, // Share of the amount paid kept when cancelling inside the free window
+  non_refundable: false // Non-refundable bookings get nothing back
+};
+
+// Moderation states of a guest review; only approved reviews are shown and rated
+const REVIEW_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// Aspects of a stay guests score alongside their overall rating
+const REVIEW_SCORES = ['cleanliness', 'location', 'service'];
+
+// Reviews per page on the hotel details page
+const REVIEWS_PAGE_SIZE = 5;
+
+// Hours a link confirming a new email address stays valid
+const EMAIL_CHANGE_TOKEN_HOURS = 24;
+
+// Hours a link verifying a new account's email address stays valid
+const EMAIL_VERIFICATION_TOKEN_HOURS = 48;
+
+// Minutes a password reset link stays valid
+const PASSWORD_RESET_TOKEN_MINUTES = 60;
+
+// Outgoing email: `console`, `file` or `smtp` transport (production must use `smtp`), sender, where
+// `file` writes messages and the relay `smtp` delivers through (SMTP_SECURE for implicit TLS, usually port 465)
+const MAIL = {
+  TRANSPORT: process.env.MAIL_TRANSPORT || 'console',
+  FROM: process.env.MAIL_FROM || "Fago's Booking <no-reply@fagobooking.com>",
+  OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'fago-mail'),
+  SMTP: {
+    HOST: process.env.SMTP_HOST,
+    PORT: parseInt(process.env.SMTP_PORT, 10) || 587,
+    SECURE: process.env.SMTP_SECURE === 'true',
+    USER: process.env.SMTP_USER,
+    PASS: process.env.SMTP_PASS,
+    TIMEOUT_MS: 15 * 1000
+  }
+};
+
+// Delivery states of a queued email
+const NOTIFICATION_STATUS = {
+  PENDING: 'pending', // Not sent yet, or waiting for a retry
+  SENT: 'sent',
+  FAILED: 'failed' // Gave up after MAX_ATTEMPTS
+};
+
+// Email notifications: attempts before giving up, minutes to wait before each retry, how long a
+// message being sent is left alone by other workers and how many days before check-in guests
+// are reminded
+const NOTIFICATIONS = {
+  MAX_ATTEMPTS: 5,
+  RETRY_DELAYS_MINUTES: [1, 5, 30, 120],
+  SEND_LEASE_MS: 5 * 60 * 1000,
+  REMINDER_DAYS_BEFORE: 2
+};
+
+// Background jobs (utils/scheduler.js): how often each server checks for due jobs, how long a
+// job stays locked if the server running it dies, how many days of run history are kept and
+// how often each job runs
+const SCHEDULER = {
+  TICK_MS: 30 * 1000,
+  LOCK_LEASE_MS: 10 * 60 * 1000,
+  RUN_HISTORY_DAYS: 30,
+  INTERVALS_MS: {
+    expire_holds: 60 * 1000,
+    retry_notifications: 60 * 1000,
+    checkin_reminders: 15 * 60 * 1000,
+    complete_stays: 60 * 60 * 1000,
+    purge_sessions: 60 * 60 * 1000
+  }
+};
+
+// Outcome of a background job run
+const JOB_RUN_STATUS = {
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// How long a login lasts without activity
+const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Number of bookable units assumed for a room type that does not declare `units`
+const DEFAULT_ROOM_UNITS = 1;
+
+// Kinds of property a hotel listing can be
+const PROPERTY_TYPES = ['hotel', 'apartment', 'resort'];
+
+// Hotel search paging, autocomplete size and how long the spelling word list is cached
+const HOTEL_SEARCH = {
+  DEFAULT_LIMIT: 12,
+  MAX_LIMIT: 50,
+  SUGGEST_LIMIT: 6,
+  VOCABULARY_TTL_MS: 5 * 60 * 1000
+};
+
+// Amenity filter keys and the amenity names hotels list them under
+const AMENITY_FILTERS = {
+  wifi: ['Free WiFi', 'WiFi'],
+  pool: ['Swimming Pool', 'Pool'],
+  gym: ['Gym'],
+  spa: ['Spa'],
+  parking: ['Parking'],
+  breakfast: ['Breakfast']
 };
 
 module.exports = {
@@ -63,9 +232,34 @@ module.exports = {
   PAYSTACK_SECRET_KEY,
   MONGODB_URI,
   NODE_ENV,
+  SITE_URL,
   API_ENDPOINTS,
   COLLECTIONS,
   USER_ROLES,
   PAYMENT_STATUS,
-  BOOKING_STATUS
+  REFUND_STATUS,
+  BOOKING_STATUS,
+  CONTACT_STATUS,
+  CONTACT_LIMIT,
+  REVIEW_STATUS,
+  REVIEW_SCORES,
+  REVIEWS_PAGE_SIZE,
+  BOOKING_HOLD_MINUTES,
+  WEEKEND_NIGHTS,
+  PRICING,
+  PROMO_DISCOUNT_TYPES,
+  DEFAULT_CANCELLATION_POLICY,
+  DEFAULT_ROOM_UNITS,
+  EMAIL_CHANGE_TOKEN_HOURS,
+  EMAIL_VERIFICATION_TOKEN_HOURS,
+  PASSWORD_RESET_TOKEN_MINUTES,
+  MAIL,
+  NOTIFICATION_STATUS,
+  NOTIFICATIONS,
+  SCHEDULER,
+  JOB_RUN_STATUS,
+  SESSION_MAX_AGE_MS,
+  PROPERTY_TYPES,
+  HOTEL_SEARCH,
+  AMENITY_FILTERS
 };
\ No newline at end of file
@@ -0,0 +1,85 @@
+// Collection schemas for MongoDB validation
+//
+// Installed as the collection validator in database.js, the last line of
+// defence for catalog writes. Admin requests are checked field by field
+// beforehand against SCHEMAS.hotel and SCHEMAS.room in
+// frontend/public/js/validation-rules.js, which follow the same rules.
+
+const { PROPERTY_TYPES } = require('./constants');
+
+// Calendar date and recurring month-day, as used by room rates
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+const MONTH_DAY_PATTERN = '^(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])$';
+
+// Recurring period with its own room price (utils/rates.js)
+const SEASONAL_RATE_SCHEMA = {
+  bsonType: 'object',
+  required: ['name', 'from', 'to', 'price_per_night'],
+  properties: {
+    name: { bsonType: 'string', minLength: 1 },
+    from: { bsonType: 'string', pattern: MONTH_DAY_PATTERN }, // First night, MM-DD
+    to: { bsonType: 'string', pattern: MONTH_DAY_PATTERN }, // Last night, MM-DD; before `from` to wrap the new year
+    price_per_night: { bsonType: 'number', minimum: 0 },
+    weekend_price_per_night: { bsonType: 'number', minimum: 0 }
+  }
+};
+
+// Price for one specific night
+const DATE_RATE_SCHEMA = {
+  bsonType: 'object',
+  required: ['date', 'price_per_night'],
+  properties: {
+    date: { bsonType: 'string', pattern: DATE_PATTERN },
+    price_per_night: { bsonType: 'number', minimum: 0 }
+  }
+};
+
+// Room type offered by a hotel
+const ROOM_SCHEMA = {
+  bsonType: 'object',
+  required: ['room_type', 'price_per_night', 'capacity'],
+  properties: {
+    room_type: { bsonType: 'string', minLength: 1 },
+    price_per_night: { bsonType: 'number', minimum: 0 }, // Weekday rate outside any season
+    weekend_price_per_night: { bsonType: 'number', minimum: 0 }, // Friday and Saturday nights
+    seasonal_rates: { bsonType: 'array', items: SEASONAL_RATE_SCHEMA },
+    date_rates: { bsonType: 'array', items: DATE_RATE_SCHEMA },
+    capacity: { bsonType: 'number', minimum: 1 },
+    units: { bsonType: 'number', minimum: 0 }, // Rooms of this type that can be sold per night
+    available: { bsonType: 'bool' }, // false withdraws the room type from sale
+    non_refundable: { bsonType: 'bool' }
+  }
+};
+
+// Hotel catalog entry
+const HOTEL_SCHEMA = {
+  bsonType: 'object',
+  required: ['name', 'location', 'rooms'],
+  properties: {
+    _id: { bsonType: 'string' },
+    name: { bsonType: 'string', minLength: 1 },
+    location: { bsonType: 'string', minLength: 1 },
+    description: { bsonType: 'string' },
+    property_type: { enum: PROPERTY_TYPES },
+    rooms: { bsonType: 'array', items: ROOM_SCHEMA },
+    amenities: { bsonType: 'array', items: { bsonType: 'string' } },
+    images: { bsonType: 'array', items: { bsonType: 'string' } },
+    rating: { bsonType: 'number', minimum: 0, maximum: 5 },
+    review_count: { bsonType: 'number', minimum: 0 }, // Approved reviews behind `rating`
+    review_scores: { bsonType: 'object' }, // Average sub-score per REVIEW_SCORES aspect
+    cancellation_policy: {
+      bsonType: 'object',
+      properties: {
+        free_cancellation_days: { bsonType: 'number', minimum: 0 },
+        penalty_percent: { bsonType: 'number', minimum: 0, maximum: 100 },
+        non_refundable: { bsonType: 'bool' }
+      }
+    },
+    created_at: { bsonType: 'date' },
+    updated_at: { bsonType: 'date' }
+  }
+};
+
+module.exports = {
+  HOTEL_SCHEMA
+};
@@ -1,5 +1,7 @@
 const { MongoClient, ObjectId } = require('mongodb');
-const { MONGODB_URI } = require('./config/constants');
+const { MONGODB_URI, BOOKING_STATUS, SCHEDULER } = require('./config/constants');
+const { HOTEL_SCHEMA } = require('./config/schemas');
+const { getStayNights } = require('./utils/availability');
 
 class Database {
   constructor() {
@@ -29,16 +31,16 @@ class Database {
       this.isConnected = true;
 
       console.log('✅ Connected to MongoDB Atlas');
-
-      // Initialize collections and seed data
-      await this.initializeCollections();
-
-      return true;
     } catch (error) {
       console.error('❌ MongoDB connection failed:', error.message);
       this.isConnected = false;
       return false;
     }
+
+    // Initialize collections and seed data; throws if a unique index can't be built
+    await this.initializeCollections();
+
+    return true;
   }
 
   async initializeCollections() {
@@ -56,6 +58,18 @@ class Database {
                 last_name: { bsonType: 'string' },
                 email: { bsonType: 'string' },
                 phone: { bsonType: 'string' },
+                date_of_birth: { bsonType: 'date' },
+                email_verified: { bsonType: 'bool' },
+                email_verified_at: { bsonType: 'date' },
+                email_verification_token_hash: { bsonType: 'string' },
+                email_verification_expires_at: { bsonType: 'date' },
+                pending_email: { bsonType: 'string' },
+                email_change_token_hash: { bsonType: 'string' },
+                email_change_expires_at: { bsonType: 'date' },
+                password_changed_at: { bsonType: 'date' },
+                password_reset_token_hash: { bsonType: 'string' },
+                password_reset_expires_at: { bsonType: 'date' },
+                favorite_hotel_ids: { bsonType: 'array', items: { bsonType: 'string' } },
                 password_hash: { bsonType: 'string' },
                 role: { bsonType: 'string', enum: ['customer', 'admin'] },
                 created_at: { bsonType: 'date' },
@@ -67,19 +81,7 @@ class Database {
         {
           name: 'hotels',
           validator: {
-            $jsonSchema: {
-              bsonType: 'object',
-              required: ['name', 'location', 'rooms'],
-              properties: {
-                name: { bsonType: 'string' },
-                location: { bsonType: 'string' },
-                description: { bsonType: 'string' },
-                rooms: { bsonType: 'array' },
-                amenities: { bsonType: 'array' },
-                images: { bsonType: 'array' },
-                rating: { bsonType: 'number' }
-              }
-            }
+            $jsonSchema: HOTEL_SCHEMA
           }
         },
         {
@@ -97,7 +99,14 @@ class Database {
                 guests: { bsonType: 'number' },
                 total_amount: { bsonType: 'number' },
                 payment_status: { bsonType: 'string' },
+                booking_status: { bsonType: 'string' },
+                hold_expires_at: { bsonType: 'date' },
                 transaction_reference: { bsonType: 'string' },
+                cancellation_policy: { bsonType: 'object' },
+                pending_modification: { bsonType: 'object' },
+                modifications: { bsonType: 'array' },
+                reminder_sent_at: { bsonType: 'date' },
+                completed_at: { bsonType: 'date' },
                 created_at: { bsonType: 'date' },
                 updated_at: { bsonType: 'date' }
               }
@@ -118,6 +127,9 @@ class Database {
                 status: { bsonType: 'string' },
                 transaction_reference: { bsonType: 'string' },
                 paystack_response: { bsonType: 'object' },
+                refund: { bsonType: 'object' }, // Cancellation refund
+                change_refunds: { bsonType: 'array' }, // Differences refunded for cheaper booking changes
+                refunded_amount: { bsonType: 'number' }, // Refunded or being refunded, in naira
                 created_at: { bsonType: 'date' }
               }
             }
@@ -134,7 +146,9 @@ class Database {
                 email: { bsonType: 'string' },
                 subject: { bsonType: 'string' },
                 message: { bsonType: 'string' },
-                created_at: { bsonType: 'date' }
+                status: { bsonType: 'string', enum: ['unread', 'read', 'replied'] },
+                created_at: { bsonType: 'date' },
+                updated_at: { bsonType: 'date' }
               }
             }
           }
@@ -148,8 +162,183 @@ class Database {
               properties: {
                 title: { bsonType: 'string' },
                 description: { bsonType: 'string' },
-                discount_percentage: { bsonType: 'number' },
-                active: { bsonType: 'bool' }
+                discount_percentage: { bsonType: 'number', minimum: 0, maximum: 100 },
+                active: { bsonType: 'bool' },
+                // Eligibility rules (utils/deals.js)
+                hotel_ids: { bsonType: 'array', items: { bsonType: 'string' } },
+                room_types: { bsonType: 'array', items: { bsonType: 'string' } },
+                stay_from: { bsonType: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+                stay_to: { bsonType: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+                min_nights: { bsonType: 'number', minimum: 1 },
+                min_guests: { bsonType: 'number', minimum: 1 },
+                min_days_in_advance: { bsonType: 'number', minimum: 0 },
+                weekend_only: { bsonType: 'bool' },
+                valid_from: { bsonType: 'date' },
+                valid_until: { bsonType: 'date' }
+              }
+            }
+          }
+        },
+        {
+          name: 'room_inventory',
+          validator: {
+            $jsonSchema: {
+              bsonType: 'object',
+              required: ['hotel_id', 'room_type', 'date', 'booked'],
+              properties: {
+                hotel_id: { bsonType: 'string' },
+                room_type: { bsonType: 'string' },
+                date: { bsonType: 'string' },
+                booked: { bsonType: 'number', minimum: 0 },
+                updated_at: { bsonType: 'date' }
+              }
+            }
+          }
+        },
+        {
+          name: 'reviews',
+          validator: {
+            $jsonSchema: {
+              bsonType: 'object',
+              required: ['hotel_id', 'booking_id', 'user_id', 'rating', 'status'],
+              properties: {
+                hotel_id: { bsonType: 'string' },
+                hotel_name: { bsonType: 'string' },
+                booking_id: { bsonType: 'objectId' },
+                user_id: { bsonType: 'objectId' },
+                reviewer_name: { bsonType: 'string' },
+                rating: { bsonType: 'number', minimum: 1, maximum: 5 },
+                scores: {
+                  bsonType: 'object',
+                  properties: {
+                    cleanliness: { bsonType: 'number', minimum: 1, maximum: 5 },
+                    location: { bsonType: 'number', minimum: 1, maximum: 5 },
+                    service: { bsonType: 'number', minimum: 1, maximum: 5 }
+                  }
+                },
+                comment: { bsonType: 'string' },
+                status: { bsonType: 'string', enum: ['pending', 'approved', 'rejected'] },
+                moderated_by: { bsonType: 'string' },
+                moderated_at: { bsonType: 'date' },
+                created_at: { bsonType: 'date' },
+                updated_at: { bsonType: 'date' }
+              }
+            }
+          }
+        },
+        {
+          name: 'promo_codes',
+          validator: {
+            $jsonSchema: {
+              bsonType: 'object',
+              required: ['code', 'discount_type', 'discount_value', 'active'],
+              properties: {
+                code: { bsonType: 'string', pattern: '^[A-Z0-9_-]{3,40}$' },
+                description: { bsonType: 'string' },
+                discount_type: { bsonType: 'string', enum: ['percent', 'fixed'] },
+                discount_value: { bsonType: 'number', minimum: 0 },
+                active: { bsonType: 'bool' },
+                // Rules (utils/promo.js)
+                starts_at: { bsonType: 'date' },
+                expires_at: { bsonType: 'date' },
+                min_spend: { bsonType: 'number', minimum: 0 },
+                hotel_ids: { bsonType: 'array', items: { bsonType: 'string' } },
+                max_redemptions: { bsonType: 'number', minimum: 1 },
+                max_redemptions_per_user: { bsonType: 'number', minimum: 1 },
+                redemptions: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'object',
+                    required: ['booking_id', 'user_id'],
+                    properties: {
+                      booking_id: { bsonType: 'objectId' },
+                      user_id: { bsonType: 'objectId' },
+                      discount: { bsonType: 'number' },
+                      redeemed_at: { bsonType: 'date' }
+                    }
+                  }
+                },
+                created_at: { bsonType: 'date' },
+                updated_at: { bsonType: 'date' }
+              }
+            }
+          }
+        },
+        {
+          name: 'notifications',
+          validator: {
+            $jsonSchema: {
+              bsonType: 'object',
+              required: ['type', 'to', 'subject', 'text', 'status', 'attempts'],
+              properties: {
+                type: { bsonType: 'string' },
+                to: { bsonType: 'string' },
+                subject: { bsonType: 'string' },
+                text: { bsonType: 'string' },
+                key: { bsonType: 'string' },
+                user_id: { bsonType: 'objectId' },
+                booking_id: { bsonType: 'objectId' },
+                status: { bsonType: 'string', enum: ['pending', 'sent', 'failed'] },
+                // Delivery (utils/notifications.js)
+                attempts: { bsonType: 'number', minimum: 0 },
+                next_attempt_at: { bsonType: 'date' },
+                last_error: { bsonType: 'string' },
+                sent_at: { bsonType: 'date' },
+                failed_at: { bsonType: 'date' },
+                created_at: { bsonType: 'date' },
+                updated_at: { bsonType: 'date' }
+              }
+            }
+          }
+        },
+        {
+          name: 'sessions',
+          validator: {
+            $jsonSchema: {
+              bsonType: 'object',
+              required: ['session', 'expires'],
+              properties: {
+                _id: { bsonType: 'string' },
+                session: { bsonType: 'object' },
+                expires: { bsonType: 'date' },
+                updated_at: { bsonType: 'date' }
+              }
+            }
+          }
+        },
+        {
+          name: 'job_locks',
+          validator: {
+            $jsonSchema: {
+              bsonType: 'object',
+              properties: {
+                _id: { bsonType: 'string' }, // Job name
+                // No server may start the job before next_run_at (utils/scheduler.js)
+                next_run_at: { bsonType: 'date' },
+                running_on: { bsonType: 'string' },
+                locked_at: { bsonType: 'date' },
+                last_run_at: { bsonType: 'date' },
+                last_status: { bsonType: 'string', enum: ['succeeded', 'failed'] },
+                last_duration_ms: { bsonType: 'number' }
+              }
+            }
+          }
+        },
+        {
+          name: 'job_runs',
+          validator: {
+            $jsonSchema: {
+              bsonType: 'object',
+              required: ['job', 'instance', 'status', 'started_at'],
+              properties: {
+                job: { bsonType: 'string' },
+                instance: { bsonType: 'string' },
+                status: { bsonType: 'string', enum: ['succeeded', 'failed'] },
+                result: { bsonType: 'object' },
+                error: { bsonType: 'string' },
+                started_at: { bsonType: 'date' },
+                finished_at: { bsonType: 'date' },
+                duration_ms: { bsonType: 'number' }
               }
             }
           }
@@ -166,37 +355,152 @@ class Database {
             validator: collection.validator
           });
           console.log(`✅ Created collection: ${collection.name}`);
+        } else {
+          // Keep validators of existing collections in step with the schemas above
+          await this.db.command({ collMod: collection.name, validator: collection.validator });
         }
       }
 
-      // Create indexes
-      await this.createIndexes();
-
-      // Seed initial data
-      await this.seedData();
-
     } catch (error) {
       console.error('❌ Error initializing collections:', error.message);
     }
+
+    // Create indexes, after clearing the duplicates that would block the unique ones
+    await this.removeDuplicateTransactions();
+    await this.createIndexes();
+
+    // Seed initial data
+    await this.seedData();
   }
 
-  async createIndexes() {
-    try {
-      // Users indexes
-      await this.db.collection('users').createIndex({ email: 1 }, { unique: true });
+  /**
+   * Collapse bookings and payments that share a Paystack transaction_reference
+   * Replayed payment redirects used to insert a new booking and payment each
+   * time, and the unique indexes can't be built while those copies exist. The
+   * most recently updated copy is kept and payments are re-pointed at the kept
+   * booking. Room inventory already built from the copies may count them too,
+   * which only errs on the side of not selling a room.
+   */
+  async removeDuplicateTransactions() {
+    const bookings = await this.collapseDuplicates('bookings');
+    for (const { kept, removed } of bookings) {
+      await this.db.collection('payments').updateMany(
+        { booking_id: { $in: removed } },
+        { $set: { booking_id: kept } }
+      );
+    }
 
-      // Hotels indexes
-      await this.db.collection('hotels').createIndex({ location: 1 });
-      await this.db.collection('hotels').createIndex({ rating: -1 });
+    await this.collapseDuplicates('payments');
+  }
 
-      // Bookings indexes
-      await this.db.collection('bookings').createIndex({ user_id: 1 });
-      await this.db.collection('bookings').createIndex({ hotel_id: 1 });
+  /**
+   * Delete all but one document per transaction_reference in a collection
+   * @param {string} name - Collection name
+   * @returns {Promise<Object[]>} - { kept, removed } IDs for every reference that had copies
+   */
+  async collapseDuplicates(name) {
+    const collection = this.db.collection(name);
+    const groups = await collection.aggregate([
+      { $match: { transaction_reference: { $type: 'string' } } },
+      { $sort: { updated_at: -1, _id: 1 } },
+      { $group: { _id: '$transaction_reference', ids: { $push: '$_id' } } },
+      { $match: { 'ids.1': { $exists: true } } }
+    ], { allowDiskUse: true }).toArray();
+
+    const merged = groups.map(group => ({ kept: group.ids[0], removed: group.ids.slice(1) }));
+    const removed = merged.flatMap(group => group.removed);
+
+    if (removed.length > 0) {
+      await collection.deleteMany({ _id: { $in: removed } });
+      console.log(`🧹 Removed ${removed.length} duplicate ${name} across ${merged.length} transaction references`);
+    }
 
-      console.log('✅ Database indexes created');
-    } catch (error) {
-      console.error('❌ Error creating indexes:', error.message);
+    return merged;
+  }
+
+  /**
+   * Build every index, each on its own so one failure doesn't skip the rest
+   * Unique indexes guard against overselling rooms and double-recording
+   * payments, so startup stops if any of them can't be built.
+   */
+  async createIndexes() {
+    const indexes = [
+      // Room inventory - one counter per hotel, room type and night; reserveNights relies on it to refuse full nights
+      ['room_inventory', { hotel_id: 1, room_type: 1, date: 1 }, { unique: true }],
+
+      // Transaction references - one booking and one payment per Paystack transaction
+      // (partial so holds that haven't reached Paystack yet don't collide)
+      ['bookings', { transaction_reference: 1 }, { unique: true, partialFilterExpression: { transaction_reference: { $type: 'string' } } }],
+      ['payments', { transaction_reference: 1 }, { unique: true, partialFilterExpression: { transaction_reference: { $type: 'string' } } }],
+
+      // Users
+      ['users', { email: 1 }, { unique: true }],
+      ['users', { email_verification_token_hash: 1 }, { sparse: true }],
+      ['users', { email_change_token_hash: 1 }, { sparse: true }],
+      ['users', { password_reset_token_hash: 1 }, { sparse: true }],
+
+      // Hotels
+      ['hotels', { location: 1 }],
+      ['hotels', { rating: -1 }],
+      ['hotels', { property_type: 1 }],
+      ['hotels', { amenities: 1 }],
+      ['hotels', { 'rooms.price_per_night': 1, 'rooms.capacity': 1 }],
+      ['hotels', { name: 'text', location: 'text', amenities: 'text', description: 'text' },
+        { name: 'hotel_text', weights: { name: 10, location: 8, amenities: 3, description: 1 } }],
+
+      // Contacts
+      ['contacts', { status: 1, created_at: -1 }],
+      ['contacts', { email: 1, created_at: -1 }],
+      ['contacts', { ip: 1, created_at: -1 }],
+
+      // Reviews - one review per stay, approved reviews listed per hotel
+      ['reviews', { booking_id: 1 }, { unique: true }],
+      ['reviews', { hotel_id: 1, status: 1, created_at: -1 }],
+      ['reviews', { status: 1, created_at: -1 }],
+
+      // Deals
+      ['deals', { active: 1, discount_percentage: -1 }],
+
+      // Promo codes - codes are unique and looked up in upper case
+      ['promo_codes', { code: 1 }, { unique: true }],
+
+      // Notifications - due retries, and one email per event key
+      ['notifications', { status: 1, next_attempt_at: 1 }],
+      ['notifications', { key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } }],
+
+      // Sessions - expired sessions are purged by the scheduler; sign-out everywhere by user
+      ['sessions', { expires: 1 }],
+      ['sessions', { 'session.user.id': 1 }],
+
+      // Job run history - newest runs per job, dropped after SCHEDULER.RUN_HISTORY_DAYS
+      ['job_runs', { job: 1, started_at: -1 }],
+      ['job_runs', { started_at: 1 }, { expireAfterSeconds: SCHEDULER.RUN_HISTORY_DAYS * 24 * 60 * 60 }],
+
+      // Bookings
+      ['bookings', { user_id: 1 }],
+      ['bookings', { hotel_id: 1 }],
+      ['bookings', { booking_status: 1, check_out: 1 }] // Stays to complete
+    ];
+
+    const failedUnique = [];
+
+    for (const [collection, keys, options = {}] of indexes) {
+      try {
+        await this.db.collection(collection).createIndex(keys, options);
+      } catch (error) {
+        const name = `${collection} ${JSON.stringify(keys)}`;
+        console.error(`❌ Error creating index ${name}:`, error.message);
+        if (options.unique) {
+          failedUnique.push(name);
+        }
+      }
+    }
+
+    if (failedUnique.length > 0) {
+      throw new Error(`Unique indexes could not be built: ${failedUnique.join(', ')}`);
     }
+
+    console.log('✅ Database indexes created');
   }
 
   async seedData() {
@@ -212,112 +516,128 @@ class Database {
             name: "Grand Palace Hotel",
             location: "Victoria Island, Lagos",
             description: "5-star luxury hotel with ocean view and world-class amenities",
+            property_type: "hotel",
             rooms: [
-              { room_type: "Deluxe Suite", price_per_night: 45000, capacity: 2, available: true },
-              { room_type: "Executive Room", price_per_night: 35000, capacity: 2, available: true },
-              { room_type: "Presidential Suite", price_per_night: 85000, capacity: 4, available: true }
+              { room_type: "Deluxe Suite", price_per_night: 45000, capacity: 2, units: 4, available: true },
+              { room_type: "Executive Room", price_per_night: 35000, capacity: 2, units: 6, available: true },
+              { room_type: "Presidential Suite", price_per_night: 85000, capacity: 4, units: 1, available: true }
             ],
             amenities: ["Free WiFi", "Swimming Pool", "Gym", "Spa", "Restaurant", "Bar", "Room Service", "Laundry"],
             images: ["https://images.unsplash.com/photo-1566073771259-6a8506099945", "https://images.unsplash.com/photo-1582719478250-c89cae4dc85b"],
-            rating: 4.8
+            rating: 4.8,
+            cancellation_policy: { free_cancellation_days: 7, penalty_percent: 50, non_refundable: false }
           },
           {
             _id: "hotel2",
             name: "Ocean View Resort",
             location: "Lekki, Lagos",
             description: "Beachfront resort with stunning ocean views",
+            property_type: "resort",
             rooms: [
-              { room_type: "Ocean Suite", price_per_night: 48000, capacity: 3, available: true },
-              { room_type: "Beach Villa", price_per_night: 65000, capacity: 4, available: true },
-              { room_type: "Standard Room", price_per_night: 32000, capacity: 2, available: true }
+              { room_type: "Ocean Suite", price_per_night: 48000, capacity: 3, units: 4, available: true },
+              { room_type: "Beach Villa", price_per_night: 65000, capacity: 4, units: 2, available: true },
+              { room_type: "Standard Room", price_per_night: 32000, capacity: 2, units: 10, available: true }
             ],
             amenities: ["Beach Access", "Free WiFi", "Pool", "Restaurant", "Spa", "Water Sports"],
             images: ["https://images.unsplash.com/photo-1571003123894-1f0594d2b5d9", "https://images.unsplash.com/photo-1520250497591-112f2f40a3f4"],
-            rating: 4.6
+            rating: 4.6,
+            cancellation_policy: { free_cancellation_days: 14, penalty_percent: 50, non_refundable: false }
           },
           {
             _id: "hotel3",
             name: "Executive Suites Ikoyi",
             location: "Ikoyi, Lagos",
             description: "Modern business hotel in the heart of Lagos financial district",
+            property_type: "hotel",
             rooms: [
-              { room_type: "Business Suite", price_per_night: 38000, capacity: 2, available: true },
-              { room_type: "Executive Room", price_per_night: 28000, capacity: 2, available: true },
-              { room_type: "Conference Suite", price_per_night: 55000, capacity: 6, available: true }
+              { room_type: "Business Suite", price_per_night: 38000, capacity: 2, units: 4, available: true },
+              { room_type: "Executive Room", price_per_night: 28000, capacity: 2, units: 6, available: true },
+              { room_type: "Conference Suite", price_per_night: 55000, capacity: 6, units: 1, available: true }
             ],
             amenities: ["Free WiFi", "Business Center", "Gym", "Restaurant", "Conference Rooms", "Parking"],
             images: ["https://images.unsplash.com/photo-1551882547-ff40c63fe5fa", "https://images.unsplash.com/photo-1590490360182-c33d57733427"],
-            rating: 4.4
+            rating: 4.4,
+            cancellation_policy: { free_cancellation_days: 3, penalty_percent: 25, non_refundable: false }
           },
           {
             _id: "hotel4",
             name: "Luxury Heights Hotel",
             location: "Ikeja, Lagos",
             description: "Premium hotel near Murtala Muhammed Airport with modern amenities",
+            property_type: "hotel",
             rooms: [
-              { room_type: "Superior Room", price_per_night: 42000, capacity: 2, available: true },
-              { room_type: "Family Suite", price_per_night: 58000, capacity: 4, available: true },
-              { room_type: "Airport Suite", price_per_night: 35000, capacity: 2, available: true }
+              { room_type: "Superior Room", price_per_night: 42000, capacity: 2, units: 8, available: true },
+              { room_type: "Family Suite", price_per_night: 58000, capacity: 4, units: 3, available: true },
+              { room_type: "Airport Suite", price_per_night: 35000, capacity: 2, units: 6, available: true, non_refundable: true }
             ],
             amenities: ["Free WiFi", "Airport Shuttle", "Pool", "Gym", "Restaurant", "Bar", "Spa"],
             images: ["https://images.unsplash.com/photo-1564501049412-61c2a3083791", "https://images.unsplash.com/photo-1578683010236-d716f9a3f461"],
-            rating: 4.5
+            rating: 4.5,
+            cancellation_policy: { free_cancellation_days: 2, penalty_percent: 100, non_refundable: false }
           },
           {
             _id: "hotel5",
             name: "Coastal Paradise Resort",
             location: "Ajah, Lagos",
             description: "Serene beachfront resort perfect for relaxation and getaways",
+            property_type: "resort",
             rooms: [
-              { room_type: "Garden View", price_per_night: 35000, capacity: 2, available: true },
-              { room_type: "Ocean Front", price_per_night: 52000, capacity: 3, available: true },
-              { room_type: "Luxury Villa", price_per_night: 78000, capacity: 6, available: true }
+              { room_type: "Garden View", price_per_night: 35000, capacity: 2, units: 8, available: true },
+              { room_type: "Ocean Front", price_per_night: 52000, capacity: 3, units: 4, available: true },
+              { room_type: "Luxury Villa", price_per_night: 78000, capacity: 6, units: 1, available: true }
             ],
             amenities: ["Beach Access", "Free WiFi", "Pool", "Restaurant", "Spa", "Water Sports", "Garden"],
             images: ["https://images.unsplash.com/photo-1520250497591-112f2f40a3f4", "https://images.unsplash.com/photo-1571896349842-33c89424de2d"],
-            rating: 4.7
+            rating: 4.7,
+            cancellation_policy: { free_cancellation_days: 14, penalty_percent: 50, non_refundable: false }
           },
           {
             _id: "hotel6",
             name: "Metropolitan Hotel",
             location: "Surulere, Lagos",
             description: "Contemporary hotel in vibrant Surulere with excellent connectivity",
+            property_type: "hotel",
             rooms: [
-              { room_type: "Standard Room", price_per_night: 25000, capacity: 2, available: true },
-              { room_type: "Deluxe Room", price_per_night: 32000, capacity: 2, available: true },
-              { room_type: "Junior Suite", price_per_night: 45000, capacity: 3, available: true }
+              { room_type: "Standard Room", price_per_night: 25000, capacity: 2, units: 10, available: true, non_refundable: true },
+              { room_type: "Deluxe Room", price_per_night: 32000, capacity: 2, units: 6, available: true },
+              { room_type: "Junior Suite", price_per_night: 45000, capacity: 3, units: 3, available: true }
             ],
             amenities: ["Free WiFi", "Restaurant", "Gym", "Business Center", "Parking", "Laundry"],
             images: ["https://images.unsplash.com/photo-1590490360182-c33d57733427", "https://images.unsplash.com/photo-1578683010236-d716f9a3f461"],
-            rating: 4.2
+            rating: 4.2,
+            cancellation_policy: { free_cancellation_days: 1, penalty_percent: 20, non_refundable: false }
           },
           {
             _id: "hotel7",
             name: "Royal Garden Hotel",
             location: "Yaba, Lagos",
             description: "Elegant hotel with beautiful gardens and traditional hospitality",
+            property_type: "hotel",
             rooms: [
-              { room_type: "Garden Room", price_per_night: 30000, capacity: 2, available: true },
-              { room_type: "Royal Suite", price_per_night: 55000, capacity: 4, available: true },
-              { room_type: "Executive Room", price_per_night: 38000, capacity: 2, available: true }
+              { room_type: "Garden Room", price_per_night: 30000, capacity: 2, units: 8, available: true },
+              { room_type: "Royal Suite", price_per_night: 55000, capacity: 4, units: 1, available: true },
+              { room_type: "Executive Room", price_per_night: 38000, capacity: 2, units: 6, available: true }
             ],
             amenities: ["Free WiFi", "Garden", "Restaurant", "Bar", "Event Hall", "Parking"],
             images: ["https://images.unsplash.com/photo-1564501049412-61c2a3083791", "https://images.unsplash.com/photo-1571896349842-33c89424de2d"],
-            rating: 4.3
+            rating: 4.3,
+            cancellation_policy: { free_cancellation_days: 5, penalty_percent: 30, non_refundable: false }
           },
           {
             _id: "hotel8",
             name: "Skyline Business Hotel",
             location: "Maryland, Lagos",
             description: "Modern business hotel with panoramic city views",
+            property_type: "hotel",
             rooms: [
-              { room_type: "City View", price_per_night: 40000, capacity: 2, available: true },
-              { room_type: "Business Suite", price_per_night: 50000, capacity: 2, available: true },
-              { room_type: "Penthouse", price_per_night: 95000, capacity: 4, available: true }
+              { room_type: "City View", price_per_night: 40000, capacity: 2, units: 8, available: true },
+              { room_type: "Business Suite", price_per_night: 50000, capacity: 2, units: 4, available: true },
+              { room_type: "Penthouse", price_per_night: 95000, capacity: 4, units: 1, available: true }
             ],
             amenities: ["Free WiFi", "Business Center", "Gym", "Restaurant", "Bar", "Conference Rooms", "Rooftop Lounge"],
             images: ["https://images.unsplash.com/photo-1551882547-ff40c63fe5fa", "https://images.unsplash.com/photo-1582719478250-c89cae4dc85b"],
-            rating: 4.6
+            rating: 4.6,
+            cancellation_policy: { free_cancellation_days: 7, penalty_percent: 40, non_refundable: false }
           }
         ];
 
@@ -332,7 +652,8 @@ class Database {
             title: "Weekend Getaway Special",
             description: "Get 25% off all weekend bookings",
             discount_percentage: 25,
-            active: true
+            active: true,
+            weekend_only: true
           }
         ];
 
@@ -349,21 +670,24 @@ class Database {
             title: "Early Bird Special",
             description: "Book 30 days in advance and save 20%",
             discount_percentage: 20,
-            active: true
+            active: true,
+            min_days_in_advance: 30
           },
           {
             _id: "deal3",
             title: "Family Package",
             description: "Special rates for families with children",
             discount_percentage: 15,
-            active: true
+            active: true,
+            min_guests: 3
           },
           {
             _id: "deal4",
             title: "Business Traveler Deal",
             description: "Corporate rates for extended stays",
             discount_percentage: 18,
-            active: true
+            active: true,
+            min_nights: 5
           }
         ];
 
@@ -380,6 +704,78 @@ class Database {
         console.log('✅ Additional deals seeded');
       }
 
+      // Give the seeded deals the rules their descriptions promise, if they predate deal rules
+      const seededDealRules = {
+        deal1: { weekend_only: true },
+        deal2: { min_days_in_advance: 30 },
+        deal3: { min_guests: 3 },
+        deal4: { min_nights: 5 }
+      };
+      for (const [dealId, rules] of Object.entries(seededDealRules)) {
+        const [rule] = Object.keys(rules);
+        await this.db.collection('deals').updateOne(
+          { _id: dealId, [rule]: { $exists: false } },
+          { $set: rules }
+        );
+      }
+
+      // Weekend and December holiday rates for the Lagos waterfront hotels, if their rooms have no rate plan yet
+      const seededRoomRates = {
+        hotel1: { 'Deluxe Suite': [52000, 65000], 'Executive Room': [40000, 50000], 'Presidential Suite': [95000, 120000] },
+        hotel2: { 'Ocean Suite': [55000, 70000], 'Beach Villa': [75000, 95000], 'Standard Room': [36000, 45000] }
+      };
+      for (const [hotelId, rooms] of Object.entries(seededRoomRates)) {
+        for (const [roomType, [weekendPrice, holidayPrice]] of Object.entries(rooms)) {
+          await this.db.collection('hotels').updateOne(
+            { _id: hotelId, rooms: { $elemMatch: { room_type: roomType, weekend_price_per_night: { $exists: false } } } },
+            {
+              $set: {
+                'rooms.$.weekend_price_per_night': weekendPrice,
+                'rooms.$.seasonal_rates': [
+                  { name: 'December holidays', from: '12-15', to: '01-05', price_per_night: holidayPrice }
+                ]
+              }
+            }
+          );
+        }
+      }
+
+      // Give hotels created before property types existed one, going by their name
+      await this.db.collection('hotels').updateMany(
+        { property_type: { $exists: false }, name: /resort/i },
+        { $set: { property_type: 'resort' } }
+      );
+      await this.db.collection('hotels').updateMany(
+        { property_type: { $exists: false } },
+        { $set: { property_type: 'hotel' } }
+      );
+
+      // Build the room inventory ledger from bookings made before it existed
+      const inventoryCount = await this.db.collection('room_inventory').countDocuments();
+      if (inventoryCount === 0) {
+        const today = new Date().toISOString().split('T')[0];
+        const activeBookings = await this.db.collection('bookings')
+          .find({
+            booking_status: { $nin: [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.EXPIRED] },
+            check_out: { $gt: today }
+          })
+          .toArray();
+
+        for (const booking of activeBookings) {
+          for (const date of getStayNights(booking.check_in, booking.check_out)) {
+            await this.db.collection('room_inventory').updateOne(
+              { hotel_id: booking.hotel_id, room_type: booking.room_type, date },
+              { $inc: { booked: 1 }, $set: { updated_at: new Date() } },
+              { upsert: true }
+            );
+          }
+        }
+
+        if (activeBookings.length > 0) {
+          console.log(`✅ Room inventory rebuilt from ${activeBookings.length} bookings`);
+        }
+      }
+
     } catch (error) {
       console.error('❌ Error seeding data:', error.message);
     }
@@ -395,7 +791,7 @@ class Database {
       await this.db.admin().ping();
 
       // Count documents in each collection
-      const collections = ['users', 'hotels', 'bookings', 'payments', 'contacts', 'deals'];
+      const collections = ['users', 'hotels', 'bookings', 'payments', 'contacts', 'deals', 'room_inventory', 'reviews', 'promo_codes', 'notifications', 'sessions', 'job_locks', 'job_runs'];
       const counts = {};
 
       for (const collection of collections) {
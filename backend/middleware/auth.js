@@ -1,5 +1,11 @@
 // Authentication middleware for protecting routes
 
+const { ObjectId } = require('mongodb');
+const database = require('../database');
+const { COLLECTIONS } = require('../config/constants');
+const { isEmailVerified } = require('../utils/verification');
+const { AuthenticationError, ForbiddenError, ServiceUnavailableError } = require('../utils/errors');
+
 /**
  * Middleware to check if user is authenticated
  * Verifies that user session exists before allowing access to protected routes
@@ -7,10 +13,7 @@
 function requireAuth(req, res, next) {
   // Check if user session exists
   if (!req.session.user) {
-    return res.json({ 
-      success: false, 
-      message: 'Authentication required. Please login first.' 
-    });
+    return next(new AuthenticationError());
   }
   
   // User is authenticated, proceed to next middleware/route handler
@@ -20,28 +23,62 @@ function requireAuth(req, res, next) {
 /**
  * Middleware to check if user is admin
  * Verifies user has admin role for admin-only operations
+ * Page requests are redirected instead of answered with JSON
  */
 function requireAdmin(req, res, next) {
+  const isPage = !req.originalUrl.startsWith('/api/');
+  
   // First check if user is authenticated
   if (!req.session.user) {
-    return res.json({ 
-      success: false, 
-      message: 'Authentication required' 
-    });
+    if (isPage) {
+      return res.redirect('/login');
+    }
+    return next(new AuthenticationError('Authentication required'));
   }
   
   // Check if user has admin role
   if (req.session.user.role !== 'admin') {
-    return res.json({ 
-      success: false, 
-      message: 'Admin access required' 
-    });
+    if (isPage) {
+      return res.redirect('/dashboard');
+    }
+    return next(new ForbiddenError('Admin access required'));
   }
   
   // User is admin, proceed to next middleware/route handler
   next();
 }
 
+/**
+ * Middleware to check that the signed-in user has verified their email address
+ * Read from the database, since the link may have been followed in another browser
+ * Use after requireAuth
+ */
+async function requireVerifiedEmail(req, res, next) {
+  const db = database.getDb();
+  if (!db) {
+    return next(new ServiceUnavailableError());
+  }
+  
+  let user;
+  try {
+    user = await db.collection(COLLECTIONS.USERS).findOne(
+      { _id: new ObjectId(req.session.user.id) },
+      { projection: { email_verified: 1 } }
+    );
+  } catch (error) {
+    return next(error);
+  }
+    
+  if (!user || !isEmailVerified(user)) {
+    return next(new ForbiddenError(
+      'Please verify your email address before paying. Use the link we emailed you, or resend it from your dashboard.',
+      { code: 'EMAIL_NOT_VERIFIED', details: { email_unverified: true } }
+    ));
+  }
+    
+  next();
+}
+
 /**
  * Optional authentication middleware
  * Allows access but adds user info if authenticated
@@ -55,5 +92,6 @@ function optionalAuth(req, res, next) {
 module.exports = {
   requireAuth,
   requireAdmin,
+  requireVerifiedEmail,
   optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+// Request IDs and the central API error handler
+
+const crypto = require('crypto');
+const { AppError, NotFoundError, ValidationError } = require('../utils/errors');
+
+/**
+ * Middleware to tag every request with an ID
+ * Reuses an incoming X-Request-Id (e.g. from the Render proxy) and echoes it back,
+ * so a user's error report can be matched to the server log
+ */
+function assignRequestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+/**
+ * Answer unknown /api routes with a 404 instead of the HTML fallback
+ */
+function apiNotFound(req, res, next) {
+  next(new NotFoundError(`No API route for ${req.method} ${req.originalUrl.split('?')[0]}`));
+}
+
+/**
+ * Central error handler - the only place API errors are turned into responses
+ * Envelope: { success: false, message, code, request_id, ...details }
+ * Unexpected errors are logged and reported as a generic 500.
+ * Express only treats a middleware as an error handler when it takes four arguments, so `next` stays.
+ */
+function errorHandler(err, req, res, next) {
+  let error = err;
+  
+  // Malformed JSON bodies are rejected by express.json() before any route runs
+  if (err.type === 'entity.parse.failed') {
+    error = new ValidationError('Request body is not valid JSON', { code: 'INVALID_JSON' });
+  } else if (!(err instanceof AppError)) {
+    console.error(`💥 [${req.id}] ${req.method} ${req.originalUrl}:`, err);
+    error = new AppError('Something went wrong. Please try again.');
+  }
+  
+  if (res.headersSent) {
+    return next(err);
+  }
+  
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    request_id: req.id,
+    ...(error.details || {})
+  });
+}
+
+module.exports = {
+  assignRequestId,
+  apiNotFound,
+  errorHandler
+};
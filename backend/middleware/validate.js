@@ -0,0 +1,37 @@
+// Request validation middleware
+//
+// Route schemas live in frontend/public/js/validation-rules.js so the booking
+// pages check input with exactly the same rules before it is sent.
+
+const { SCHEMAS, validate } = require('../../frontend/public/js/validation-rules');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Middleware to check a request against schemas
+ * Invalid requests get a 400 VALIDATION_ERROR listing every field error, e.g.
+ * { success: false, message: 'Email is required', code: 'VALIDATION_ERROR', errors: [{ field: 'email', message: 'Email is required' }] }
+ * @param {Object} schemas - { params, query, body }, each a schema from SCHEMAS
+ * @returns {Function} - Express middleware
+ */
+function validateRequest(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    for (const part of ['params', 'query', 'body']) {
+      if (schemas[part]) {
+        errors.push(...validate(schemas[part], req[part]));
+      }
+    }
+
+    if (errors.length > 0) {
+      return next(new ValidationError(errors[0].message, { details: { errors } }));
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  SCHEMAS,
+  validate,
+  validateRequest
+};
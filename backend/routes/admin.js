@@ -0,0 +1,977 @@
+// Admin routes for the hotel catalog, promo codes and back-office records (bookings, payments, contacts, reviews)
+
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const database = require('../database');
+const { requireAdmin } = require('../middleware/auth');
+const { COLLECTIONS, BOOKING_STATUS, DEFAULT_ROOM_UNITS, PROMO_DISCOUNT_TYPES } = require('../config/constants');
+const { SCHEMAS, validate, validateRequest } = require('../middleware/validate');
+const { getStayNights, reserveNights, releaseNights } = require('../utils/availability');
+const { toCsv } = require('../utils/csv');
+const { normalizePromoCode } = require('../utils/promo');
+const { recomputeHotelRating } = require('../utils/reviews');
+const { JOBS, listJobs } = require('../utils/scheduler');
+const { ConflictError, NotFoundError, ServiceUnavailableError, ValidationError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Every admin route requires an admin session
+router.use(requireAdmin);
+
+// Hotel fields an admin may set; anything else in the request body is ignored
+// (rating is computed from guest reviews)
+const HOTEL_FIELDS = ['name', 'location', 'description', 'property_type', 'rooms', 'amenities', 'images', 'cancellation_policy'];
+
+// Room type fields an admin may set
+const ROOM_FIELDS = [
+  'room_type',
+  'price_per_night',
+  'weekend_price_per_night',
+  'seasonal_rates',
+  'date_rates',
+  'capacity',
+  'units',
+  'available',
+  'non_refundable'
+];
+
+// Optional promo code rules stored as numbers
+const PROMO_NUMBER_FIELDS = ['min_spend', 'max_redemptions', 'max_redemptions_per_user'];
+
+// Rows per page in the back-office tables, and the most rows a CSV export returns
+const PAGE_SIZE = 25;
+const EXPORT_LIMIT = 10000;
+const JOB_RUNS_LIMIT = 50;
+
+// Name and email of the account behind a record
+const userColumn = (row) => row.user ? `${row.user.first_name || ''} ${row.user.last_name || ''}`.trim() : '';
+
+// Back-office tables: where records live, what the search box matches and the CSV layout
+const RECORD_TABLES = {
+  bookings: {
+    collection: COLLECTIONS.BOOKINGS,
+    statusField: 'booking_status',
+    withUser: true,
+    searchFields: ['hotel_name', 'room_type', 'transaction_reference', 'guest_details.email',
+      'guest_details.firstName', 'guest_details.lastName', 'user.email'],
+    columns: [
+      { header: 'Booking ID', value: row => row._id },
+      { header: 'Customer', value: userColumn },
+      { header: 'Email', value: row => row.user ? row.user.email : '' },
+      { header: 'Hotel', value: row => row.hotel_name },
+      { header: 'Room Type', value: row => row.room_type },
+      { header: 'Check-in', value: row => row.check_in },
+      { header: 'Check-out', value: row => row.check_out },
+      { header: 'Guests', value: row => row.guests },
+      { header: 'Total (NGN)', value: row => row.total_amount },
+      { header: 'Payment Status', value: row => row.payment_status },
+      { header: 'Booking Status', value: row => row.booking_status },
+      { header: 'Reference', value: row => row.transaction_reference },
+      { header: 'Created', value: row => row.created_at }
+    ]
+  },
+  payments: {
+    collection: COLLECTIONS.PAYMENTS,
+    statusField: 'status',
+    withUser: true,
+    searchFields: ['transaction_reference', 'purpose', 'user.email', 'user.first_name', 'user.last_name'],
+    columns: [
+      { header: 'Reference', value: row => row.transaction_reference },
+      { header: 'Booking ID', value: row => row.booking_id },
+      { header: 'Customer', value: userColumn },
+      { header: 'Email', value: row => row.user ? row.user.email : '' },
+      { header: 'Amount', value: row => row.amount },
+      { header: 'Currency', value: row => row.currency },
+      { header: 'Status', value: row => row.status },
+      { header: 'Purpose', value: row => row.purpose || 'booking' },
+      { header: 'Refunded', value: row => row.refund ? row.refund.amount : '' },
+      { header: 'Notes', value: row => row.failure_reason },
+      { header: 'Created', value: row => row.created_at }
+    ]
+  },
+  contacts: {
+    collection: COLLECTIONS.CONTACTS,
+    statusField: 'status',
+    withUser: false,
+    searchFields: ['name', 'email', 'subject', 'message'],
+    columns: [
+      { header: 'Name', value: row => row.name },
+      { header: 'Email', value: row => row.email },
+      { header: 'Subject', value: row => row.subject },
+      { header: 'Message', value: row => row.message },
+      { header: 'Status', value: row => row.status },
+      { header: 'Received', value: row => row.created_at }
+    ]
+  },
+  reviews: {
+    collection: COLLECTIONS.REVIEWS,
+    statusField: 'status',
+    withUser: true,
+    searchFields: ['hotel_name', 'reviewer_name', 'comment', 'user.email'],
+    columns: [
+      { header: 'Hotel', value: row => row.hotel_name },
+      { header: 'Booking ID', value: row => row.booking_id },
+      { header: 'Reviewer', value: row => row.reviewer_name },
+      { header: 'Email', value: row => row.user ? row.user.email : '' },
+      { header: 'Rating', value: row => row.rating },
+      { header: 'Cleanliness', value: row => row.scores ? row.scores.cleanliness : '' },
+      { header: 'Location', value: row => row.scores ? row.scores.location : '' },
+      { header: 'Service', value: row => row.scores ? row.scores.service : '' },
+      { header: 'Comment', value: row => row.comment },
+      { header: 'Status', value: row => row.status },
+      { header: 'Submitted', value: row => row.created_at }
+    ]
+  }
+};
+
+// Status changes admins can make on a booking, and the statuses they apply to
+const BOOKING_STATUS_CHANGES = {
+  [BOOKING_STATUS.COMPLETED]: [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.NO_SHOW],
+  [BOOKING_STATUS.NO_SHOW]: [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.COMPLETED]
+};
+
+/**
+ * List all hotels
+ * GET /api/admin/hotels - Returns the full catalog, including room types withdrawn from sale
+ */
+router.get('/hotels', async (req, res, next) => {
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const hotels = await db.collection(COLLECTIONS.HOTELS).find({}).sort({ name: 1 }).toArray();
+    
+    res.json({ success: true, hotels });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create a hotel
+ * POST /api/admin/hotels - Adds a hotel with its room types, amenities and images
+ */
+router.post('/hotels', async (req, res, next) => {
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const hotel = {
+      ...pick(req.body, HOTEL_FIELDS),
+      property_type: req.body.property_type || 'hotel',
+      rooms: (req.body.rooms || []).map(room => pick(room, ROOM_FIELDS)),
+      amenities: req.body.amenities || [],
+      images: req.body.images || []
+    };
+    
+    // Hotel IDs are readable strings ("hotel1", "grand-palace-hotel") used in page URLs
+    hotel._id = req.body._id || slugify(hotel.name || '');
+    if (!hotel._id) {
+      throw new ValidationError('Hotel name is required', { details: { errors: [{ field: 'name', message: 'Hotel name is required' }] } });
+    }
+    
+    const errors = validateHotel(hotel);
+    if (errors.length > 0) {
+      throw new ValidationError(errors[0].message, { details: { errors } });
+    }
+    
+    hotel.created_at = new Date();
+    hotel.updated_at = new Date();
+    
+    await db.collection(COLLECTIONS.HOTELS).insertOne(hotel);
+    
+    res.json({ success: true, message: 'Hotel created successfully', hotel });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ConflictError('A hotel with this ID already exists', { code: 'HOTEL_EXISTS' }));
+    }
+    next(catalogWriteError(error));
+  }
+});
+
+/**
+ * Update a hotel
+ * PUT /api/admin/hotels/:id - Replaces the fields sent (name, location, rooms, amenities, images, ...)
+ */
+router.put('/hotels/:id', async (req, res, next) => {
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const hotels = db.collection(COLLECTIONS.HOTELS);
+    const existing = await hotels.findOne({ _id: req.params.id });
+    if (!existing) {
+      throw new NotFoundError('Hotel not found');
+    }
+    
+    const changes = pick(req.body, HOTEL_FIELDS);
+    if (changes.rooms) {
+      changes.rooms = changes.rooms.map(room => pick(room, ROOM_FIELDS));
+    }
+    
+    // The ID is fixed; one sent back in the body is ignored
+    const hotel = { ...existing, ...changes, _id: existing._id, updated_at: new Date() };
+    
+    const errors = validateHotel(hotel);
+    if (errors.length > 0) {
+      throw new ValidationError(errors[0].message, { details: { errors } });
+    }
+    
+    // Room types with upcoming stays can't disappear from under their guests
+    if (changes.rooms) {
+      const kept = changes.rooms.map(room => room.room_type);
+      const removed = (existing.rooms || []).map(room => room.room_type).filter(type => !kept.includes(type));
+      const inUse = await findRoomTypesInUse(db, existing._id, removed);
+      if (inUse.length > 0) {
+        throw new ConflictError(`${inUse.join(', ')} still has upcoming bookings`, { code: 'ROOM_TYPE_IN_USE' });
+      }
+      
+      const [overbooked] = await findRoomsBelowBookings(db, existing._id, changes.rooms);
+      if (overbooked) {
+        throw unitsBelowBookingsError(overbooked);
+      }
+    }
+    
+    await hotels.replaceOne({ _id: existing._id }, hotel);
+    
+    res.json({ success: true, message: 'Hotel updated successfully', hotel });
+  } catch (error) {
+    next(catalogWriteError(error));
+  }
+});
+
+/**
+ * Delete a hotel
+ * DELETE /api/admin/hotels/:id - Removes a hotel that has no upcoming bookings
+ */
+router.delete('/hotels/:id', async (req, res, next) => {
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const hotel = await db.collection(COLLECTIONS.HOTELS).findOne({ _id: req.params.id });
+    if (!hotel) {
+      throw new NotFoundError('Hotel not found');
+    }
+    
+    const inUse = await findRoomTypesInUse(db, hotel._id, (hotel.rooms || []).map(room => room.room_type));
+    if (inUse.length > 0) {
+      throw new ConflictError('This hotel still has upcoming bookings', { code: 'HOTEL_IN_USE' });
+    }
+    
+    await db.collection(COLLECTIONS.HOTELS).deleteOne({ _id: hotel._id });
+    
+    // Past bookings keep their hotel name and location; only live data goes
+    await db.collection(COLLECTIONS.ROOM_INVENTORY).deleteMany({ hotel_id: hotel._id });
+    await db.collection(COLLECTIONS.DEALS).updateMany(
+      { hotel_ids: hotel._id },
+      { $pull: { hotel_ids: hotel._id } }
+    );
+    
+    res.json({ success: true, message: 'Hotel deleted successfully', hotel_id: hotel._id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Add a room type
+ * POST /api/admin/hotels/:id/rooms - Adds a room type to a hotel
+ */
+router.post('/hotels/:id/rooms', validateRequest({ body: SCHEMAS.room }), async (req, res, next) => {
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const room = pick(req.body, ROOM_FIELDS);
+    
+    // Only add the room type if the hotel doesn't offer one with that name yet
+    const result = await db.collection(COLLECTIONS.HOTELS).updateOne(
+      { _id: req.params.id, 'rooms.room_type': { $ne: room.room_type } },
+      { $push: { rooms: room }, $set: { updated_at: new Date() } }
+    );
+    
+    if (result.matchedCount === 0) {
+      const exists = await db.collection(COLLECTIONS.HOTELS).countDocuments({ _id: req.params.id });
+      throw exists
+        ? new ConflictError(`${room.room_type} already exists at this hotel`, { code: 'ROOM_TYPE_EXISTS' })
+        : new NotFoundError('Hotel not found');
+    }
+    
+    res.json({ success: true, message: 'Room type added successfully', room });
+  } catch (error) {
+    next(catalogWriteError(error));
+  }
+});
+
+/**
+ * Update a room type
+ * PUT /api/admin/hotels/:id/rooms/:roomType - Changes rate, capacity, units or availability
+ */
+router.put('/hotels/:id/rooms/:roomType', async (req, res, next) => {
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const hotel = await db.collection(COLLECTIONS.HOTELS).findOne({ _id: req.params.id });
+    const existing = hotel && (hotel.rooms || []).find(room => room.room_type === req.params.roomType);
+    if (!existing) {
+      throw new NotFoundError('Room type not found');
+    }
+    
+    // Bookings and inventory refer to rooms by name, so the name is fixed
+    const room = { ...existing, ...pick(req.body, ROOM_FIELDS), room_type: existing.room_type };
+    
+    const errors = validate(SCHEMAS.room, room);
+    if (errors.length > 0) {
+      throw new ValidationError(errors[0].message, { details: { errors } });
+    }
+    
+    // Rooms already sold for upcoming nights can't be taken away
+    const [overbooked] = await findRoomsBelowBookings(db, hotel._id, [room]);
+    if (overbooked) {
+      throw unitsBelowBookingsError(overbooked);
+    }
+    
+    await db.collection(COLLECTIONS.HOTELS).updateOne(
+      { _id: hotel._id, 'rooms.room_type': existing.room_type },
+      { $set: { 'rooms.$': room, updated_at: new Date() } }
+    );
+    
+    res.json({ success: true, message: 'Room type updated successfully', room });
+  } catch (error) {
+    next(catalogWriteError(error));
+  }
+});
+
+/**
+ * Remove a room type
+ * DELETE /api/admin/hotels/:id/rooms/:roomType - Removes a room type with no upcoming bookings
+ */
+router.delete('/hotels/:id/rooms/:roomType', async (req, res, next) => {
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const { id, roomType } = req.params;
+    
+    const inUse = await findRoomTypesInUse(db, id, [roomType]);
+    if (inUse.length > 0) {
+      throw new ConflictError(`${roomType} still has upcoming bookings`, { code: 'ROOM_TYPE_IN_USE' });
+    }
+    
+    const result = await db.collection(COLLECTIONS.HOTELS).updateOne(
+      { _id: id, 'rooms.room_type': roomType },
+      { $pull: { rooms: { room_type: roomType } }, $set: { updated_at: new Date() } }
+    );
+    
+    if (result.matchedCount === 0) {
+      throw new NotFoundError('Room type not found');
+    }
+    
+    await db.collection(COLLECTIONS.ROOM_INVENTORY).deleteMany({ hotel_id: id, room_type: roomType });
+    
+    res.json({ success: true, message: 'Room type removed successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List bookings across all users
+ * GET /api/admin/bookings?q=&status=&page= - Paginated, newest first
+ */
+router.get('/bookings', listRecords(RECORD_TABLES.bookings));
+router.get('/bookings/export', exportRecords('bookings'));
+
+/**
+ * List the payments ledger
+ * GET /api/admin/payments?q=&status=&page= - Paginated, newest first
+ */
+router.get('/payments', listRecords(RECORD_TABLES.payments));
+router.get('/payments/export', exportRecords('payments'));
+
+/**
+ * List contact form messages
+ * GET /api/admin/contacts?q=&status=&page= - Paginated, newest first
+ */
+router.get('/contacts', listRecords(RECORD_TABLES.contacts));
+router.get('/contacts/export', exportRecords('contacts'));
+
+/**
+ * List guest reviews
+ * GET /api/admin/reviews?q=&status=&page= - Paginated, newest first
+ */
+router.get('/reviews', listRecords(RECORD_TABLES.reviews));
+router.get('/reviews/export', exportRecords('reviews'));
+
+/**
+ * Close out a stay
+ * PATCH /api/admin/bookings/:id/status - Marks a booking completed or no-show once check-in has passed; the rest of the stay is released or reserved again to match
+ */
+router.patch('/bookings/:id/status', validateRequest({ params: SCHEMAS.bookingId, body: SCHEMAS.bookingStatusChange }), async (req, res, next) => {
+  const { status } = req.body;
+  
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const bookings = db.collection(COLLECTIONS.BOOKINGS);
+    const booking = await bookings.findOne({ _id: new ObjectId(req.params.id) });
+    if (!booking) {
+      throw new NotFoundError('Booking not found');
+    }
+    
+    const today = new Date().toISOString().split('T')[0];
+    if (booking.check_in > today) {
+      throw new ConflictError('The stay has not started yet', { code: 'STAY_NOT_STARTED' });
+    }
+    
+    if (!BOOKING_STATUS_CHANGES[status].includes(booking.booking_status)) {
+      throw new ConflictError(`A ${booking.booking_status} booking cannot be marked ${status}`, { code: 'INVALID_STATUS_CHANGE' });
+    }
+    
+    // Nights a no-show gave up have to be claimed again, and may have been sold since
+    const remaining = getStayNights(booking.check_in, booking.check_out).filter(night => night >= today);
+    const reclaiming = booking.booking_status === BOOKING_STATUS.NO_SHOW && remaining.length > 0;
+    if (reclaiming) {
+      const hotel = await db.collection(COLLECTIONS.HOTELS).findOne({ _id: booking.hotel_id });
+      if (!hotel || !(await reserveNights(db, hotel, booking.room_type, remaining))) {
+        throw new ConflictError(`${booking.room_type} is fully booked for the rest of this stay`, { code: 'ROOM_UNAVAILABLE' });
+      }
+    }
+    
+    // Only applies if nobody changed the booking since it was read
+    const result = await bookings.updateOne(
+      { _id: booking._id, booking_status: booking.booking_status },
+      { $set: { booking_status: status, status_changed_by: req.session.user.email, updated_at: new Date() } }
+    );
+    
+    if (result.modifiedCount === 0) {
+      if (reclaiming) {
+        await releaseNights(db, booking.hotel_id, booking.room_type, remaining);
+      }
+      throw new ConflictError('The booking was changed by someone else. Please reload and try again', { code: 'INVALID_STATUS_CHANGE' });
+    }
+    
+    // A guest who never arrived leaves the rest of the stay free to sell
+    if (status === BOOKING_STATUS.NO_SHOW) {
+      await releaseNights(db, booking.hotel_id, booking.room_type, remaining);
+    }
+    
+    res.json({ success: true, message: 'Booking status updated', booking_status: status });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Track follow-up on a contact message
+ * PATCH /api/admin/contacts/:id/status - Marks a message read or replied
+ */
+router.patch('/contacts/:id/status', validateRequest({ params: SCHEMAS.recordId, body: SCHEMAS.contactStatusChange }), async (req, res, next) => {
+  const { status } = req.body;
+  
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const result = await db.collection(COLLECTIONS.CONTACTS).updateOne(
+      { _id: new ObjectId(req.params.id) },
+      { $set: { status, updated_at: new Date() } }
+    );
+    
+    if (result.matchedCount === 0) {
+      throw new NotFoundError('Message not found');
+    }
+    
+    res.json({ success: true, message: 'Message status updated', status });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Moderate a guest review
+ * PATCH /api/admin/reviews/:id/status - Approves or rejects a review and recomputes the hotel's rating
+ */
+router.patch('/reviews/:id/status', validateRequest({ params: SCHEMAS.recordId, body: SCHEMAS.reviewModeration }), async (req, res, next) => {
+  const { status } = req.body;
+  
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const review = await db.collection(COLLECTIONS.REVIEWS).findOneAndUpdate(
+      { _id: new ObjectId(req.params.id) },
+      { $set: { status, moderated_by: req.session.user.email, moderated_at: new Date(), updated_at: new Date() } }
+    );
+    
+    if (!review) {
+      throw new NotFoundError('Review not found');
+    }
+    
+    const summary = await recomputeHotelRating(db, review.hotel_id);
+    
+    res.json({ success: true, message: 'Review updated', status, hotel_rating: summary });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List promo codes
+ * GET /api/admin/promo-codes - Every code, newest first, with `redemption_count` in place of the redemptions
+ */
+router.get('/promo-codes', async (req, res, next) => {
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const promoCodes = await db.collection(COLLECTIONS.PROMO_CODES).aggregate([
+      { $sort: { created_at: -1, _id: -1 } },
+      { $addFields: { redemption_count: { $size: { $ifNull: ['$redemptions', []] } } } },
+      { $project: { redemptions: 0 } }
+    ]).toArray();
+    
+    res.json({ success: true, promo_codes: promoCodes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create a promo code
+ * POST /api/admin/promo-codes - Adds an active code with its discount and optional rules (dates, minimum spend, hotels, caps)
+ */
+router.post('/promo-codes', validateRequest({ body: SCHEMAS.promoCode }), async (req, res, next) => {
+  const promo = buildPromoCode(req.body);
+  
+  const errors = validatePromoTerms(promo);
+  if (errors.length > 0) {
+    return next(new ValidationError(errors[0].message, { details: { errors } }));
+  }
+  
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    // A code limited to a hotel that doesn't exist could never be used
+    if (promo.hotel_ids) {
+      const found = await db.collection(COLLECTIONS.HOTELS).distinct('_id', { _id: { $in: promo.hotel_ids } });
+      const unknown = promo.hotel_ids.filter(id => !found.includes(id));
+      if (unknown.length > 0) {
+        const message = `Unknown hotel: ${unknown.join(', ')}`;
+        throw new ValidationError(message, { details: { errors: [{ field: 'hotel_ids', message }] } });
+      }
+    }
+    
+    promo.created_at = new Date();
+    promo.updated_at = new Date();
+    
+    await db.collection(COLLECTIONS.PROMO_CODES).insertOne(promo);
+    
+    res.json({ success: true, message: 'Promo code created successfully', promo_code: promo });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ConflictError(`Promo code ${promo.code} already exists`, { code: 'PROMO_EXISTS' }));
+    }
+    next(error);
+  }
+});
+
+/**
+ * Turn a promo code off or back on
+ * PATCH /api/admin/promo-codes/:id/status - Body: { active }; inactive codes are refused at checkout, past uses are kept
+ */
+router.patch('/promo-codes/:id/status', validateRequest({ params: SCHEMAS.recordId, body: SCHEMAS.promoCodeStatusChange }), async (req, res, next) => {
+  const { active } = req.body;
+  
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const promo = await db.collection(COLLECTIONS.PROMO_CODES).findOneAndUpdate(
+      { _id: new ObjectId(req.params.id) },
+      { $set: { active, updated_at: new Date() } },
+      { returnDocument: 'after', projection: { redemptions: 0 } }
+    );
+    
+    if (!promo) {
+      throw new NotFoundError('Promo code not found');
+    }
+    
+    res.json({ success: true, message: active ? 'Promo code activated' : 'Promo code deactivated', promo_code: promo });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Background job schedule and history
+ * GET /api/admin/jobs?job= - Each scheduled job with its next and last run, plus the 50 most recent runs
+ */
+router.get('/jobs', async (req, res, next) => {
+  const { job } = req.query;
+  
+  if (job !== undefined && !JOBS.some(entry => entry.name === job)) {
+    return next(new ValidationError(`Unknown job: ${job}`));
+  }
+  
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const jobs = await listJobs(db);
+    const runs = await db.collection(COLLECTIONS.JOB_RUNS)
+      .find(job ? { job } : {})
+      .sort({ started_at: -1 })
+      .limit(JOB_RUNS_LIMIT)
+      .toArray();
+    
+    res.json({ success: true, jobs, runs });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Build the aggregation pipeline behind a back-office table
+ * @param {Object} table - Entry from RECORD_TABLES
+ * @param {Object} query - Request query (q, status)
+ * @returns {Object[]} - Pipeline stages up to and including the sort
+ */
+function buildRecordPipeline(table, query) {
+  const pipeline = [];
+  
+  if (query.status) {
+    pipeline.push({ $match: { [table.statusField]: String(query.status) } });
+  }
+  
+  // Attach the account's name and email (never the password hash)
+  if (table.withUser) {
+    pipeline.push(
+      {
+        $lookup: {
+          from: COLLECTIONS.USERS,
+          localField: 'user_id',
+          foreignField: '_id',
+          pipeline: [{ $project: { first_name: 1, last_name: 1, email: 1 } }],
+          as: 'user'
+        }
+      },
+      { $set: { user: { $arrayElemAt: ['$user', 0] } } }
+    );
+  }
+  
+  const search = String(query.q || '').trim();
+  if (search) {
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    const or = table.searchFields.map(field => ({ [field]: pattern }));
+    
+    // Booking and payment IDs can be searched by their full value
+    if (ObjectId.isValid(search)) {
+      or.push({ _id: new ObjectId(search) }, { booking_id: new ObjectId(search) });
+    }
+    pipeline.push({ $match: { $or: or } });
+  }
+  
+  pipeline.push({ $sort: { created_at: -1 } });
+  return pipeline;
+}
+
+/**
+ * Route handler listing one back-office table
+ * @param {Object} table - Entry from RECORD_TABLES
+ * @returns {Function} - Express handler
+ */
+function listRecords(table) {
+  return async (req, res, next) => {
+    try {
+      // Get database connection
+      const db = database.getDb();
+      if (!db) {
+        throw new ServiceUnavailableError();
+      }
+      
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      
+      const [result] = await db.collection(table.collection).aggregate([
+        ...buildRecordPipeline(table, req.query),
+        {
+          $facet: {
+            records: [{ $skip: (page - 1) * PAGE_SIZE }, { $limit: PAGE_SIZE }],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]).toArray();
+      
+      const total = result.total.length > 0 ? result.total[0].count : 0;
+      
+      res.json({
+        success: true,
+        records: result.records,
+        total,
+        page,
+        pages: Math.max(Math.ceil(total / PAGE_SIZE), 1)
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Route handler exporting one back-office table as CSV
+ * Applies the same search and status filter as the table on screen.
+ * @param {string} name - Key in RECORD_TABLES
+ * @returns {Function} - Express handler
+ */
+function exportRecords(name) {
+  const table = RECORD_TABLES[name];
+  
+  return async (req, res, next) => {
+    try {
+      // Get database connection
+      const db = database.getDb();
+      if (!db) {
+        throw new ServiceUnavailableError();
+      }
+      
+      const records = await db.collection(table.collection).aggregate([
+        ...buildRecordPipeline(table, req.query),
+        { $limit: EXPORT_LIMIT }
+      ]).toArray();
+      
+      const date = new Date().toISOString().split('T')[0];
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${name}-${date}.csv"`);
+      res.send(toCsv(records, table.columns));
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Copy the listed fields that are present in the source
+ * @param {Object} source - Request body
+ * @param {string[]} fields - Allowed field names
+ * @returns {Object} - New object with only those fields
+ */
+function pick(source, fields) {
+  const result = {};
+  for (const field of fields) {
+    if (source && source[field] !== undefined) {
+      result[field] = source[field];
+    }
+  }
+  return result;
+}
+
+/**
+ * Turn a hotel name into an ID
+ * @param {string} name - Hotel name
+ * @returns {string} - e.g. "Grand Palace Hotel" -> "grand-palace-hotel"
+ */
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Validate a whole hotel document
+ * @param {Object} hotel - Hotel document
+ * @returns {Object[]} - SCHEMAS.hotel errors plus duplicate room type names
+ */
+function validateHotel(hotel) {
+  const errors = validate(SCHEMAS.hotel, hotel);
+  
+  const seen = new Set();
+  for (const room of hotel.rooms || []) {
+    if (seen.has(room.room_type)) {
+      errors.push({ field: 'rooms', message: `Room type ${room.room_type} is listed twice` });
+    }
+    seen.add(room.room_type);
+  }
+  
+  return errors;
+}
+
+/**
+ * Find which room types still have upcoming bookings
+ * @param {Object} db - Database handle
+ * @param {string} hotelId - Hotel ID
+ * @param {string[]} roomTypes - Room types to check
+ * @returns {Promise<string[]>} - Room types that are still booked
+ */
+async function findRoomTypesInUse(db, hotelId, roomTypes) {
+  if (roomTypes.length === 0) {
+    return [];
+  }
+  
+  const today = new Date().toISOString().split('T')[0];
+  return db.collection(COLLECTIONS.BOOKINGS).distinct('room_type', {
+    hotel_id: hotelId,
+    room_type: { $in: roomTypes },
+    booking_status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED] },
+    check_out: { $gte: today }
+  });
+}
+
+/**
+ * Find room types whose units would drop below what is already booked
+ * Compares each room's units with its busiest night from today on in room_inventory.
+ * @param {Object} db - Database handle
+ * @param {string} hotelId - Hotel ID
+ * @param {Object[]} rooms - Room types as they would be saved
+ * @returns {Promise<Object[]>} - { room_type, units, booked } for every room that is too small
+ */
+async function findRoomsBelowBookings(db, hotelId, rooms) {
+  if (rooms.length === 0) {
+    return [];
+  }
+  
+  const today = new Date().toISOString().split('T')[0];
+  const peaks = await db.collection(COLLECTIONS.ROOM_INVENTORY).aggregate([
+    { $match: { hotel_id: hotelId, room_type: { $in: rooms.map(room => room.room_type) }, date: { $gte: today } } },
+    { $group: { _id: '$room_type', booked: { $max: '$booked' } } }
+  ]).toArray();
+  
+  return peaks
+    .map(peak => {
+      const room = rooms.find(entry => entry.room_type === peak._id);
+      const units = typeof room.units === 'number' ? room.units : DEFAULT_ROOM_UNITS;
+      return { room_type: peak._id, units, booked: peak.booked };
+    })
+    .filter(entry => entry.units < entry.booked);
+}
+
+/**
+ * Error for a room type cut below its upcoming bookings
+ * @param {Object} overbooked - Entry from findRoomsBelowBookings
+ * @returns {ConflictError}
+ */
+function unitsBelowBookingsError(overbooked) {
+  return new ConflictError(
+    `${overbooked.room_type} has ${overbooked.booked} rooms booked on an upcoming night; units cannot go below that`,
+    { code: 'UNITS_BELOW_BOOKINGS' }
+  );
+}
+
+/**
+ * Build a promo code document from a validated request body
+ * Dates cover whole days (UTC): a code starts at the beginning of `starts_at`
+ * and can still be used on `expires_at`.
+ * @param {Object} body - Request body checked against SCHEMAS.promoCode
+ * @returns {Object} - New, active promo code with no redemptions
+ */
+function buildPromoCode(body) {
+  const promo = {
+    code: normalizePromoCode(body.code),
+    discount_type: body.discount_type,
+    discount_value: Number(body.discount_value),
+    active: true,
+    redemptions: []
+  };
+  
+  if (body.description) {
+    promo.description = body.description.trim();
+  }
+  if (body.starts_at) {
+    promo.starts_at = new Date(`${body.starts_at}T00:00:00Z`);
+  }
+  if (body.expires_at) {
+    promo.expires_at = new Date(`${body.expires_at}T23:59:59.999Z`);
+  }
+  for (const field of PROMO_NUMBER_FIELDS) {
+    if (body[field] !== undefined && body[field] !== null && body[field] !== '') {
+      promo[field] = Number(body[field]);
+    }
+  }
+  if (body.hotel_ids) {
+    promo.hotel_ids = [...new Set(body.hotel_ids.map(id => id.trim()))];
+  }
+  
+  return promo;
+}
+
+/**
+ * Check the promo code rules that involve more than one field
+ * @param {Object} promo - Promo code from buildPromoCode
+ * @returns {Object[]} - { field, message } for every problem; empty when valid
+ */
+function validatePromoTerms(promo) {
+  const errors = [];
+  
+  if (promo.discount_type === PROMO_DISCOUNT_TYPES.PERCENT && promo.discount_value > 100) {
+    errors.push({ field: 'discount_value', message: 'A percentage discount can be at most 100' });
+  }
+  if (promo.starts_at && promo.expires_at && promo.expires_at < promo.starts_at) {
+    errors.push({ field: 'expires_at', message: 'Expiry date must be on or after the start date' });
+  }
+  
+  // An empty list would match no hotel at all; leave hotel_ids out to allow every hotel
+  if (promo.hotel_ids && promo.hotel_ids.length === 0) {
+    errors.push({ field: 'hotel_ids', message: 'Choose at least one hotel, or leave hotels out to allow every hotel' });
+  }
+  
+  return errors;
+}
+
+/**
+ * Classify a failed catalog write
+ * MongoDB rejects documents that slip past SCHEMAS.hotel with code 121.
+ * @param {Error} error - Write error
+ * @returns {Error} - ValidationError for schema rejections, otherwise the original error
+ */
+function catalogWriteError(error) {
+  if (error.code === 121) {
+    return new ValidationError('Hotel does not match the catalog schema');
+  }
+  
+  return error;
+}
+
+module.exports = router;
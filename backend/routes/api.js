@@ -2,31 +2,93 @@
 
 const express = require('express');
 const database = require('../database');
-const { COLLECTIONS } = require('../config/constants');
+const { SCHEMAS, validateRequest } = require('../middleware/validate');
+const { COLLECTIONS, CONTACT_STATUS, CONTACT_LIMIT, REVIEW_STATUS, REVIEWS_PAGE_SIZE } = require('../config/constants');
+const { getStayNights, getHotelAvailability } = require('../utils/availability');
+const { calculateQuote } = require('../utils/pricing');
+const { listCurrentDeals } = require('../utils/deals');
+const { getCancellationPolicy } = require('../utils/cancellation');
+const { searchHotels } = require('../utils/hotelSearch');
+const { suggestHotels } = require('../utils/textSearch');
+const { notify } = require('../utils/notifications');
+const { NotFoundError, RateLimitError, ServiceUnavailableError, ValidationError } = require('../utils/errors');
 
 const router = express.Router();
 
 /**
- * Get all hotels
- * GET /api/hotels - Returns list of all available hotels
+ * Search hotels
+ * GET /api/hotels?destination=&checkin=&checkout=&minPrice=&maxPrice=&rating=&amenities[]=&type=&guests=&sort=&page=&limit=
+ * Returns one page of matching hotels plus the total number of matches; with dates,
+ * only hotels with a room free for the whole stay, each priced for the stay
  */
-router.get('/hotels', async (req, res) => {
+router.get('/hotels', async (req, res, next) => {
   try {
     // Get database connection
     const db = database.getDb();
     if (!db) {
-      return res.json({ success: false, message: 'Database not connected' });
+      throw new ServiceUnavailableError();
     }
     
-    // Retrieve all hotels from database
-    const hotels = await db.collection(COLLECTIONS.HOTELS).find({}).toArray();
+    // Filter, sort and page the catalog in the database
+    const result = await searchHotels(db, req.query);
+    if (result.error) {
+      throw new ValidationError(result.error);
+    }
     
     // Return hotels list
-    res.json({ success: true, hotels });
+    const { hotels, total, page, pages, limit } = result;
+    res.json({ success: true, hotels, total, page, pages, limit });
   } catch (error) {
-    // Log error and return error response
-    console.error('Hotels retrieval error:', error);
-    res.json({ success: false, message: 'Failed to retrieve hotels' });
+    next(error);
+  }
+});
+
+/**
+ * Free-text hotel search
+ * GET /api/hotels/search?q= - Same filters and paging as GET /api/hotels, ranked by relevance,
+ * with misspelled words corrected against the catalog
+ */
+router.get('/hotels/search', async (req, res, next) => {
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    if (typeof req.query.q !== 'string' || !req.query.q.trim()) {
+      throw new ValidationError('Search term is required');
+    }
+    
+    const result = await searchHotels(db, req.query);
+    if (result.error) {
+      throw new ValidationError(result.error);
+    }
+    
+    // Return ranked hotels
+    const { hotels, total, page, pages, limit } = result;
+    res.json({ success: true, hotels, total, page, pages, limit });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Search suggestions
+ * GET /api/hotels/suggest?q= - Destinations and hotels matching what has been typed so far
+ */
+router.get('/hotels/suggest', async (req, res, next) => {
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const suggestions = await suggestHotels(db, req.query.q);
+    res.json({ success: true, suggestions });
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -34,12 +96,12 @@ router.get('/hotels', async (req, res) => {
  * Get specific hotel details
  * GET /api/hotels/:id - Returns detailed information for specific hotel
  */
-router.get('/hotels/:id', async (req, res) => {
+router.get('/hotels/:id', async (req, res, next) => {
   try {
     // Get database connection
     const db = database.getDb();
     if (!db) {
-      return res.json({ success: false, message: 'Database not connected' });
+      throw new ServiceUnavailableError();
     }
     
     // Find hotel by ID (string ID, not ObjectId)
@@ -47,39 +109,168 @@ router.get('/hotels/:id', async (req, res) => {
     
     // Check if hotel exists
     if (!hotel) {
-      return res.json({ success: false, message: 'Hotel not found' });
+      throw new NotFoundError('Hotel not found');
     }
     
+    // Attach the cancellation terms each room is sold under
+    hotel.rooms = (hotel.rooms || []).map(room => ({
+      ...room,
+      cancellation_policy: getCancellationPolicy(hotel, room.room_type)
+    }));
+    
     // Return hotel details
     res.json({ success: true, hotel });
   } catch (error) {
-    // Log error and return error response
-    console.error('Hotel details error:', error);
-    res.json({ success: false, message: 'Failed to retrieve hotel details' });
+    next(error);
   }
 });
 
 /**
- * Submit contact form
- * POST /api/contact - Saves contact form submission to database
+ * Get published reviews for a hotel
+ * GET /api/hotels/:id/reviews?page= - Approved reviews, newest first, with the hotel's rating summary
  */
-router.post('/contact', async (req, res) => {
-  // Extract form data from request body
-  const { name, email, subject, message } = req.body;
+router.get('/hotels/:id/reviews', async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
   
-  // Validate required fields
-  if (!name || !email || !subject || !message) {
-    return res.json({ 
-      success: false, 
-      message: 'All fields are required' 
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const hotel = await db.collection(COLLECTIONS.HOTELS).findOne(
+      { _id: req.params.id },
+      { projection: { rating: 1, review_count: 1, review_scores: 1 } }
+    );
+    if (!hotel) {
+      throw new NotFoundError('Hotel not found');
+    }
+    
+    const filter = { hotel_id: hotel._id, status: REVIEW_STATUS.APPROVED };
+    const [reviews, total] = await Promise.all([
+      db.collection(COLLECTIONS.REVIEWS)
+        .find(filter, { projection: { reviewer_name: 1, rating: 1, scores: 1, comment: 1, created_at: 1 } })
+        .sort({ created_at: -1 })
+        .skip((page - 1) * REVIEWS_PAGE_SIZE)
+        .limit(REVIEWS_PAGE_SIZE)
+        .toArray(),
+      db.collection(COLLECTIONS.REVIEWS).countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      summary: {
+        rating: hotel.rating,
+        review_count: hotel.review_count || 0,
+        review_scores: hotel.review_scores || null
+      },
+      reviews,
+      total,
+      page,
+      pages: Math.max(Math.ceil(total / REVIEWS_PAGE_SIZE), 1)
     });
+  } catch (error) {
+    next(error);
   }
+});
+
+/**
+ * Get room availability for a stay
+ * GET /api/hotels/:id/availability?checkin=&checkout=&guests= - Returns free units per room type
+ */
+router.get('/hotels/:id/availability', validateRequest({ query: SCHEMAS.availability }), async (req, res, next) => {
+  // Extract stay details from query string
+  const { checkin, checkout } = req.query;
+  const guests = parseInt(req.query.guests, 10) || 1;
+
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+
+    // Find hotel by ID (string ID, not ObjectId)
+    const hotel = await db.collection(COLLECTIONS.HOTELS).findOne({ _id: req.params.id });
+    if (!hotel) {
+      throw new NotFoundError('Hotel not found');
+    }
+
+    // Work out remaining units for every room type across the stay
+    const nights = getStayNights(checkin, checkout);
+    const rooms = await getHotelAvailability(db, hotel, nights, guests);
+
+    res.json({
+      success: true,
+      hotel_id: hotel._id,
+      checkin,
+      checkout,
+      nights: nights.length,
+      guests,
+      rooms
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a price quote for a stay
+ * GET /api/hotels/:id/quote?room_type=&checkin=&checkout=&guests= - Returns the server-side price breakdown
+ */
+router.get('/hotels/:id/quote', validateRequest({ query: SCHEMAS.quote }), async (req, res, next) => {
+  // Extract stay details from query string
+  const { room_type: roomType, checkin, checkout, guests } = req.query;
   
   try {
     // Get database connection
     const db = database.getDb();
     if (!db) {
-      return res.json({ success: false, message: 'Database not connected' });
+      throw new ServiceUnavailableError();
+    }
+    
+    // Find hotel by ID (string ID, not ObjectId)
+    const hotel = await db.collection(COLLECTIONS.HOTELS).findOne({ _id: req.params.id });
+    if (!hotel) {
+      throw new NotFoundError('Hotel not found');
+    }
+    
+    // Price the stay from stored rates
+    const result = await calculateQuote(db, hotel, { roomType, checkin, checkout, guests });
+    if (result.error) {
+      throw new ValidationError(result.error);
+    }
+    
+    res.json({ success: true, quote: result.quote });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Submit contact form
+ * POST /api/contact - Saves contact form submission to database and emails the sender an acknowledgment; limited per email address and IP
+ */
+router.post('/contact', validateRequest({ body: SCHEMAS.contact }), async (req, res, next) => {
+  // Extract form data from request body
+  const [name, email, subject, message] = ['name', 'email', 'subject', 'message'].map(field => req.body[field].trim());
+  
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    // Each message sends an email to the given address, so cap how many one address or IP can send
+    const windowStart = new Date(Date.now() - CONTACT_LIMIT.WINDOW_MINUTES * 60 * 1000);
+    const recentMessages = await db.collection(COLLECTIONS.CONTACTS).countDocuments({
+      $or: [{ email }, { ip: req.ip }],
+      created_at: { $gte: windowStart }
+    });
+    if (recentMessages >= CONTACT_LIMIT.MAX_MESSAGES) {
+      throw new RateLimitError('Too many messages sent. Please try again later.');
     }
     
     // Create contact message record
@@ -88,46 +279,47 @@ router.post('/contact', async (req, res) => {
       email, // Sender's email
       subject, // Message subject
       message, // Message content
-      status: 'unread', // Initial status
+      ip: req.ip, // Sender's IP, for the rate limit
+      status: CONTACT_STATUS.UNREAD, // Initial status
       created_at: new Date() // Submission timestamp
     };
     
     // Insert contact message into database
-    await db.collection(COLLECTIONS.CONTACTS).insertOne(contactMessage);
+    const result = await db.collection(COLLECTIONS.CONTACTS).insertOne(contactMessage);
+    
+    // Let the sender know we have it; not awaited
+    notify(db, 'contact_acknowledgment', {
+      to: email,
+      key: `contact_acknowledgment:${result.insertedId}`,
+      data: {}
+    });
     
     // Return success response
     res.json({ success: true, message: 'Message sent successfully' });
   } catch (error) {
-    // Log error and return error response
-    console.error('Contact form error:', error);
-    res.json({ success: false, message: 'Failed to send message' });
+    next(error);
   }
 });
 
 /**
- * Get active deals and promotions
- * GET /api/deals - Returns list of active deals
+ * Get the deals that can be booked now
+ * GET /api/deals - Returns deals with their rules and the hotels each covers, biggest discount first
  */
-router.get('/deals', async (req, res) => {
+router.get('/deals', async (req, res, next) => {
   try {
     // Get database connection
     const db = database.getDb();
     if (!db) {
-      return res.json({ success: false, message: 'Database not connected' });
+      throw new ServiceUnavailableError();
     }
     
-    // Find only active deals, sorted by creation date
-    const deals = await db.collection(COLLECTIONS.DEALS)
-      .find({ active: true }) // Only active deals
-      .sort({ created_at: -1 }) // Newest first
-      .toArray();
+    // Active deals inside their validity period, with each covered hotel's from price
+    const deals = await listCurrentDeals(db);
     
     // Return deals list
     res.json({ success: true, deals });
   } catch (error) {
-    // Log error and return error response
-    console.error('Deals retrieval error:', error);
-    res.json({ success: false, message: 'Failed to retrieve deals' });
+    next(error);
   }
 });
 
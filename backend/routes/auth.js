@@ -2,34 +2,50 @@
 
 const express = require('express');
 const bcrypt = require('bcryptjs');
+const { ObjectId } = require('mongodb');
 const database = require('../database');
-const { COLLECTIONS, USER_ROLES } = require('../config/constants');
+const { COLLECTIONS, USER_ROLES, PASSWORD_RESET_TOKEN_MINUTES, SITE_URL } = require('../config/constants');
+const { requireAuth } = require('../middleware/auth');
+const { SCHEMAS, validateRequest } = require('../middleware/validate');
+const { EMAIL_COLLATION, buildSessionUser, normalizeEmail } = require('../utils/profile');
+const { createToken, hashToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { isEmailVerified, sendVerificationEmail } = require('../utils/verification');
+const { endUserSessions } = require('../utils/sessionStore');
+const {
+  AuthenticationError,
+  ConflictError,
+  NotFoundError,
+  ServiceUnavailableError,
+  ValidationError
+} = require('../utils/errors');
 
 const router = express.Router();
 
 /**
  * User registration endpoint
- * POST /api/register - Creates new user account
+ * POST /api/register - Creates new user account and emails a link to verify the address
  */
-router.post('/register', async (req, res) => {
+router.post('/register', validateRequest({ body: SCHEMAS.register }), async (req, res, next) => {
   // Extract user data from request body
-  const { name, email, password, phone } = req.body;
+  const { name, password, phone } = req.body;
+  const email = normalizeEmail(req.body.email);
   
   try {
     // Get database connection
     const db = database.getDb();
     if (!db) {
-      return res.json({ success: false, message: 'Database not connected' });
+      throw new ServiceUnavailableError();
     }
     
     // Check if email already exists in database
-    const existingUser = await db.collection(COLLECTIONS.USERS).findOne({ email });
+    const existingUser = await db.collection(COLLECTIONS.USERS).findOne({ email }, { collation: EMAIL_COLLATION });
     if (existingUser) {
-      return res.json({ success: false, message: 'Email already registered' });
+      throw new ConflictError('Email already registered', { code: 'EMAIL_TAKEN' });
     }
     
     // Split full name into first and last name
-    const [firstName, ...lastNameParts] = name.split(' ');
+    const [firstName, ...lastNameParts] = name.trim().split(/\s+/);
     
     // Hash password for secure storage (10 salt rounds)
     const hashedPassword = await bcrypt.hash(password, 10);
@@ -39,22 +55,25 @@ router.post('/register', async (req, res) => {
       first_name: firstName,
       last_name: lastNameParts.join(' ') || '', // Join remaining parts as last name
       email,
-      phone: phone || '', // Optional phone number
+      phone: phone ? phone.trim() : '', // Optional phone number
       password_hash: hashedPassword, // Store hashed password, never plain text
       role: USER_ROLES.CUSTOMER, // Default role for new users
+      email_verified: false, // Set once the emailed link is followed
       created_at: new Date(), // Registration timestamp
       updated_at: new Date() // Last update timestamp
     };
     
     // Insert new user into database
-    await db.collection(COLLECTIONS.USERS).insertOne(newUser);
+    const result = await db.collection(COLLECTIONS.USERS).insertOne(newUser);
+    
+    // The account works without the email; a new link can be requested from the dashboard
+    await sendVerificationEmail(db, { ...newUser, _id: result.insertedId })
+      .catch(error => console.error('Verification email error:', error));
     
     // Return success response
-    res.json({ success: true, message: 'Registration successful' });
+    res.json({ success: true, message: 'Registration successful. We sent you a link to verify your email address.' });
   } catch (error) {
-    // Log error and return generic error message
-    console.error('Registration error:', error);
-    res.json({ success: false, message: 'Server error during registration' });
+    next(error);
   }
 });
 
@@ -62,51 +81,43 @@ router.post('/register', async (req, res) => {
  * User login endpoint
  * POST /api/login - Authenticates user and creates session
  */
-router.post('/login', async (req, res) => {
+router.post('/login', validateRequest({ body: SCHEMAS.login }), async (req, res, next) => {
   // Extract login credentials from request body
-  const { email, password } = req.body;
+  const { password } = req.body;
+  const email = normalizeEmail(req.body.email);
   
   try {
     // Get database connection
     const db = database.getDb();
     if (!db) {
-      return res.json({ success: false, message: 'Database not connected' });
+      throw new ServiceUnavailableError();
     }
     
     // Find user by email address
-    const user = await db.collection(COLLECTIONS.USERS).findOne({ email });
+    const user = await db.collection(COLLECTIONS.USERS).findOne({ email }, { collation: EMAIL_COLLATION });
     if (!user) {
-      return res.json({ success: false, message: 'Invalid email or password' });
+      throw new AuthenticationError('Invalid email or password', { code: 'INVALID_CREDENTIALS' });
     }
     
     // Verify password hash exists (data integrity check)
     if (!user.password_hash) {
       console.error('User found but no password_hash field:', user);
-      return res.json({ success: false, message: 'Account needs to be re-registered' });
+      throw new ConflictError('Account needs to be re-registered', { code: 'ACCOUNT_INCOMPLETE' });
     }
     
     // Compare provided password with stored hash
     const isValid = await bcrypt.compare(password, user.password_hash);
+    if (!isValid) {
+      throw new AuthenticationError('Invalid email or password', { code: 'INVALID_CREDENTIALS' });
+    }
     
-    if (isValid) {
-      // Create user session with essential user data
-      req.session.user = { 
-        id: user._id, 
-        name: `${user.first_name} ${user.last_name}`, 
-        email: user.email,
-        role: user.role
-      };
+    // Create user session with essential user data
+    req.session.user = buildSessionUser(user);
       
-      // Return success with user data
-      res.json({ success: true, user: req.session.user });
-    } else {
-      // Invalid password
-      res.json({ success: false, message: 'Invalid email or password' });
-    }
+    // Return success with user data
+    res.json({ success: true, user: req.session.user });
   } catch (error) {
-    // Log error and return generic error message
-    console.error('Login error:', error);
-    res.json({ success: false, message: 'Server error during login' });
+    next(error);
   }
 });
 
@@ -130,12 +141,11 @@ router.get('/user', (req, res) => {
  * User logout endpoint
  * POST /api/logout - Destroys user session
  */
-router.post('/logout', (req, res) => {
+router.post('/logout', (req, res, next) => {
   // Destroy the user session
   req.session.destroy((err) => {
     if (err) {
-      console.error('Logout error:', err);
-      return res.json({ success: false, message: 'Logout failed' });
+      return next(err);
     }
     
     // Session destroyed successfully
@@ -143,4 +153,164 @@ router.post('/logout', (req, res) => {
   });
 });
 
+/**
+ * Verify an email address
+ * GET /api/verify-email?token= - Followed from the registration email; redirects to the dashboard or login page
+ */
+router.get('/verify-email', async (req, res) => {
+  const token = typeof req.query.token === 'string' ? req.query.token : '';
+  const page = req.session.user ? '/dashboard' : '/login';
+  
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db || !token) {
+      return res.redirect(`${page}?error=verification_link_invalid`);
+    }
+    
+    const now = new Date();
+    const user = await db.collection(COLLECTIONS.USERS).findOneAndUpdate(
+      { email_verification_token_hash: hashToken(token), email_verification_expires_at: { $gt: now } },
+      {
+        $set: { email_verified: true, email_verified_at: now, updated_at: now },
+        $unset: { email_verification_token_hash: '', email_verification_expires_at: '' }
+      },
+      { returnDocument: 'after' }
+    );
+    
+    if (!user) {
+      return res.redirect(`${page}?error=verification_link_invalid`);
+    }
+    
+    // Refresh the session if the link was opened while signed in as this user
+    if (req.session.user && String(req.session.user.id) === String(user._id)) {
+      req.session.user = buildSessionUser(user);
+    }
+    
+    res.redirect(`${page}?email_verified=true`);
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.redirect(`${page}?error=verification_link_invalid`);
+  }
+});
+
+/**
+ * Send a new verification link
+ * POST /api/verify-email/resend - For the signed-in user; replaces any earlier link
+ */
+router.post('/verify-email/resend', requireAuth, async (req, res, next) => {
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const user = await db.collection(COLLECTIONS.USERS).findOne({ _id: new ObjectId(req.session.user.id) });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    
+    if (isEmailVerified(user)) {
+      req.session.user = buildSessionUser(user);
+      return res.json({ success: true, message: 'Your email address is already verified', email_verified: true });
+    }
+    
+    await sendVerificationEmail(db, user);
+    
+    res.json({ success: true, message: `We sent a new verification link to ${user.email}` });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Request a password reset link
+ * POST /api/password/forgot - Body: { email }
+ * The response is the same whether or not the email is registered
+ */
+router.post('/password/forgot', validateRequest({ body: SCHEMAS.passwordForgot }), async (req, res, next) => {
+  const email = normalizeEmail(req.body.email);
+  const message = 'If an account exists for that email, we have sent a link to reset your password.';
+  
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const users = db.collection(COLLECTIONS.USERS);
+    const user = await users.findOne({ email }, { collation: EMAIL_COLLATION });
+    
+    if (user) {
+      // A new request replaces any earlier link
+      const { token, hash } = createToken();
+      await users.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            password_reset_token_hash: hash,
+            password_reset_expires_at: new Date(Date.now() + PASSWORD_RESET_TOKEN_MINUTES * 60 * 1000)
+          }
+        }
+      );
+      
+      // Not awaited, so a slow mail transport doesn't reveal that the account exists.
+      // Built from SITE_URL: a forged Host header must not redirect the token elsewhere
+      const resetLink = `${SITE_URL}/login?reset_token=${token}`;
+      sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.first_name},\n\nFollow this link within ${PASSWORD_RESET_TOKEN_MINUTES} minutes to choose a new password:\n${resetLink}\n\nIf you did not ask to reset your password, you can ignore this email.`
+      }).catch(error => console.error('Password reset email error:', error));
+    }
+    
+    res.json({ success: true, message });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Choose a new password with a reset link
+ * POST /api/password/reset - Body: { token, password }
+ * Each link works once and only until it expires
+ */
+router.post('/password/reset', validateRequest({ body: SCHEMAS.passwordReset }), async (req, res, next) => {
+  const { token, password } = req.body;
+  
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    // Hash password for secure storage (10 salt rounds)
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const now = new Date();
+    
+    // Matching and clearing the token in one update makes the link single-use
+    const user = await db.collection(COLLECTIONS.USERS).findOneAndUpdate(
+      { password_reset_token_hash: hashToken(token), password_reset_expires_at: { $gt: now } },
+      {
+        $set: { password_hash: hashedPassword, password_changed_at: now, updated_at: now },
+        $unset: { password_reset_token_hash: '', password_reset_expires_at: '' }
+      }
+    );
+    
+    if (!user) {
+      throw new ValidationError('This reset link is invalid or has expired', { code: 'RESET_LINK_INVALID' });
+    }
+    
+    // Whoever was signed in with the old password is signed out
+    await endUserSessions(db, user._id);
+    
+    res.json({ success: true, message: 'Your password has been reset. You can now log in.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
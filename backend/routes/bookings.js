@@ -4,7 +4,36 @@ const express = require('express');
 const { ObjectId } = require('mongodb');
 const database = require('../database');
 const { requireAuth } = require('../middleware/auth');
-const { COLLECTIONS, BOOKING_STATUS } = require('../config/constants');
+const { SCHEMAS, validateRequest } = require('../middleware/validate');
+const {
+  COLLECTIONS,
+  BOOKING_STATUS,
+  REFUND_STATUS,
+  BOOKING_HOLD_MINUTES,
+  DEFAULT_CANCELLATION_POLICY
+} = require('../config/constants');
+const { releaseRoom } = require('../utils/availability');
+const { evaluateCancellation, requestRefund, requestChangeRefund } = require('../utils/cancellation');
+const { calculateQuote, roundMoney } = require('../utils/pricing');
+const { initializePayment } = require('../utils/paystack');
+const {
+  AppError,
+  ConflictError,
+  NotFoundError,
+  ServiceUnavailableError,
+  UpstreamError,
+  ValidationError
+} = require('../utils/errors');
+const {
+  getTargetStay,
+  isStayChanged,
+  holdModification,
+  releaseModification,
+  cancelPendingModification,
+  buildModifiedStay,
+  applyModification
+} = require('../utils/modifications');
+const { notifyBooking } = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -12,26 +41,37 @@ const router = express.Router();
  * Get all user bookings
  * GET /api/bookings - Returns list of current user's bookings
  */
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, async (req, res, next) => {
   try {
     // Get database connection
     const db = database.getDb();
     if (!db) {
-      return res.json({ success: false, message: 'Database not connected' });
+      throw new ServiceUnavailableError();
     }
     
     // Find all bookings for current user, sorted by creation date (newest first)
     const userBookings = await db.collection(COLLECTIONS.BOOKINGS)
-      .find({ user_id: new ObjectId(req.session.user.id) })
+      .find({ 
+        user_id: new ObjectId(req.session.user.id),
+        booking_status: { $ne: BOOKING_STATUS.EXPIRED } // Hide holds that were never paid
+      })
       .sort({ created_at: -1 }) // Sort by newest first
       .toArray();
     
+    // Show which completed stays have already been reviewed
+    const reviews = await db.collection(COLLECTIONS.REVIEWS)
+      .find({ booking_id: { $in: userBookings.map(booking => booking._id) } })
+      .project({ booking_id: 1, status: 1, rating: 1 })
+      .toArray();
+    for (const booking of userBookings) {
+      const review = reviews.find(entry => entry.booking_id.equals(booking._id));
+      booking.review = review ? { status: review.status, rating: review.rating } : null;
+    }
+    
     // Return user's bookings
     res.json({ success: true, bookings: userBookings });
   } catch (error) {
-    // Log error and return error response
-    console.error('Bookings retrieval error:', error);
-    res.json({ success: false, message: 'Failed to retrieve bookings' });
+    next(error);
   }
 });
 
@@ -39,12 +79,12 @@ router.get('/', requireAuth, async (req, res) => {
  * Get specific booking details
  * GET /api/bookings/:id - Returns detailed information for specific booking
  */
-router.get('/:id', requireAuth, async (req, res) => {
+router.get('/:id', requireAuth, validateRequest({ params: SCHEMAS.bookingId }), async (req, res, next) => {
   try {
     // Get database connection
     const db = database.getDb();
     if (!db) {
-      return res.json({ success: false, message: 'Database not connected' });
+      throw new ServiceUnavailableError();
     }
     
     // Find booking by ID and ensure it belongs to current user
@@ -56,15 +96,178 @@ router.get('/:id', requireAuth, async (req, res) => {
     
     // Check if booking exists and belongs to user
     if (!booking) {
-      return res.json({ success: false, message: 'Booking not found or access denied' });
+      throw new NotFoundError('Booking not found or access denied');
     }
     
     // Return booking details
     res.json({ success: true, booking });
   } catch (error) {
-    // Log error and return error response
-    console.error('Booking details error:', error);
-    res.json({ success: false, message: 'Failed to retrieve booking details' });
+    next(error);
+  }
+});
+
+/**
+ * Modify a booking
+ * PATCH /api/bookings/:id - Moves dates, switches room type or changes guests on an upcoming booking.
+ * A cheaper stay is applied at once and the difference refunded through Paystack;
+ * a dearer one is held while the guest pays the difference through Paystack.
+ */
+router.patch('/:id', requireAuth, validateRequest({ params: SCHEMAS.bookingId, body: SCHEMAS.bookingChange }), async (req, res, next) => {
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    // Find booking to verify ownership and current status
+    const booking = await db.collection(COLLECTIONS.BOOKINGS)
+      .findOne({ 
+        _id: new ObjectId(req.params.id),
+        user_id: new ObjectId(req.session.user.id)
+      });
+    
+    if (!booking) {
+      throw new NotFoundError('Booking not found or access denied');
+    }
+    
+    // Only paid, upcoming stays can change
+    if (booking.booking_status !== BOOKING_STATUS.CONFIRMED) {
+      throw new ConflictError('Only confirmed bookings can be modified', { code: 'BOOKING_NOT_MODIFIABLE' });
+    }
+    
+    if (new Date(booking.check_in) <= new Date()) {
+      throw new ConflictError('Bookings can only be modified before check-in', { code: 'BOOKING_NOT_MODIFIABLE' });
+    }
+    
+    // One change at a time; an abandoned one gives way once its hold lapses
+    if (booking.pending_modification) {
+      if (booking.pending_modification.expires_at > new Date()) {
+        throw new ConflictError('A change to this booking is already awaiting payment', { code: 'MODIFICATION_PENDING' });
+      }
+      await cancelPendingModification(db, booking);
+      delete booking.pending_modification;
+    }
+    
+    const target = getTargetStay(booking, req.body);
+    if (!isStayChanged(booking, target)) {
+      throw new ValidationError('No changes to apply', { code: 'NO_CHANGES' });
+    }
+    
+    const hotel = await db.collection(COLLECTIONS.HOTELS).findOne({ _id: booking.hotel_id });
+    if (!hotel) {
+      throw new NotFoundError('Hotel not found');
+    }
+    
+    // Price the new stay exactly like a new booking, keeping the promo code terms it was bought with
+    const result = await calculateQuote(db, hotel, {
+      roomType: target.room_type,
+      checkin: target.check_in,
+      checkout: target.check_out,
+      guests: target.guests
+    }, booking.promo);
+    if (result.error) {
+      throw new ValidationError(result.error);
+    }
+    const quote = result.quote;
+    
+    // Claim the nights the booking doesn't already hold
+    const held = await holdModification(db, hotel, booking, target);
+    if (!held) {
+      throw new ConflictError(`${quote.room_type} is fully booked for the selected dates`, { code: 'ROOM_UNAVAILABLE' });
+    }
+    
+    const stay = buildModifiedStay(hotel, quote);
+    const difference = roundMoney(quote.total - booking.total_amount);
+    
+    // Same price or cheaper: apply now and refund what was overpaid
+    if (difference <= 0) {
+      const refundDue = -difference;
+      const applied = await applyModification(db, booking, stay, { difference, refund_due: refundDue });
+      if (!applied) {
+        await releaseModification(db, booking, target);
+        throw new ConflictError('This booking changed while you were editing it. Please try again.', { code: 'BOOKING_CHANGED' });
+      }
+      
+      // Cancelling later refunds against the new, lower total, so the difference goes back now
+      let refund = { amount: 0, status: REFUND_STATUS.NONE };
+      if (refundDue > 0) {
+        refund = await requestChangeRefund(db, booking, refundDue);
+      }
+      
+      return res.json({ 
+        success: true, 
+        message: changeRefundMessage(refund),
+        booking_id: req.params.id,
+        quote,
+        refund
+      });
+    }
+    
+    // Dearer: hold the change while the guest pays the difference
+    const pending = {
+      stay,
+      amount_due: difference,
+      expires_at: new Date(Date.now() + BOOKING_HOLD_MINUTES * 60 * 1000)
+    };
+    
+    const saved = await db.collection(COLLECTIONS.BOOKINGS).updateOne(
+      { 
+        _id: booking._id, 
+        booking_status: BOOKING_STATUS.CONFIRMED, 
+        pending_modification: { $exists: false } 
+      },
+      { $set: { pending_modification: pending, updated_at: new Date() } }
+    );
+    if (saved.modifiedCount === 0) {
+      await releaseModification(db, booking, target);
+      throw new ConflictError('This booking changed while you were editing it. Please try again.', { code: 'BOOKING_CHANGED' });
+    }
+    
+    const pendingBooking = { ...booking, pending_modification: pending };
+    
+    try {
+      const response = await initializePayment({
+        email: req.session.user.email, // Customer email address
+        amount: Math.round(difference * 100), // Difference in kobo
+        currency: 'NGN',
+        callback_url: `${req.protocol}://${req.get('host')}/api/payment/verify`,
+        metadata: {
+          hotel_id: booking.hotel_id,
+          user_id: req.session.user.id,
+          booking_id: booking._id.toString(),
+          modification: true // Pays for pending_modification rather than a new booking
+        }
+      });
+      
+      if (!response.status) {
+        console.error('Paystack initialization error:', response);
+        throw new UpstreamError(response.message || 'Payment initialization failed');
+      }
+      
+      // Link the pending change to its Paystack transaction
+      await db.collection(COLLECTIONS.BOOKINGS).updateOne(
+        { _id: booking._id, 'pending_modification.expires_at': pending.expires_at },
+        { $set: { 'pending_modification.reference': response.data.reference } }
+      );
+      
+      res.json({ 
+        success: true, 
+        message: `Pay ₦${difference.toLocaleString()} to confirm the change`,
+        booking_id: req.params.id,
+        quote,
+        amount_due: difference,
+        authorization_url: response.data.authorization_url,
+        reference: response.data.reference,
+        hold_expires_at: pending.expires_at
+      });
+    } catch (error) {
+      // Give the extra nights back if the guest can't be sent to pay for them
+      await cancelPendingModification(db, pendingBooking);
+      throw error instanceof AppError ? error : new UpstreamError(`Payment service error: ${error.message}`);
+    }
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -72,12 +275,12 @@ router.get('/:id', requireAuth, async (req, res) => {
  * Cancel a booking
  * POST /api/bookings/:id/cancel - Cancels user's booking if eligible
  */
-router.post('/:id/cancel', requireAuth, async (req, res) => {
+router.post('/:id/cancel', requireAuth, validateRequest({ params: SCHEMAS.bookingId }), async (req, res, next) => {
   try {
     // Get database connection
     const db = database.getDb();
     if (!db) {
-      return res.json({ success: false, message: 'Database not connected' });
+      throw new ServiceUnavailableError();
     }
     
     // Find booking to verify ownership and current status
@@ -89,32 +292,45 @@ router.post('/:id/cancel', requireAuth, async (req, res) => {
     
     // Verify booking exists and belongs to user
     if (!booking) {
-      return res.json({ success: false, message: 'Booking not found or access denied' });
+      throw new NotFoundError('Booking not found or access denied');
     }
     
     // Check if booking is already cancelled
     if (booking.booking_status === BOOKING_STATUS.CANCELLED) {
-      return res.json({ success: false, message: 'Booking is already cancelled' });
+      throw new ConflictError('Booking is already cancelled', { code: 'BOOKING_NOT_CANCELLABLE' });
     }
     
-    // Check if booking can be cancelled (not in the past)
-    const checkinDate = new Date(booking.check_in);
-    const currentDate = new Date();
+    // Expired holds already gave their room back
+    if (booking.booking_status === BOOKING_STATUS.EXPIRED) {
+      throw new ConflictError('This booking hold has already expired', { code: 'BOOKING_NOT_CANCELLABLE' });
+    }
     
-    if (checkinDate <= currentDate) {
-      return res.json({ 
-        success: false, 
-        message: 'Cannot cancel bookings that have already started or are in the past' 
-      });
+    // Apply the policy agreed at purchase (no cancellations once the stay has started);
+    // bookings made before policies were snapshotted fall back to the site-wide default
+    const cancellation = evaluateCancellation(booking, booking.cancellation_policy || DEFAULT_CANCELLATION_POLICY);
+    if (!cancellation.allowed) {
+      throw new ConflictError(cancellation.message, { code: 'BOOKING_NOT_CANCELLABLE' });
     }
     
+    // Drop any change still waiting for payment along with its extra nights
+    await cancelPendingModification(db, booking);
+    
     // Update booking status to cancelled
     const updateResult = await db.collection(COLLECTIONS.BOOKINGS).updateOne(
-      { _id: new ObjectId(req.params.id) },
+      { 
+        _id: new ObjectId(req.params.id), 
+        booking_status: { $nin: [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.EXPIRED] } 
+      },
       { 
         $set: { 
           booking_status: BOOKING_STATUS.CANCELLED, // Set status to cancelled
           cancelled_at: new Date(), // Record cancellation timestamp
+          cancellation: { // Policy outcome at the time of cancellation
+            tier: cancellation.tier,
+            refund_percent: cancellation.refund_percent,
+            refund_amount: cancellation.refund_amount
+          },
+          refund: { amount: 0, status: REFUND_STATUS.NONE }, // Replaced below when money goes back
           updated_at: new Date() // Update modification timestamp
         }
       }
@@ -122,20 +338,64 @@ router.post('/:id/cancel', requireAuth, async (req, res) => {
     
     // Verify update was successful
     if (updateResult.modifiedCount === 0) {
-      return res.json({ success: false, message: 'Failed to cancel booking' });
+      throw new ConflictError('This booking changed while you were cancelling it. Please try again.', { code: 'BOOKING_CHANGED' });
+    }
+    
+    // Put the room back on sale for the cancelled nights
+    await releaseRoom(db, booking.hotel_id, booking.room_type, booking.check_in, booking.check_out);
+    
+    // Send the refundable share of the payment back through Paystack
+    let refund = { amount: 0, status: REFUND_STATUS.NONE };
+    if (cancellation.refund_amount > 0 && booking.transaction_reference) {
+      refund = await requestRefund(db, booking, cancellation.refund_amount);
     }
     
+    // Email the guest what happened to their money; not awaited
+    notifyBooking(db, 'booking_cancelled', booking, { refund });
+    
     // Return success response
     res.json({ 
       success: true, 
-      message: 'Booking cancelled successfully',
-      booking_id: req.params.id
+      message: refundMessage(refund),
+      booking_id: req.params.id,
+      cancellation,
+      refund
     });
   } catch (error) {
-    // Log error and return error response
-    console.error('Booking cancellation error:', error);
-    res.json({ success: false, message: 'Failed to cancel booking' });
+    next(error);
   }
 });
 
+/**
+ * Describe the refund outcome to the customer
+ * @param {Object} refund - Refund state stored on the booking
+ * @returns {string} - Message for the cancellation response
+ */
+function refundMessage(refund) {
+  switch (refund.status) {
+    case REFUND_STATUS.PENDING:
+      return `Booking cancelled. A refund of ₦${refund.amount.toLocaleString()} is on its way to your original payment method.`;
+    case REFUND_STATUS.FAILED:
+      return 'Booking cancelled. We could not start your refund automatically; our support team will follow up.';
+    default:
+      return 'Booking cancelled successfully';
+  }
+}
+
+/**
+ * Tell the guest what happens to the difference on a cheaper booking change
+ * @param {Object} refund - Refund state from requestChangeRefund
+ * @returns {string} - Message for the modification response
+ */
+function changeRefundMessage(refund) {
+  switch (refund.status) {
+    case REFUND_STATUS.PENDING:
+      return `Booking updated. The difference of ₦${refund.amount.toLocaleString()} is being refunded to your original payment method.`;
+    case REFUND_STATUS.FAILED:
+      return 'Booking updated. We could not refund the difference automatically; our support team will follow up.';
+    default:
+      return 'Booking updated successfully';
+  }
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,110 @@
+// Favorite hotel routes
+//
+// Favorites are kept on the user's record as a list of hotel IDs, most
+// recently added last.
+
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const database = require('../database');
+const { requireAuth } = require('../middleware/auth');
+const { SCHEMAS, validateRequest } = require('../middleware/validate');
+const { COLLECTIONS } = require('../config/constants');
+const { NotFoundError, ServiceUnavailableError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+/**
+ * Get the user's favorite hotels
+ * GET /api/favorites - Returns { hotel_ids, favorites } with each hotel's lowest room price, newest first
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const user = await db.collection(COLLECTIONS.USERS).findOne(
+      { _id: new ObjectId(req.session.user.id) },
+      { projection: { favorite_hotel_ids: 1 } }
+    );
+    const hotelIds = (user && user.favorite_hotel_ids) || [];
+    
+    const hotels = await db.collection(COLLECTIONS.HOTELS)
+      .find({ _id: { $in: hotelIds } }, { projection: { name: 1, location: 1, images: 1, rating: 1, review_count: 1, rooms: 1 } })
+      .toArray();
+    
+    // Hotels removed from the catalog since they were saved are skipped
+    const byId = new Map(hotels.map(hotel => [hotel._id, hotel]));
+    const favorites = hotelIds.slice().reverse()
+      .filter(id => byId.has(id))
+      .map(id => {
+        const { rooms, ...hotel } = byId.get(id);
+        const prices = (rooms || []).map(room => room.price_per_night);
+        return { ...hotel, from_price: prices.length > 0 ? Math.min(...prices) : null };
+      });
+    
+    res.json({ success: true, hotel_ids: hotelIds, favorites });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Save a hotel to the user's favorites
+ * POST /api/favorites - Body: { hotel_id }
+ */
+router.post('/', validateRequest({ body: SCHEMAS.favorite }), async (req, res, next) => {
+  const { hotel_id } = req.body;
+  
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const hotel = await db.collection(COLLECTIONS.HOTELS).findOne({ _id: hotel_id }, { projection: { _id: 1 } });
+    if (!hotel) {
+      throw new NotFoundError('Hotel not found');
+    }
+    
+    // $addToSet makes saving the same hotel twice harmless
+    await db.collection(COLLECTIONS.USERS).updateOne(
+      { _id: new ObjectId(req.session.user.id) },
+      { $addToSet: { favorite_hotel_ids: hotel_id }, $set: { updated_at: new Date() } }
+    );
+    
+    res.json({ success: true, message: 'Hotel added to favorites', hotel_id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Remove a hotel from the user's favorites
+ * DELETE /api/favorites/:hotelId
+ */
+router.delete('/:hotelId', validateRequest({ params: SCHEMAS.favoriteHotelId }), async (req, res, next) => {
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    await db.collection(COLLECTIONS.USERS).updateOne(
+      { _id: new ObjectId(req.session.user.id) },
+      { $pull: { favorite_hotel_ids: req.params.hotelId }, $set: { updated_at: new Date() } }
+    );
+    
+    res.json({ success: true, message: 'Hotel removed from favorites', hotel_id: req.params.hotelId });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@
 
 const express = require('express');
 const path = require('path');
+const { requireAdmin } = require('../middleware/auth');
 const router = express.Router();
 
 /**
@@ -44,4 +45,12 @@ router.get('/login', (req, res) => {
   res.sendFile(path.join(__dirname, '../../frontend/auth.html'));
 });
 
+/**
+ * Serve the back-office page
+ * GET /admin - Admins only; everyone else is redirected
+ */
+router.get('/admin', requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, '../../frontend/admin.html'));
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,38 +3,123 @@
 const express = require('express');
 const { ObjectId } = require('mongodb');
 const database = require('../database');
-const { requireAuth } = require('../middleware/auth');
-const { initializePayment, verifyPayment } = require('../utils/paystack');
-const { COLLECTIONS, PAYMENT_STATUS } = require('../config/constants');
+const { requireAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { SCHEMAS, validateRequest } = require('../middleware/validate');
+const { initializePayment, verifyPayment, verifyWebhookSignature } = require('../utils/paystack');
+const { reserveRoom, releaseRoom } = require('../utils/availability');
+const { quoteMatches } = require('../utils/pricing');
+const { quoteWithPromo, redeemPromoCode, releasePromoRedemption } = require('../utils/promo');
+const { getCancellationPolicy } = require('../utils/cancellation');
+const { applyModification } = require('../utils/modifications');
+const { notifyBooking } = require('../utils/notifications');
+const {
+  AppError,
+  AuthenticationError,
+  ConflictError,
+  NotFoundError,
+  ServiceUnavailableError,
+  UpstreamError
+} = require('../utils/errors');
+const {
+  COLLECTIONS,
+  PAYMENT_STATUS,
+  REFUND_STATUS,
+  BOOKING_STATUS,
+  BOOKING_HOLD_MINUTES
+} = require('../config/constants');
 
 const router = express.Router();
 
 /**
  * Initialize payment transaction
- * POST /api/payment/initialize - Creates payment session with Paystack
+ * POST /api/payment/initialize - Holds the room as a pending booking and creates payment session with Paystack
+ * Only accounts with a verified email address can pay
  */
-router.post('/initialize', requireAuth, async (req, res) => {
+router.post('/initialize', requireAuth, requireVerifiedEmail, validateRequest({ body: SCHEMAS.paymentInitialize }), async (req, res, next) => {
   // Extract payment data from request body
   const { email, amount, hotelId, bookingData } = req.body;
   
-  // Validate required fields
-  if (!email || !amount || !hotelId || !bookingData) {
-    return res.json({ 
-      success: false, 
-      message: 'Missing required payment information' 
-    });
+  // Get database connection
+  const db = database.getDb();
+  if (!db) {
+    return next(new ServiceUnavailableError());
+  }
+  
+  let booking;
+  let quote;
+  
+  try {
+    const hotel = await db.collection(COLLECTIONS.HOTELS).findOne({ _id: hotelId });
+    if (!hotel) {
+      throw new NotFoundError('Hotel not found');
+    }
+    
+    // Price the stay from stored rates, with any promo code; the client amount is only a cross-check
+    const result = await quoteWithPromo(db, hotel, bookingData, req.session.user.id);
+    if (result.error) {
+      throw result.error;
+    }
+    quote = result.quote;
+    
+    if (!quoteMatches(amount, quote)) {
+      throw new ConflictError('The price for this stay has changed. Please review the updated total.', {
+        code: 'PRICE_CHANGED',
+        details: { quote }
+      });
+    }
+    
+    // Claim the room for every night before sending the guest to Paystack
+    const reserved = await reserveRoom(db, hotel, quote.room_type, quote.check_in, quote.check_out);
+    if (!reserved) {
+      throw new ConflictError(`${quote.room_type} is fully booked for the selected dates`, { code: 'ROOM_UNAVAILABLE' });
+    }
+    
+    // Record the hold as a pending booking so abandoned payments leave a trace
+    booking = {
+      user_id: new ObjectId(req.session.user.id), // User who made booking
+      hotel_id: hotel._id, // Hotel being booked
+      hotel_name: hotel.name, // Hotel name for display
+      hotel_location: hotel.location, // Hotel location
+      room_type: quote.room_type, // Room type
+      check_in: quote.check_in, // Check-in date
+      check_out: quote.check_out, // Check-out date
+      guests: quote.guests, // Number of guests
+      nights: quote.nights, // Number of nights
+      price_per_night: quote.price_per_night, // Nightly rate (average when rates vary)
+      nightly_rates: quote.nightly_rates, // Price of each night
+      subtotal: quote.subtotal, // Subtotal before discount and fees
+      discount: quote.discount, // Deal discount
+      deal: quote.deal, // Deal applied, if any
+      promo_discount: quote.promo_discount, // Promo code discount
+      promo: quote.promo, // Promo code applied, if any; its use is recorded on confirmation
+      service_fee: quote.service_fee, // Service fee
+      tax: quote.tax, // VAT
+      total_amount: quote.total, // Amount to be charged
+      cancellation_policy: getCancellationPolicy(hotel, quote.room_type), // Terms agreed at purchase
+      payment_status: PAYMENT_STATUS.PENDING, // Awaiting payment
+      booking_status: BOOKING_STATUS.PENDING, // Held, not yet confirmed
+      hold_expires_at: new Date(Date.now() + BOOKING_HOLD_MINUTES * 60 * 1000), // Hold lapses after this
+      guest_details: bookingData.guestDetails || {}, // Guest information
+      created_at: new Date(), // Booking creation time
+      updated_at: new Date() // Last update time
+    };
+    
+    const bookingResult = await db.collection(COLLECTIONS.BOOKINGS).insertOne(booking);
+    booking._id = bookingResult.insertedId;
+  } catch (error) {
+    return next(error);
   }
   
   // Prepare payment data for Paystack
   const paymentData = {
     email, // Customer email address
-    amount: amount * 100, // Convert naira to kobo (Paystack requirement)
+    amount: Math.round(quote.total * 100), // Convert naira to kobo (Paystack requirement)
     currency: 'NGN', // Nigerian Naira
     callback_url: `${req.protocol}://${req.get('host')}/api/payment/verify`, // Verification URL
     metadata: {
       hotel_id: hotelId, // Hotel being booked
       user_id: req.session.user.id, // Current user ID
-      booking_data: JSON.stringify(bookingData) // Booking details as JSON string
+      booking_id: booking._id.toString() // Pending booking this payment confirms
     }
   };
   
@@ -43,34 +128,35 @@ router.post('/initialize', requireAuth, async (req, res) => {
     const response = await initializePayment(paymentData);
     
     // Check if initialization was successful
-    if (response.status) {
-      // Return payment URL and reference to frontend
-      res.json({ 
-        success: true, 
-        authorization_url: response.data.authorization_url, // Paystack payment page URL
-        reference: response.data.reference // Transaction reference for tracking
-      });
-    } else {
+    if (!response.status) {
       // Paystack returned error
       console.error('Paystack initialization error:', response);
-      res.json({ 
-        success: false, 
-        message: response.message || 'Payment initialization failed' 
-      });
+      throw new UpstreamError(response.message || 'Payment initialization failed');
     }
-  } catch (error) {
-    // Handle service errors
-    console.error('Payment service error:', error);
+    
+    // Link the pending booking to its Paystack transaction
+    await db.collection(COLLECTIONS.BOOKINGS).updateOne(
+      { _id: booking._id },
+      { $set: { transaction_reference: response.data.reference, updated_at: new Date() } }
+    );
+    
+    // Return payment URL and reference to frontend
     res.json({ 
-      success: false, 
-      message: 'Payment service error: ' + error.message 
+      success: true, 
+      authorization_url: response.data.authorization_url, // Paystack payment page URL
+      reference: response.data.reference, // Transaction reference for tracking
+      hold_expires_at: booking.hold_expires_at // Deadline for completing payment
     });
+  } catch (error) {
+    // Give the room back if the guest can't be sent to pay for it
+    await releaseHold(db, booking);
+    next(error instanceof AppError ? error : new UpstreamError(`Payment service error: ${error.message}`));
   }
 });
 
 /**
- * Verify payment and create booking
- * GET /api/payment/verify - Verifies payment with Paystack and saves booking
+ * Verify payment and confirm booking
+ * GET /api/payment/verify - Verifies payment with Paystack and promotes the pending booking
  */
 router.get('/verify', async (req, res) => {
   // Get transaction reference from query parameters
@@ -82,68 +168,55 @@ router.get('/verify', async (req, res) => {
   }
   
   try {
+    // A refreshed or replayed callback finds its booking already confirmed
+    const db = database.getDb();
+    if (db) {
+      const existingBooking = await db.collection(COLLECTIONS.BOOKINGS).findOne({
+        transaction_reference: reference,
+        booking_status: { $in: [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.COMPLETED] }
+      });
+      
+      if (existingBooking) {
+        return res.redirect('/booking?success=true&ref=' + reference);
+      }
+    }
+    
     // Verify payment with Paystack
     const response = await verifyPayment(reference);
     
+    // Changes to existing bookings return to the dashboard
+    const metadata = (response.data && response.data.metadata) || {};
+    if (metadata.modification) {
+      return res.redirect(await verifyModificationCharge(db, response));
+    }
+    
     // Check if payment was successful
     if (response.status && response.data.status === 'success') {
-      // Extract booking information from payment metadata
-      const metadata = response.data.metadata;
-      const bookingData = JSON.parse(metadata.booking_data);
-      
-      // Get database connection
-      const db = database.getDb();
       if (db) {
-        // Create new booking record
-        const newBooking = {
-          user_id: new ObjectId(metadata.user_id), // User who made booking
-          hotel_id: metadata.hotel_id, // Hotel being booked
-          hotel_name: bookingData.hotelName, // Hotel name for display
-          hotel_location: bookingData.hotelLocation, // Hotel location
-          room_type: bookingData.roomType || 'Standard Room', // Room type
-          check_in: bookingData.checkin, // Check-in date
-          check_out: bookingData.checkout, // Check-out date
-          guests: bookingData.guests || 1, // Number of guests
-          nights: bookingData.nights || 1, // Number of nights
-          price_per_night: bookingData.pricePerNight || 0, // Nightly rate
-          subtotal: bookingData.subtotal || 0, // Subtotal before fees
-          service_fee: bookingData.serviceFee || 0, // Service fee
-          total_amount: response.data.amount / 100, // Total paid (convert from kobo)
-          payment_status: PAYMENT_STATUS.PAID, // Mark as paid
-          booking_status: 'confirmed', // Confirm booking
-          transaction_reference: reference, // Paystack reference
-          guest_details: bookingData.guestDetails || {}, // Guest information
-          created_at: new Date(), // Booking creation time
-          updated_at: new Date() // Last update time
-        };
+        // Promote the held booking and record the payment
+        const outcome = await recordSuccessfulCharge(db, response.data);
         
-        // Insert booking into database
-        const bookingResult = await db.collection(COLLECTIONS.BOOKINGS).insertOne(newBooking);
+        if (outcome === 'unavailable') {
+          // The hold lapsed and the room sold out before payment landed;
+          // the payment stays on record so it can be refunded
+          return res.redirect('/booking?error=room_unavailable');
+        }
         
-        // Create payment record for accounting
-        const paymentRecord = {
-          booking_id: bookingResult.insertedId, // Link to booking
-          user_id: new ObjectId(metadata.user_id), // User who paid
-          amount: response.data.amount / 100, // Amount paid (in naira)
-          currency: 'NGN', // Currency
-          status: PAYMENT_STATUS.PAID, // Payment status
-          transaction_reference: reference, // Paystack reference
-          paystack_response: {
-            paid_at: response.data.paid_at, // Payment timestamp
-            channel: response.data.channel, // Payment method (card, bank, etc.)
-            authorization: response.data.authorization // Payment authorization details
-          },
-          created_at: new Date() // Payment record creation time
-        };
+        if (outcome === 'promo_unavailable') {
+          // Concurrent checkouts used up the promo code first; refunded the same way
+          return res.redirect('/booking?error=promo_unavailable');
+        }
         
-        // Insert payment record into database
-        await db.collection(COLLECTIONS.PAYMENTS).insertOne(paymentRecord);
+        if (outcome === 'amount_mismatch') {
+          // Paid something other than the quote; not confirmed, refunded the same way
+          return res.redirect('/booking?error=amount_mismatch');
+        }
       }
       
       // Redirect to success page with reference
       res.redirect('/booking?success=true&ref=' + reference);
     } else {
-      // Payment failed or was not successful
+      // Payment failed or was not successful; the hold lapses on its own
       res.redirect('/booking?error=payment_failed');
     }
   } catch (error) {
@@ -153,4 +226,524 @@ router.get('/verify', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * Settle a verified modification charge
+ * @param {Object} db - Database handle (may be null)
+ * @param {Object} response - Paystack verification response
+ * @returns {Promise<string>} - Dashboard URL to send the guest to
+ */
+async function verifyModificationCharge(db, response) {
+  if (!response.status || response.data.status !== 'success') {
+    return '/dashboard?error=payment_failed';
+  }
+  
+  const outcome = db ? await recordModificationCharge(db, response.data) : 'unknown';
+  if (outcome === 'unavailable') {
+    return '/dashboard?error=modification_unavailable';
+  }
+  if (outcome === 'amount_mismatch') {
+    return '/dashboard?error=amount_mismatch';
+  }
+  
+  return '/dashboard?modified=true';
+}
+
+/**
+ * Paystack webhook
+ * POST /api/payment/webhook - Reconciles bookings and payments from signed Paystack events
+ */
+router.post('/webhook', async (req, res, next) => {
+  // Reject anything not signed with our Paystack secret key
+  const signature = req.get('x-paystack-signature');
+  if (!verifyWebhookSignature(req.rawBody, signature)) {
+    return next(new AuthenticationError('Invalid webhook signature', { code: 'INVALID_SIGNATURE' }));
+  }
+  
+  const { event, data } = req.body;
+  const handler = WEBHOOK_HANDLERS[event];
+  
+  // Acknowledge events we don't act on so Paystack stops retrying them
+  if (!handler || !data) {
+    return res.json({ success: true, message: 'Event ignored' });
+  }
+  
+  // Get database connection; a non-2xx answer makes Paystack retry later
+  const db = database.getDb();
+  if (!db) {
+    return next(new ServiceUnavailableError());
+  }
+  
+  try {
+    await handler(db, data);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Reconcile a successful Paystack charge
+ * Used by both the browser redirect and the webhook; whichever arrives second
+ * finds the booking confirmed and the payment recorded and changes nothing.
+ * @param {Object} db - Database handle
+ * @param {Object} transaction - Paystack transaction data
+ * @returns {Promise<string>} - Outcome from confirmHeldBooking, 'promo_unavailable', 'amount_mismatch' or 'unknown'
+ */
+async function recordSuccessfulCharge(db, transaction) {
+  const metadata = transaction.metadata || {};
+  if (!ObjectId.isValid(metadata.booking_id)) {
+    return 'unknown'; // Not a booking payment started by this app
+  }
+  
+  // Paying the difference for a booking change, not a new booking
+  if (metadata.modification) {
+    return recordModificationCharge(db, transaction);
+  }
+  
+  const bookingId = new ObjectId(metadata.booking_id);
+  const amountPaid = transaction.amount / 100; // Convert from kobo
+  
+  const booking = await db.collection(COLLECTIONS.BOOKINGS).findOne({ _id: bookingId });
+  
+  // Only the quoted total confirms a booking; a changed checkout amount leaves it pending
+  const paidInFull = !booking || chargeMatches(transaction, booking.total_amount);
+  
+  // Count the promo code use before confirming, so its caps hold across concurrent checkouts
+  const redemption = paidInFull && booking && booking.promo ? await redeemPromoCode(db, booking) : null;
+  
+  let outcome;
+  if (!paidInFull) {
+    outcome = 'amount_mismatch';
+  } else if (redemption === 'exhausted') {
+    // The discount the guest paid with is no longer available; drop the hold
+    await releaseHold(db, booking);
+    outcome = 'promo_unavailable';
+  } else {
+    // Promote the held booking now that the money is in
+    outcome = await confirmHeldBooking(db, bookingId, {
+      transaction_reference: transaction.reference // Paystack reference
+    });
+    
+    if (outcome === 'unavailable' && redemption === 'redeemed') {
+      await releasePromoRedemption(db, booking);
+    }
+    
+    // Email the guest; not awaited so a slow mail server doesn't hold up the redirect
+    if (outcome === 'confirmed' && booking) {
+      notifyBooking(db, 'booking_confirmed', {
+        ...booking,
+        transaction_reference: transaction.reference
+      });
+    }
+  }
+  
+  const payments = db.collection(COLLECTIONS.PAYMENTS);
+  
+  // Create payment record for accounting, once per transaction
+  await upsertPayment(payments,
+    { transaction_reference: transaction.reference },
+    {
+      $setOnInsert: {
+        booking_id: bookingId, // Link to booking
+        user_id: new ObjectId(metadata.user_id), // User who paid
+        amount: amountPaid, // Amount paid (in naira)
+        currency: transaction.currency || 'NGN', // Currency charged
+        status: PAYMENT_STATUS.PAID, // Payment status
+        transaction_reference: transaction.reference, // Paystack reference
+        paystack_response: {
+          paid_at: transaction.paid_at, // Payment timestamp
+          channel: transaction.channel, // Payment method (card, bank, etc.)
+          authorization: transaction.authorization // Payment authorization details
+        },
+        // Paid but no room to give, or for a promo code that ran out; flagged for a refund
+        ...(outcome === 'unavailable' ? { failure_reason: 'room_unavailable' } : {}),
+        ...(outcome === 'promo_unavailable' ? { failure_reason: 'promo_unavailable' } : {}),
+        ...(outcome === 'amount_mismatch' ? { failure_reason: 'amount_mismatch' } : {}),
+        created_at: new Date() // Payment record creation time
+      }
+    }
+  );
+  
+  // A retry that succeeded after an earlier failed attempt
+  await payments.updateOne(
+    { transaction_reference: transaction.reference, status: PAYMENT_STATUS.FAILED },
+    { $set: { status: PAYMENT_STATUS.PAID, amount: amountPaid, updated_at: new Date() } }
+  );
+  
+  return outcome;
+}
+
+/**
+ * Whether Paystack collected exactly the naira amount that was quoted
+ * @param {Object} transaction - Paystack transaction data (amount in kobo)
+ * @param {number} expected - Quoted amount in naira
+ * @returns {boolean}
+ */
+function chargeMatches(transaction, expected) {
+  return transaction.currency === 'NGN' && transaction.amount === Math.round(expected * 100);
+}
+
+/**
+ * Reconcile the charge for a booking modification
+ * Applies the pending change it paid for; the redirect and the webhook may
+ * both get here, and the second finds the change already in the history.
+ * @param {Object} db - Database handle
+ * @param {Object} transaction - Paystack transaction data
+ * @returns {Promise<string>} - 'confirmed', 'already_confirmed', 'unavailable', 'amount_mismatch' or 'unknown'
+ */
+async function recordModificationCharge(db, transaction) {
+  const metadata = transaction.metadata;
+  const bookingId = new ObjectId(metadata.booking_id);
+  const amountPaid = transaction.amount / 100; // Convert from kobo
+  const bookings = db.collection(COLLECTIONS.BOOKINGS);
+  
+  const booking = await bookings.findOne({ _id: bookingId });
+  if (!booking) {
+    return 'unknown';
+  }
+  
+  let outcome;
+  const pending = booking.pending_modification;
+  
+  if (pending && pending.reference === transaction.reference && !chargeMatches(transaction, pending.amount_due)) {
+    // Paid something other than the difference quoted; the change is not applied
+    outcome = 'amount_mismatch';
+  } else if (pending && pending.reference === transaction.reference) {
+    // The pending change must still be there; the sweeper may have dropped it
+    const applied = await applyModification(db, booking, pending.stay, {
+      difference: pending.amount_due,
+      transaction_reference: transaction.reference
+    }, { 'pending_modification.reference': transaction.reference });
+    if (applied) {
+      outcome = 'confirmed';
+    }
+  }
+  
+  if (!outcome) {
+    const current = await bookings.findOne({ _id: bookingId });
+    const alreadyApplied = (current.modifications || [])
+      .some(change => change.transaction_reference === transaction.reference);
+    
+    // Otherwise the change lapsed before the money arrived
+    outcome = alreadyApplied ? 'already_confirmed' : 'unavailable';
+  }
+  
+  // Record the extra charge against the booking, once per transaction
+  await upsertPayment(db.collection(COLLECTIONS.PAYMENTS),
+    { transaction_reference: transaction.reference },
+    {
+      $setOnInsert: {
+        booking_id: bookingId,
+        user_id: new ObjectId(metadata.user_id),
+        amount: amountPaid,
+        currency: transaction.currency || 'NGN',
+        status: PAYMENT_STATUS.PAID,
+        purpose: 'modification', // Difference paid for a booking change
+        transaction_reference: transaction.reference,
+        paystack_response: {
+          paid_at: transaction.paid_at,
+          channel: transaction.channel,
+          authorization: transaction.authorization
+        },
+        // Paid for a change that could no longer be made; flagged for a refund
+        ...(outcome === 'unavailable' ? { failure_reason: 'modification_unavailable' } : {}),
+        ...(outcome === 'amount_mismatch' ? { failure_reason: 'amount_mismatch' } : {}),
+        created_at: new Date()
+      }
+    }
+  );
+  
+  return outcome;
+}
+
+/**
+ * Reconcile a failed Paystack charge
+ * The hold is kept so the guest can retry until it lapses.
+ * @param {Object} db - Database handle
+ * @param {Object} transaction - Paystack transaction data
+ */
+async function recordFailedCharge(db, transaction) {
+  const metadata = transaction.metadata || {};
+  if (!ObjectId.isValid(metadata.booking_id)) {
+    return;
+  }
+  
+  const bookingId = new ObjectId(metadata.booking_id);
+  
+  // Flag the payment attempt on a booking that is still waiting for money
+  await db.collection(COLLECTIONS.BOOKINGS).updateOne(
+    { _id: bookingId, booking_status: BOOKING_STATUS.PENDING },
+    { $set: { payment_status: PAYMENT_STATUS.FAILED, updated_at: new Date() } }
+  );
+  
+  await upsertPayment(db.collection(COLLECTIONS.PAYMENTS),
+    { transaction_reference: transaction.reference },
+    {
+      $setOnInsert: {
+        booking_id: bookingId,
+        user_id: new ObjectId(metadata.user_id),
+        amount: transaction.amount / 100,
+        currency: 'NGN',
+        status: PAYMENT_STATUS.FAILED,
+        transaction_reference: transaction.reference,
+        paystack_response: {
+          gateway_response: transaction.gateway_response, // Reason given by Paystack
+          channel: transaction.channel
+        },
+        created_at: new Date()
+      }
+    }
+  );
+}
+
+/**
+ * Insert a payment record unless one already exists for the transaction
+ * Two deliveries racing on the unique transaction_reference index leave
+ * exactly one record; the loser's duplicate key error is expected.
+ * @param {Object} payments - Payments collection
+ * @param {Object} filter - Match on transaction_reference
+ * @param {Object} update - $setOnInsert update
+ */
+async function upsertPayment(payments, filter, update) {
+  try {
+    await payments.updateOne(filter, update, { upsert: true });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Reconcile a refund Paystack has processed
+ * @param {Object} db - Database handle
+ * @param {Object} refund - Paystack refund data
+ */
+async function recordProcessedRefund(db, refund) {
+  const reference = refund.transaction_reference;
+  if (!reference) {
+    return;
+  }
+  
+  const payments = db.collection(COLLECTIONS.PAYMENTS);
+  const payment = await payments.findOne({ transaction_reference: reference });
+  if (!payment) {
+    return;
+  }
+  
+  // The difference given back for a cheaper booking change, not a cancellation
+  if (findChangeRefund(payment, refund)) {
+    await payments.updateOne(
+      { _id: payment._id, change_refunds: { $elemMatch: { paystack_refund_id: refund.id, status: { $ne: REFUND_STATUS.PROCESSED } } } },
+      { $set: { 'change_refunds.$.status': REFUND_STATUS.PROCESSED, 'change_refunds.$.processed_at': new Date(), updated_at: new Date() } }
+    );
+    await payments.updateOne(
+      { _id: payment._id, status: PAYMENT_STATUS.PAID },
+      { $set: { status: PAYMENT_STATUS.PARTIALLY_REFUNDED, updated_at: new Date() } }
+    );
+    return;
+  }
+  
+  // Cancellation policies can refund only part of what was paid
+  const refundedAmount = refund.amount / 100; // Refunded amount (in naira)
+  const totalRefunded = Math.max(payment.refunded_amount || 0, refundedAmount); // Including earlier change refunds
+  
+  await payments.updateOne(
+    { _id: payment._id, 'refund.status': { $ne: REFUND_STATUS.PROCESSED } },
+    {
+      $set: {
+        status: totalRefunded < payment.amount ? PAYMENT_STATUS.PARTIALLY_REFUNDED : PAYMENT_STATUS.REFUNDED,
+        'refund.amount': refundedAmount,
+        'refund.status': REFUND_STATUS.PROCESSED,
+        'refund.paystack_refund_id': refund.id,
+        'refund.processed_at': new Date(),
+        updated_at: new Date()
+      }
+    }
+  );
+  
+  // The booking's refund may span several charges; it records the overall outcome
+  const booking = payment.booking_id &&
+    await db.collection(COLLECTIONS.BOOKINGS).findOne({ _id: payment.booking_id });
+  if (!booking || !booking.refund) {
+    return;
+  }
+  
+  const result = await db.collection(COLLECTIONS.BOOKINGS).updateOne(
+    { _id: booking._id, 'refund.status': { $ne: REFUND_STATUS.PROCESSED } },
+    {
+      $set: {
+        payment_status: booking.refund.amount < booking.total_amount
+          ? PAYMENT_STATUS.PARTIALLY_REFUNDED
+          : PAYMENT_STATUS.REFUNDED,
+        'refund.status': REFUND_STATUS.PROCESSED,
+        'refund.processed_at': new Date(),
+        updated_at: new Date()
+      }
+    }
+  );
+  
+  // Email the guest once, from whichever webhook completed the refund
+  if (result.modifiedCount === 1) {
+    notifyBooking(db, 'refund_issued', booking, { refund_amount: booking.refund.amount });
+  }
+}
+
+/**
+ * Reconcile a refund Paystack could not complete
+ * @param {Object} db - Database handle
+ * @param {Object} refund - Paystack refund data
+ */
+async function recordFailedRefund(db, refund) {
+  const reference = refund.transaction_reference;
+  if (!reference) {
+    return;
+  }
+  
+  const payments = db.collection(COLLECTIONS.PAYMENTS);
+  const payment = await payments.findOne({ transaction_reference: reference });
+  if (!payment) {
+    return;
+  }
+  
+  // A booking change refund that failed no longer counts against the charge
+  const changeRefund = findChangeRefund(payment, refund);
+  if (changeRefund) {
+    await payments.updateOne(
+      { _id: payment._id, change_refunds: { $elemMatch: { paystack_refund_id: refund.id, status: REFUND_STATUS.PENDING } } },
+      {
+        $set: {
+          'change_refunds.$.status': REFUND_STATUS.FAILED,
+          'change_refunds.$.failure_reason': refund.status || 'failed',
+          updated_at: new Date()
+        },
+        $inc: { refunded_amount: -changeRefund.amount }
+      }
+    );
+    return;
+  }
+  
+  const refundFields = {
+    'refund.status': REFUND_STATUS.FAILED,
+    'refund.failure_reason': refund.status || 'failed',
+    updated_at: new Date()
+  };
+  
+  // The failed amount can be refunded again later
+  const paymentUpdate = { $set: refundFields };
+  if (payment.refund && payment.refunded_amount) {
+    paymentUpdate.$inc = { refunded_amount: -payment.refund.amount };
+  }
+  
+  await payments.updateOne(
+    { _id: payment._id, 'refund.status': REFUND_STATUS.PENDING },
+    paymentUpdate
+  );
+  
+  await db.collection(COLLECTIONS.BOOKINGS).updateOne(
+    { _id: payment.booking_id, 'refund.status': REFUND_STATUS.PENDING },
+    { $set: refundFields }
+  );
+}
+
+/**
+ * The booking change refund a Paystack refund event is about, if any
+ * @param {Object} payment - Payment document
+ * @param {Object} refund - Paystack refund data
+ * @returns {Object|undefined} - Entry of payment.change_refunds
+ */
+function findChangeRefund(payment, refund) {
+  return (payment.change_refunds || []).find(entry =>
+    entry.paystack_refund_id !== undefined && entry.paystack_refund_id === refund.id);
+}
+
+// Webhook events this app reconciles, keyed by Paystack event name
+const WEBHOOK_HANDLERS = {
+  'charge.success': recordSuccessfulCharge,
+  'charge.failed': recordFailedCharge,
+  'refund.processed': recordProcessedRefund,
+  'refund.failed': recordFailedRefund
+};
+
+/**
+ * Promote a pending booking to confirmed after a successful payment
+ * A hold that already lapsed is revived if its room is still free.
+ * @param {Object} db - Database handle
+ * @param {ObjectId} bookingId - Booking created at initialization
+ * @param {Object} paymentFields - Payment details to store on the booking
+ * @returns {Promise<string>} - 'confirmed', 'already_confirmed' or 'unavailable'
+ */
+async function confirmHeldBooking(db, bookingId, paymentFields) {
+  const bookings = db.collection(COLLECTIONS.BOOKINGS);
+  const confirmUpdate = {
+    $set: {
+      ...paymentFields,
+      payment_status: PAYMENT_STATUS.PAID, // Mark as paid
+      booking_status: BOOKING_STATUS.CONFIRMED, // Confirm booking
+      confirmed_at: new Date(),
+      updated_at: new Date()
+    },
+    $unset: { hold_expires_at: '' }
+  };
+  
+  // Common case: the hold is still active
+  const promoted = await bookings.updateOne(
+    { _id: bookingId, booking_status: BOOKING_STATUS.PENDING },
+    confirmUpdate
+  );
+  if (promoted.modifiedCount === 1) {
+    return 'confirmed';
+  }
+  
+  const booking = await bookings.findOne({ _id: bookingId });
+  if (!booking) {
+    return 'unavailable';
+  }
+  if (booking.booking_status === BOOKING_STATUS.CONFIRMED) {
+    return 'already_confirmed';
+  }
+  if (booking.booking_status !== BOOKING_STATUS.EXPIRED) {
+    return 'unavailable';
+  }
+  
+  // The sweeper released this hold; claim the room again if nobody took it
+  const hotel = await db.collection(COLLECTIONS.HOTELS).findOne({ _id: booking.hotel_id });
+  const reserved = hotel && await reserveRoom(db, hotel, booking.room_type, booking.check_in, booking.check_out);
+  if (!reserved) {
+    return 'unavailable';
+  }
+  
+  const revived = await bookings.updateOne(
+    { _id: bookingId, booking_status: BOOKING_STATUS.EXPIRED },
+    confirmUpdate
+  );
+  if (revived.modifiedCount === 1) {
+    return 'confirmed';
+  }
+  
+  // A concurrent verification revived it first; give our claim back
+  await releaseRoom(db, booking.hotel_id, booking.room_type, booking.check_in, booking.check_out);
+  return 'already_confirmed';
+}
+
+/**
+ * Drop a hold whose payment could not be started
+ * @param {Object} db - Database handle
+ * @param {Object} booking - Pending booking created at initialization
+ */
+async function releaseHold(db, booking) {
+  try {
+    const result = await db.collection(COLLECTIONS.BOOKINGS).updateOne(
+      { _id: booking._id, booking_status: BOOKING_STATUS.PENDING },
+      { $set: { booking_status: BOOKING_STATUS.EXPIRED, updated_at: new Date() } }
+    );
+    
+    if (result.modifiedCount === 1) {
+      await releaseRoom(db, booking.hotel_id, booking.room_type, booking.check_in, booking.check_out);
+    }
+  } catch (error) {
+    console.error('Failed to release booking hold:', error);
+  }
+}
+
+module.exports = router;
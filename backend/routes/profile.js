@@ -0,0 +1,245 @@
+// Profile routes: personal details, email address and password
+
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { ObjectId } = require('mongodb');
+const database = require('../database');
+const { requireAuth } = require('../middleware/auth');
+const { SCHEMAS, validateRequest } = require('../middleware/validate');
+const { COLLECTIONS, EMAIL_CHANGE_TOKEN_HOURS, SITE_URL } = require('../config/constants');
+const { EMAIL_COLLATION, buildSessionUser, formatProfile, normalizeEmail, readProfile } = require('../utils/profile');
+const { createToken, hashToken } = require('../utils/tokens');
+const { endUserSessions } = require('../utils/sessionStore');
+const { sendMail } = require('../utils/mailer');
+const {
+  AuthenticationError,
+  ConflictError,
+  NotFoundError,
+  ServiceUnavailableError,
+  ValidationError
+} = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * Get the signed-in user's profile
+ * GET /api/profile - Returns { profile } including any email address awaiting confirmation
+ */
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const user = await db.collection(COLLECTIONS.USERS).findOne({ _id: new ObjectId(req.session.user.id) });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    
+    res.json({ success: true, profile: formatProfile(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Update the signed-in user's profile
+ * PUT /api/profile - Body: { first_name, last_name, phone, date_of_birth, email }
+ * A new email address only replaces the current one once the link sent to it is followed
+ */
+router.put('/', requireAuth, validateRequest({ body: SCHEMAS.profile }), async (req, res, next) => {
+  const { profile, email } = readProfile(req.body);
+  
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const users = db.collection(COLLECTIONS.USERS);
+    const userId = new ObjectId(req.session.user.id);
+    const user = await users.findOne({ _id: userId });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    
+    const update = {
+      $set: {
+        first_name: profile.first_name,
+        last_name: profile.last_name,
+        phone: profile.phone,
+        updated_at: new Date()
+      }
+    };
+    if (profile.date_of_birth) {
+      update.$set.date_of_birth = profile.date_of_birth;
+    } else {
+      update.$unset = { date_of_birth: '' };
+    }
+    
+    // Start an email change when the address differs from the current one
+    let confirmationLink = null;
+    const emailChanged = email !== normalizeEmail(user.email);
+    if (emailChanged && email !== user.pending_email) {
+      const taken = await users.findOne({ email, _id: { $ne: userId } }, { collation: EMAIL_COLLATION });
+      if (taken) {
+        throw new ConflictError('That email address is already registered', { code: 'EMAIL_TAKEN' });
+      }
+      
+      const { token, hash } = createToken();
+      update.$set.pending_email = email;
+      update.$set.email_change_token_hash = hash;
+      update.$set.email_change_expires_at = new Date(Date.now() + EMAIL_CHANGE_TOKEN_HOURS * 60 * 60 * 1000);
+      confirmationLink = `${SITE_URL}/api/profile/email/confirm?token=${token}`; // Never the request's Host header
+    } else if (!emailChanged && user.pending_email) {
+      // Typing the current address back in cancels a pending change
+      update.$unset = { ...update.$unset, pending_email: '', email_change_token_hash: '', email_change_expires_at: '' };
+    }
+    
+    const updated = await users.findOneAndUpdate({ _id: userId }, update, { returnDocument: 'after' });
+    
+    if (confirmationLink) {
+      await sendMail({
+        to: email,
+        subject: 'Confirm your new email address',
+        text: `Hi ${updated.first_name},\n\nFollow this link within ${EMAIL_CHANGE_TOKEN_HOURS} hours to start using ${email} for your account:\n${confirmationLink}\n\nIf you did not ask for this, ignore this email and your address will not change.`
+      });
+    }
+    
+    // Keep the session in step with the saved details
+    req.session.user = buildSessionUser(updated);
+    
+    res.json({
+      success: true,
+      message: confirmationLink
+        ? `Profile updated. We sent a link to ${email} - your email address changes once you follow it.`
+        : 'Profile updated',
+      profile: formatProfile(updated),
+      user: req.session.user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Change the signed-in user's password
+ * PUT /api/profile/password - Body: { current_password, new_password }
+ */
+router.put('/password', requireAuth, validateRequest({ body: SCHEMAS.passwordChange }), async (req, res, next) => {
+  const { current_password, new_password } = req.body;
+  
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const users = db.collection(COLLECTIONS.USERS);
+    const user = await users.findOne({ _id: new ObjectId(req.session.user.id) });
+    if (!user || !user.password_hash) {
+      throw new NotFoundError('User not found');
+    }
+    
+    const isValid = await bcrypt.compare(current_password, user.password_hash);
+    if (!isValid) {
+      throw new ValidationError('Current password is incorrect', {
+        code: 'WRONG_PASSWORD',
+        details: { errors: [{ field: 'current_password', message: 'Current password is incorrect' }] }
+      });
+    }
+    
+    const now = new Date();
+    await users.updateOne(
+      { _id: user._id },
+      {
+        $set: { password_hash: await bcrypt.hash(new_password, 10), password_changed_at: now, updated_at: now },
+        $unset: { password_reset_token_hash: '', password_reset_expires_at: '' }
+      }
+    );
+    
+    // Issue a fresh session ID now that the credentials have changed,
+    // and sign out every other device that knew the old password
+    req.session.regenerate(err => {
+      if (err) {
+        return next(new AuthenticationError('Password changed. Please log in again.'));
+      }
+      
+      req.session.user = buildSessionUser(user);
+      endUserSessions(db, user._id, req.sessionID)
+        .then(() => res.json({ success: true, message: 'Password changed' }), next);
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Confirm a new email address
+ * GET /api/profile/email/confirm?token= - Followed from the email; redirects to the dashboard
+ */
+router.get('/email/confirm', async (req, res) => {
+  const token = typeof req.query.token === 'string' ? req.query.token : '';
+  
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db || !token) {
+      return res.redirect('/dashboard?error=email_link_invalid');
+    }
+    
+    const users = db.collection(COLLECTIONS.USERS);
+    const user = await users.findOne({
+      email_change_token_hash: hashToken(token),
+      email_change_expires_at: { $gt: new Date() }
+    });
+    if (!user) {
+      return res.redirect('/dashboard?error=email_link_invalid');
+    }
+    
+    // Someone may have registered the address since the change was requested
+    const taken = await users.findOne({ email: user.pending_email, _id: { $ne: user._id } }, { collation: EMAIL_COLLATION });
+    if (taken) {
+      await users.updateOne(
+        { _id: user._id },
+        { $unset: { pending_email: '', email_change_token_hash: '', email_change_expires_at: '' } }
+      );
+      return res.redirect('/dashboard?error=email_taken');
+    }
+    
+    const updated = await users.findOneAndUpdate(
+      { _id: user._id, email_change_token_hash: user.email_change_token_hash },
+      {
+        // Following the link also proves the new address works
+        $set: { email: user.pending_email, email_verified: true, email_verified_at: new Date(), updated_at: new Date() },
+        $unset: {
+          pending_email: '',
+          email_change_token_hash: '',
+          email_change_expires_at: '',
+          email_verification_token_hash: '',
+          email_verification_expires_at: ''
+        }
+      },
+      { returnDocument: 'after' }
+    );
+    if (!updated) {
+      return res.redirect('/dashboard?error=email_link_invalid');
+    }
+    
+    // Refresh the session if the link was opened while signed in as this user
+    if (req.session.user && String(req.session.user.id) === String(updated._id)) {
+      req.session.user = buildSessionUser(updated);
+    }
+    
+    res.redirect('/dashboard?email_changed=true');
+  } catch (error) {
+    console.error('Email confirmation error:', error);
+    res.redirect('/dashboard?error=email_link_invalid');
+  }
+});
+
+module.exports = router;
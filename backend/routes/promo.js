@@ -0,0 +1,52 @@
+// Promo code routes
+//
+// Codes are checked here so guests see the discount before paying; the use
+// itself is only recorded once the payment confirms the booking.
+
+const express = require('express');
+const database = require('../database');
+const { requireAuth } = require('../middleware/auth');
+const { SCHEMAS, validateRequest } = require('../middleware/validate');
+const { COLLECTIONS } = require('../config/constants');
+const { quoteWithPromo } = require('../utils/promo');
+const { NotFoundError, ServiceUnavailableError } = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * Check a promo code against a stay
+ * POST /api/promo/validate - Body: { code, hotelId, roomType, checkin, checkout, guests }
+ * Returns the quote with the code applied
+ */
+router.post('/validate', requireAuth, validateRequest({ body: SCHEMAS.promoValidate }), async (req, res, next) => {
+  const { code, hotelId, roomType, checkin, checkout, guests } = req.body;
+  
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const hotel = await db.collection(COLLECTIONS.HOTELS).findOne({ _id: hotelId });
+    if (!hotel) {
+      throw new NotFoundError('Hotel not found');
+    }
+    
+    // Price the stay with the code, checking every rule it carries
+    const result = await quoteWithPromo(db, hotel, { roomType, checkin, checkout, guests, promoCode: code }, req.session.user.id);
+    if (result.error) {
+      throw result.error;
+    }
+    
+    res.json({
+      success: true,
+      message: `Promo code ${result.quote.promo.code} applied`,
+      quote: result.quote
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
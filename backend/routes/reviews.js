@@ -0,0 +1,73 @@
+// Guest review routes
+
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const database = require('../database');
+const { requireAuth } = require('../middleware/auth');
+const { SCHEMAS, validateRequest } = require('../middleware/validate');
+const { COLLECTIONS, REVIEW_STATUS } = require('../config/constants');
+const { ConflictError, ServiceUnavailableError } = require('../utils/errors');
+const { buildReview, getReviewBlocker, getReviewerName } = require('../utils/reviews');
+
+const router = express.Router();
+
+/**
+ * Review a completed stay
+ * POST /api/reviews - Body: { booking_id, rating, scores: { cleanliness, location, service }, comment }
+ * The review is held for moderation before it is shown or counted in the hotel's rating
+ */
+router.post('/', requireAuth, validateRequest({ body: SCHEMAS.review }), async (req, res, next) => {
+  const { booking_id } = req.body;
+  const review = buildReview(req.body);
+  
+  try {
+    // Get database connection
+    const db = database.getDb();
+    if (!db) {
+      throw new ServiceUnavailableError();
+    }
+    
+    const userId = new ObjectId(req.session.user.id);
+    
+    // Only the guest who completed the stay may review it
+    const booking = await db.collection(COLLECTIONS.BOOKINGS).findOne({
+      _id: new ObjectId(booking_id),
+      user_id: userId
+    });
+    
+    const blocker = getReviewBlocker(booking);
+    if (blocker) {
+      throw blocker;
+    }
+    
+    const user = await db.collection(COLLECTIONS.USERS).findOne({ _id: userId });
+    
+    const now = new Date();
+    const result = await db.collection(COLLECTIONS.REVIEWS).insertOne({
+      hotel_id: booking.hotel_id,
+      hotel_name: booking.hotel_name || '',
+      booking_id: booking._id,
+      user_id: userId,
+      reviewer_name: getReviewerName(user || {}),
+      ...review,
+      status: REVIEW_STATUS.PENDING,
+      created_at: now,
+      updated_at: now
+    });
+    
+    res.json({
+      success: true,
+      message: 'Thank you! Your review will appear once it has been checked.',
+      review_id: result.insertedId
+    });
+  } catch (error) {
+    // One review per stay (unique booking_id index)
+    if (error.code === 11000) {
+      return next(new ConflictError('You have already reviewed this stay', { code: 'ALREADY_REVIEWED' }));
+    }
+    
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@
 const { app, setupMiddleware } = require('./config/app');
 const { PORT } = require('./config/constants');
 const database = require('./database');
+const { apiNotFound, errorHandler } = require('./middleware/errors');
 
 // Import route modules
 const pagesRouter = require('./routes/pages');
@@ -12,10 +13,20 @@ const authRouter = require('./routes/auth');
 const bookingsRouter = require('./routes/bookings');
 const paymentsRouter = require('./routes/payments');
 const apiRouter = require('./routes/api');
+const adminRouter = require('./routes/admin');
+const reviewsRouter = require('./routes/reviews');
+const favoritesRouter = require('./routes/favorites');
+const profileRouter = require('./routes/profile');
+const promoRouter = require('./routes/promo');
+
+// Import background jobs
+const { startScheduler } = require('./utils/scheduler');
+const { checkMailTransport } = require('./utils/mailer');
 
 /**
  * Initialize database connection
- * Attempts to connect to MongoDB database on startup
+ * Attempts to connect to MongoDB database on startup; a database whose unique
+ * indexes can't be built stops startup instead
  */
 async function initializeDatabase() {
   console.log('🔌 Connecting to database...');
@@ -52,11 +63,31 @@ function configureRoutes() {
   app.use('/api', authRouter); // Authentication endpoints (/api/login, /api/register, etc.)
   app.use('/api/bookings', bookingsRouter); // Booking management endpoints
   app.use('/api/payment', paymentsRouter); // Payment processing endpoints
+  app.use('/api/admin', adminRouter); // Admin-only catalog management
+  app.use('/api/reviews', reviewsRouter); // Guest reviews of completed stays
+  app.use('/api/favorites', favoritesRouter); // Signed-in user's saved hotels
+  app.use('/api/profile', profileRouter); // Personal details, email and password changes
+  app.use('/api/promo', promoRouter); // Promo code checks before payment
   app.use('/api', apiRouter); // General API endpoints (hotels, deals, contact, health)
   
+  // Error handling - must come after every router
+  app.use('/api', apiNotFound); // Unknown API paths get a JSON 404
+  app.use(errorHandler); // Turns thrown errors into the JSON error envelope
+  
   console.log('✅ Routes configured');
 }
 
+/**
+ * Start background jobs
+ * Runs the scheduled jobs in utils/scheduler.js: expiring unpaid holds, retrying
+ * failed emails, check-in reminders, completing past stays and purging sessions
+ */
+function startBackgroundJobs() {
+  console.log('⏱️  Starting background jobs...');
+  startScheduler();
+  console.log('✅ Background jobs started');
+}
+
 /**
  * Start the Express server
  * Begins listening for incoming HTTP requests
@@ -79,16 +110,22 @@ async function initializeApplication() {
   console.log('🏁 Starting Fago\'s Booking Server...\n');
   
   try {
-    // Step 1: Initialize database connection
+    // Step 1: Refuse to start without a working mail transport
+    checkMailTransport();
+    
+    // Step 2: Initialize database connection
     await initializeDatabase();
     
-    // Step 2: Configure Express middleware
+    // Step 3: Configure Express middleware
     configureMiddleware();
     
-    // Step 3: Setup application routes
+    // Step 4: Setup application routes
     configureRoutes();
     
-    // Step 4: Start the server
+    // Step 5: Start background jobs
+    startBackgroundJobs();
+    
+    // Step 6: Start the server
     startServer();
     
   } catch (error) {
@@ -0,0 +1,218 @@
+// Room availability engine backed by a nightly inventory ledger
+//
+// Every booked night of a room type is counted in the room_inventory
+// collection ({ hotel_id, room_type, date, booked }). Reservations increment
+// the counter atomically and only while it is below the room type's units, so
+// two checkouts can never sell the same last unit.
+
+const { COLLECTIONS, DEFAULT_ROOM_UNITS } = require('../config/constants');
+const { getStayRates } = require('./rates');
+const { SCHEMAS, validate } = require('../../frontend/public/js/validation-rules');
+
+// Milliseconds in one day, used to step through the nights of a stay
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a check-in/check-out pair
+ * Uses the shared stay rules (real calendar dates, check-in not past and at most
+ * a year ahead, at most 30 nights), so no caller can ask for an unbounded stay.
+ * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} checkOut - Check-out date (YYYY-MM-DD)
+ * @returns {Object} - { nights: string[] } on success, { error: string } otherwise
+ */
+function parseStayDates(checkIn, checkOut) {
+  const errors = validate(SCHEMAS.stayDates, { checkin: checkIn, checkout: checkOut });
+  if (errors.length > 0) {
+    return { error: errors[0].message };
+  }
+
+  return { nights: getStayNights(checkIn, checkOut) };
+}
+
+/**
+ * List the nights covered by a stay
+ * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} checkOut - Check-out date (YYYY-MM-DD), not included
+ * @returns {string[]} - One YYYY-MM-DD entry per night
+ */
+function getStayNights(checkIn, checkOut) {
+  const nights = [];
+  const end = new Date(`${checkOut}T00:00:00Z`).getTime();
+
+  for (let time = new Date(`${checkIn}T00:00:00Z`).getTime(); time < end; time += DAY_MS) {
+    nights.push(new Date(time).toISOString().split('T')[0]);
+  }
+
+  return nights;
+}
+
+/**
+ * Number of sellable units for a room type
+ * Rooms flagged `available: false` are withdrawn from sale entirely
+ * @param {Object} room - Room entry from a hotel document
+ * @returns {number} - Units that can be booked per night
+ */
+function getRoomUnits(room) {
+  if (!room || room.available === false) {
+    return 0;
+  }
+
+  return typeof room.units === 'number' ? room.units : DEFAULT_ROOM_UNITS;
+}
+
+/**
+ * Find a room type on a hotel document
+ * @param {Object} hotel - Hotel document
+ * @param {string} roomType - Room type name
+ * @returns {Object|undefined} - Matching room entry
+ */
+function findRoom(hotel, roomType) {
+  return (hotel.rooms || []).find(room => room.room_type === roomType);
+}
+
+/**
+ * Highest number of units already booked on any night of a stay
+ * @param {Object} db - Database handle
+ * @param {string} hotelId - Hotel ID
+ * @param {string} roomType - Room type name
+ * @param {string[]} nights - Nights of the stay
+ * @returns {Promise<number>} - Peak booked units across the stay
+ */
+async function getBookedUnits(db, hotelId, roomType, nights) {
+  const entries = await db.collection(COLLECTIONS.ROOM_INVENTORY)
+    .find({ hotel_id: hotelId, room_type: roomType, date: { $in: nights } })
+    .toArray();
+
+  return entries.reduce((peak, entry) => Math.max(peak, entry.booked), 0);
+}
+
+/**
+ * Availability of every room type in a hotel for a stay
+ * @param {Object} db - Database handle
+ * @param {Object} hotel - Hotel document
+ * @param {string[]} nights - Nights of the stay (from parseStayDates)
+ * @param {number} guests - Party size, rooms below this capacity are not available
+ * @returns {Promise<Object[]>} - One entry per room type
+ */
+async function getHotelAvailability(db, hotel, nights, guests = 1) {
+  const entries = await db.collection(COLLECTIONS.ROOM_INVENTORY)
+    .find({ hotel_id: hotel._id, date: { $in: nights } })
+    .toArray();
+
+  return (hotel.rooms || []).map(room => {
+    const units = getRoomUnits(room);
+    const booked = entries
+      .filter(entry => entry.room_type === room.room_type)
+      .reduce((peak, entry) => Math.max(peak, entry.booked), 0);
+    const remaining = Math.max(units - booked, 0);
+
+    return {
+      room_type: room.room_type,
+      capacity: room.capacity,
+      price_per_night: room.price_per_night,
+      nightly_rates: getStayRates(room, nights), // Price of each night of the stay
+      units, // Total units of this room type
+      units_available: remaining, // Units free on every night of the stay
+      fits_party: room.capacity >= guests,
+      available: remaining > 0 && room.capacity >= guests
+    };
+  });
+}
+
+/**
+ * Reserve one unit of a room type for every night of a stay
+ * Nights are claimed one by one with a conditional increment; if any night is
+ * sold out the nights already claimed are given back and the call fails.
+ * @param {Object} db - Database handle
+ * @param {Object} hotel - Hotel document
+ * @param {string} roomType - Room type name
+ * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} checkOut - Check-out date (YYYY-MM-DD)
+ * @returns {Promise<boolean>} - True when every night was reserved
+ */
+async function reserveRoom(db, hotel, roomType, checkIn, checkOut) {
+  return reserveNights(db, hotel, roomType, getStayNights(checkIn, checkOut));
+}
+
+/**
+ * Reserve one unit of a room type for specific nights
+ * @param {Object} db - Database handle
+ * @param {Object} hotel - Hotel document
+ * @param {string} roomType - Room type name
+ * @param {string[]} nights - Nights to claim (YYYY-MM-DD)
+ * @returns {Promise<boolean>} - True when every night was reserved
+ */
+async function reserveNights(db, hotel, roomType, nights) {
+  const units = getRoomUnits(findRoom(hotel, roomType));
+  if (units === 0) {
+    return false;
+  }
+
+  const inventory = db.collection(COLLECTIONS.ROOM_INVENTORY);
+  const claimed = [];
+
+  for (const date of nights) {
+    try {
+      // Upsert only matches while units remain; a full night makes the
+      // upsert collide with the unique index and throw a duplicate key error
+      await inventory.updateOne(
+        { hotel_id: hotel._id, room_type: roomType, date, booked: { $lt: units } },
+        { $inc: { booked: 1 }, $set: { updated_at: new Date() } },
+        { upsert: true }
+      );
+      claimed.push(date);
+    } catch (error) {
+      await releaseNights(db, hotel._id, roomType, claimed);
+
+      if (error.code === 11000) {
+        return false; // Night is sold out
+      }
+      throw error;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Give back one unit of a room type for every night of a stay
+ * @param {Object} db - Database handle
+ * @param {string} hotelId - Hotel ID
+ * @param {string} roomType - Room type name
+ * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} checkOut - Check-out date (YYYY-MM-DD)
+ */
+async function releaseRoom(db, hotelId, roomType, checkIn, checkOut) {
+  await releaseNights(db, hotelId, roomType, getStayNights(checkIn, checkOut));
+}
+
+/**
+ * Decrement the booked counter of specific nights
+ * @param {Object} db - Database handle
+ * @param {string} hotelId - Hotel ID
+ * @param {string} roomType - Room type name
+ * @param {string[]} nights - Nights to release
+ */
+async function releaseNights(db, hotelId, roomType, nights) {
+  if (nights.length === 0) {
+    return;
+  }
+
+  await db.collection(COLLECTIONS.ROOM_INVENTORY).updateMany(
+    { hotel_id: hotelId, room_type: roomType, date: { $in: nights }, booked: { $gt: 0 } },
+    { $inc: { booked: -1 }, $set: { updated_at: new Date() } }
+  );
+}
+
+module.exports = {
+  parseStayDates,
+  getStayNights,
+  getRoomUnits,
+  findRoom,
+  getBookedUnits,
+  getHotelAvailability,
+  reserveRoom,
+  reserveNights,
+  releaseRoom,
+  releaseNights
+};
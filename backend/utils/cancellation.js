@@ -0,0 +1,217 @@
+// Cancellation policy evaluation and refund calculation
+
+const { createRefund } = require('./paystack');
+const { roundMoney } = require('./pricing');
+const { findRoom } = require('./availability');
+const {
+  COLLECTIONS,
+  DEFAULT_CANCELLATION_POLICY,
+  PAYMENT_STATUS,
+  REFUND_STATUS
+} = require('../config/constants');
+
+// Milliseconds in one day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve the cancellation policy that applies to a room
+ * Hotel settings override the site-wide default, and a room sold at a
+ * non-refundable rate is non-refundable whatever the hotel policy says.
+ * @param {Object} hotel - Hotel document
+ * @param {string} roomType - Room type being booked
+ * @returns {Object} - { free_cancellation_days, penalty_percent, non_refundable }
+ */
+function getCancellationPolicy(hotel, roomType) {
+  const policy = { ...DEFAULT_CANCELLATION_POLICY, ...(hotel.cancellation_policy || {}) };
+  const room = findRoom(hotel, roomType);
+
+  if (room && room.non_refundable) {
+    policy.non_refundable = true;
+  }
+
+  return policy;
+}
+
+/**
+ * Work out what cancelling a booking right now would refund
+ * - Check-in reached or passed: cancellation not allowed, nothing refunded
+ * - Non-refundable policy: cancellation allowed, nothing refunded
+ * - At least free_cancellation_days before check-in: full refund
+ * - Inside that window: refund minus penalty_percent
+ * @param {Object} booking - Booking document
+ * @param {Object} policy - Policy snapshotted on the booking (defaults to the site-wide policy)
+ * @param {Date} now - Moment of cancellation
+ * @returns {Object} - { allowed, message?, tier, refund_percent, refund_amount }
+ */
+function evaluateCancellation(booking, policy = DEFAULT_CANCELLATION_POLICY, now = new Date()) {
+  const checkinDate = new Date(booking.check_in);
+
+  if (checkinDate <= now) {
+    return {
+      allowed: false,
+      message: 'Cannot cancel bookings that have already started or are in the past'
+    };
+  }
+
+  const daysBeforeCheckin = (checkinDate - now) / DAY_MS;
+  let tier;
+  let refundPercent;
+
+  if (policy.non_refundable) {
+    tier = 'non_refundable';
+    refundPercent = 0;
+  } else if (daysBeforeCheckin >= policy.free_cancellation_days) {
+    tier = 'full';
+    refundPercent = 100;
+  } else {
+    tier = 'partial';
+    refundPercent = 100 - policy.penalty_percent;
+  }
+
+  // Only money that was actually collected can be given back
+  const paid = booking.payment_status === PAYMENT_STATUS.PAID;
+  const refundAmount = paid ? roundMoney((booking.total_amount || 0) * refundPercent / 100) : 0;
+
+  return {
+    allowed: true,
+    tier,
+    refund_percent: paid ? refundPercent : 0,
+    refund_amount: refundAmount
+  };
+}
+
+/**
+ * Ask Paystack to refund part or all of a booking's payments on cancellation
+ * A booking whose stay was extended has more than one charge; the newest
+ * charges are refunded first and each keeps its own refund record, while the
+ * booking carries the overall refund. Paystack confirms each refund later
+ * through the refund.processed webhook.
+ * @param {Object} db - Database handle
+ * @param {Object} booking - Booking document
+ * @param {number} amount - Amount to refund in naira
+ * @returns {Promise<Object>} - Refund state stored on the booking
+ */
+async function requestRefund(db, booking, amount) {
+  const refund = await refundCharges(db, booking, amount, paymentRefund => ({
+    $set: { refund: paymentRefund }
+  }));
+
+  await db.collection(COLLECTIONS.BOOKINGS).updateOne(
+    { _id: booking._id },
+    { $set: { refund, updated_at: new Date() } }
+  );
+
+  return refund;
+}
+
+/**
+ * Give back what a booking change made cheaper
+ * Each charge refunded keeps the refund in `change_refunds`, apart from the
+ * cancellation refund in `refund`, so the webhooks can tell them apart.
+ * @param {Object} db - Database handle
+ * @param {Object} booking - Booking document
+ * @param {number} amount - Price difference in naira
+ * @returns {Promise<Object>} - { amount, status, requested_at, failure_reason? }
+ */
+async function requestChangeRefund(db, booking, amount) {
+  return refundCharges(db, booking, amount, paymentRefund => ({
+    $push: { change_refunds: paymentRefund }
+  }));
+}
+
+/**
+ * Refund an amount across a booking's charges, newest first
+ * A charge is only refunded up to what has not been refunded from it already.
+ * @param {Object} db - Database handle
+ * @param {Object} booking - Booking document
+ * @param {number} amount - Amount to refund in naira
+ * @param {Function} recordRefund - Builds the payment update that stores one charge's refund
+ * @returns {Promise<Object>} - Overall refund state
+ */
+async function refundCharges(db, booking, amount, recordRefund) {
+  const refund = {
+    amount,
+    status: REFUND_STATUS.PENDING,
+    requested_at: new Date()
+  };
+
+  const payments = await db.collection(COLLECTIONS.PAYMENTS)
+    .find({ booking_id: booking._id, status: { $in: [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PARTIALLY_REFUNDED] } })
+    .sort({ created_at: -1 })
+    .toArray();
+
+  let remaining = amount;
+
+  for (const payment of payments) {
+    if (remaining <= 0) {
+      break;
+    }
+
+    const portion = roundMoney(Math.min(remaining, payment.amount - (payment.refunded_amount || 0)));
+    if (portion <= 0) {
+      continue;
+    }
+
+    const paymentRefund = await refundPayment(payment, portion);
+    const update = recordRefund(paymentRefund);
+    update.$set = { ...update.$set, updated_at: new Date() };
+
+    if (paymentRefund.status === REFUND_STATUS.FAILED) {
+      refund.status = REFUND_STATUS.FAILED;
+      refund.failure_reason = paymentRefund.failure_reason;
+    } else {
+      update.$inc = { refunded_amount: portion }; // Spoken for until Paystack reports otherwise
+    }
+
+    await db.collection(COLLECTIONS.PAYMENTS).updateOne({ _id: payment._id }, update);
+
+    remaining = roundMoney(remaining - portion);
+  }
+
+  // Nothing on record to refund against
+  if (remaining > 0 && refund.status !== REFUND_STATUS.FAILED) {
+    refund.status = REFUND_STATUS.FAILED;
+    refund.failure_reason = 'No payment found for the refund';
+  }
+
+  return refund;
+}
+
+/**
+ * Refund one Paystack charge
+ * @param {Object} payment - Payment document
+ * @param {number} amount - Amount to refund in naira
+ * @returns {Promise<Object>} - Refund state for the payment document
+ */
+async function refundPayment(payment, amount) {
+  const refund = {
+    amount,
+    status: REFUND_STATUS.PENDING,
+    requested_at: new Date()
+  };
+
+  try {
+    const response = await createRefund(payment.transaction_reference, Math.round(amount * 100));
+
+    if (response.status) {
+      refund.paystack_refund_id = response.data && response.data.id;
+    } else {
+      console.error('Paystack refund error:', response);
+      refund.status = REFUND_STATUS.FAILED;
+      refund.failure_reason = response.message || 'Refund request rejected';
+    }
+  } catch (error) {
+    console.error('Refund service error:', error);
+    refund.status = REFUND_STATUS.FAILED;
+    refund.failure_reason = error.message;
+  }
+
+  return refund;
+}
+
+module.exports = {
+  getCancellationPolicy,
+  evaluateCancellation,
+  requestRefund,
+  requestChangeRefund
+};
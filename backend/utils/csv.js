@@ -0,0 +1,45 @@
+// CSV export helpers
+
+/**
+ * Quote a value for a CSV cell
+ * Cells that look like formulas are prefixed so spreadsheets show them as text.
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function escapeCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Object[]} rows - Records to export
+ * @param {Object[]} columns - { header, value(row) } per column
+ * @returns {string} - CSV text with a header row
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(column.value(row))).join(','));
+  }
+
+  return lines.join('\r\n');
+}
+
+module.exports = {
+  toCsv
+};
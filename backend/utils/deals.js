@@ -0,0 +1,211 @@
+// Deals and the rules that decide when they apply
+//
+// A deal is a percentage off the room subtotal. Every rule on a deal is optional
+// and all present rules must hold for a stay to qualify:
+//   hotel_ids            Hotels it covers (missing = every hotel, empty = none)
+//   room_types           Room type names it covers (missing or empty = every room type)
+//   stay_from / stay_to  First and last night a stay may include (YYYY-MM-DD)
+//   min_nights           Shortest stay
+//   min_guests           Smallest party
+//   min_days_in_advance  Days between booking and check-in
+//   weekend_only         Every night is a Friday or Saturday night
+//   valid_from / valid_until  When the deal can be booked (dates)
+
+const { COLLECTIONS } = require('../config/constants');
+const { getRoomUnits } = require('./availability');
+const { isWeekendNight } = require('./rates');
+
+// Milliseconds in one day, for counting days until check-in
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Query for deals that can be booked right now
+ * @param {Date} now - Current time
+ * @returns {Object} - MongoDB filter
+ */
+function currentDealsFilter(now) {
+  return {
+    active: true,
+    $and: [
+      { $or: [{ valid_from: { $exists: false } }, { valid_from: { $lte: now } }] },
+      { $or: [{ valid_until: { $exists: false } }, { valid_until: { $gte: now } }] }
+    ]
+  };
+}
+
+/**
+ * Whether a deal covers a hotel and room type
+ * @param {Object} deal - Deal document
+ * @param {string} hotelId - Hotel ID
+ * @param {string} roomType - Room type name
+ * @returns {boolean}
+ */
+function dealCovers(deal, hotelId, roomType) {
+  if (Array.isArray(deal.hotel_ids) && !deal.hotel_ids.includes(hotelId)) {
+    return false;
+  }
+
+  return !deal.room_types || deal.room_types.length === 0 || deal.room_types.includes(roomType);
+}
+
+/**
+ * Check a stay against the rules of a deal that don't depend on the hotel or room
+ * @param {Object} deal - Deal document
+ * @param {Object} stay - { check_in, nights: string[], guests }
+ * @param {Date} now - Booking time
+ * @returns {boolean} - True when the stay's dates, length and party qualify
+ */
+function stayQualifies(deal, stay, now) {
+  if ((deal.valid_from && now < deal.valid_from) || (deal.valid_until && now > deal.valid_until)) {
+    return false;
+  }
+
+  const firstNight = stay.nights[0];
+  const lastNight = stay.nights[stay.nights.length - 1];
+  if ((deal.stay_from && firstNight < deal.stay_from) || (deal.stay_to && lastNight > deal.stay_to)) {
+    return false;
+  }
+
+  if (deal.min_nights && stay.nights.length < deal.min_nights) {
+    return false;
+  }
+
+  if (deal.min_guests && stay.guests < deal.min_guests) {
+    return false;
+  }
+
+  if (deal.min_days_in_advance) {
+    const today = new Date(`${now.toISOString().split('T')[0]}T00:00:00Z`);
+    const daysAhead = Math.round((new Date(`${stay.check_in}T00:00:00Z`) - today) / DAY_MS);
+    if (daysAhead < deal.min_days_in_advance) {
+      return false;
+    }
+  }
+
+  if (deal.weekend_only) {
+    if (!stay.nights.every(isWeekendNight)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Check a stay against every rule of a deal
+ * @param {Object} deal - Deal document
+ * @param {Object} stay - { hotel_id, room_type, check_in, nights: string[], guests }
+ * @param {Date} now - Booking time
+ * @returns {boolean} - True when the deal applies to the stay
+ */
+function isDealEligible(deal, stay, now = new Date()) {
+  if (!deal.active || !dealCovers(deal, stay.hotel_id, stay.room_type)) {
+    return false;
+  }
+
+  return stayQualifies(deal, stay, now);
+}
+
+/**
+ * Find the best deal for a stay
+ * @param {Object} db - Database handle
+ * @param {Object} stay - { hotel_id, room_type, check_in, nights: string[], guests }
+ * @returns {Promise<Object|null>} - Eligible deal with the highest discount, if any
+ */
+async function findBestDeal(db, stay) {
+  const now = new Date();
+  const deals = await db.collection(COLLECTIONS.DEALS).find(currentDealsFilter(now)).toArray();
+
+  return deals
+    .filter(deal => isDealEligible(deal, stay, now))
+    .reduce((best, deal) => !best || deal.discount_percentage > best.discount_percentage ? deal : best, null);
+}
+
+/**
+ * Find the deals a stay qualifies for in whichever hotel and room it is booked
+ * Loaded once per hotel search; which hotels and rooms each covers is left to
+ * bestDiscountExpression().
+ * @param {Object} db - Database handle
+ * @param {Object} stay - { check_in, nights: string[], guests }
+ * @returns {Promise<Object[]>} - Deals that can be booked now and whose stay rules hold
+ */
+async function findStayDeals(db, stay) {
+  const now = new Date();
+  const deals = await db.collection(COLLECTIONS.DEALS).find(currentDealsFilter(now)).toArray();
+
+  return deals.filter(deal => stayQualifies(deal, stay, now));
+}
+
+/**
+ * Aggregation expression for the best deal discount on a room
+ * Applies the same coverage rules as dealCovers() inside the database.
+ * @param {Object[]} deals - Deals from findStayDeals
+ * @param {string} hotelId - Expression for the hotel ID, e.g. '$_id'
+ * @param {string} roomType - Expression for the room type name, e.g. '$$room.room_type'
+ * @returns {Object|number} - Expression for the highest discount percentage, 0 when no deal covers the room
+ */
+function bestDiscountExpression(deals, hotelId, roomType) {
+  const discounts = deals.map(deal => {
+    const covers = [];
+    if (Array.isArray(deal.hotel_ids)) {
+      covers.push({ $in: [hotelId, deal.hotel_ids] });
+    }
+    if (deal.room_types && deal.room_types.length > 0) {
+      covers.push({ $in: [roomType, deal.room_types] });
+    }
+
+    return covers.length > 0 ? { $cond: [{ $and: covers }, deal.discount_percentage, 0] } : deal.discount_percentage;
+  });
+
+  return discounts.length > 0 ? { $max: [0, ...discounts] } : 0;
+}
+
+/**
+ * List the deals that can be booked now, each with the hotels it covers
+ * Hotels are priced from their cheapest covered room type that is on sale.
+ * @param {Object} db - Database handle
+ * @returns {Promise<Object[]>} - Deals, biggest discount first, each with `hotels`
+ */
+async function listCurrentDeals(db) {
+  const now = new Date();
+  const today = now.toISOString().split('T')[0];
+
+  const deals = await db.collection(COLLECTIONS.DEALS)
+    .find({ ...currentDealsFilter(now), $or: [{ stay_to: { $exists: false } }, { stay_to: { $gte: today } }] })
+    .sort({ discount_percentage: -1, _id: 1 })
+    .toArray();
+
+  const hotels = await db.collection(COLLECTIONS.HOTELS)
+    .find({}, { projection: { name: 1, location: 1, images: 1, rating: 1, amenities: 1, rooms: 1 } })
+    .toArray();
+
+  return deals.map(deal => ({
+    ...deal,
+    hotels: hotels
+      .map(hotel => {
+        const prices = (hotel.rooms || [])
+          .filter(room => getRoomUnits(room) > 0 && dealCovers(deal, hotel._id, room.room_type))
+          .map(room => room.price_per_night);
+        if (prices.length === 0) {
+          return null;
+        }
+
+        const { rooms, ...details } = hotel;
+        const fromPrice = Math.min(...prices);
+        return {
+          ...details,
+          from_price: fromPrice,
+          deal_price: Math.round(fromPrice * (100 - deal.discount_percentage) / 100)
+        };
+      })
+      .filter(Boolean)
+  })).filter(deal => deal.hotels.length > 0);
+}
+
+module.exports = {
+  isDealEligible,
+  findBestDeal,
+  findStayDeals,
+  bestDiscountExpression,
+  listCurrentDeals
+};
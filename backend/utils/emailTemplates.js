@@ -0,0 +1,104 @@
+// Email templates for guest notifications
+//
+// Each template turns the data queued with a notification into a subject and a
+// plain-text body. Booking templates take the summary built by
+// utils/notifications.js; none of them touch the database.
+
+const { SITE_URL, REFUND_STATUS } = require('../config/constants');
+
+/**
+ * Amount in naira as shown to guests
+ * @param {number} amount - Amount in naira
+ * @returns {string} - e.g. ₦94,500
+ */
+function formatNaira(amount) {
+  return `₦${Number(amount || 0).toLocaleString('en-NG')}`;
+}
+
+/**
+ * Stay date as shown to guests
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} - e.g. Fri, 19 Dec 2026
+ */
+function formatStayDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * The stay details every booking email repeats
+ * @param {Object} booking - Booking summary
+ * @returns {string}
+ */
+function stayDetails(booking) {
+  return [
+    `Hotel: ${booking.hotel_name}${booking.hotel_location ? `, ${booking.hotel_location}` : ''}`,
+    `Room: ${booking.room_type}`,
+    `Check-in: ${formatStayDate(booking.check_in)}`,
+    `Check-out: ${formatStayDate(booking.check_out)}`,
+    `Guests: ${booking.guests}`,
+    booking.reference ? `Booking reference: ${booking.reference}` : null
+  ].filter(Boolean).join('\n');
+}
+
+// Templates keyed by notification type
+const TEMPLATES = {
+  booking_confirmed: booking => ({
+    subject: `Booking confirmed: ${booking.hotel_name}, ${formatStayDate(booking.check_in)}`,
+    text: `Hi ${booking.guest_name},\n\nYour booking is confirmed and paid. We look forward to hosting you.\n\n${stayDetails(booking)}\nTotal paid: ${formatNaira(booking.total_amount)}\n\nYou can view, change or cancel this booking from your dashboard:\n${SITE_URL}/dashboard`
+  }),
+
+  booking_cancelled: booking => {
+    const refund = booking.refund || {};
+    let refundNote = 'No refund is due under the cancellation policy for this booking.';
+    if (refund.status === REFUND_STATUS.PENDING) {
+      refundNote = `A refund of ${formatNaira(refund.amount)} is on its way to your original payment method. We will email you once it has been processed.`;
+    } else if (refund.status === REFUND_STATUS.FAILED) {
+      refundNote = 'We could not start your refund automatically; our support team will contact you.';
+    }
+
+    return {
+      subject: `Booking cancelled: ${booking.hotel_name}, ${formatStayDate(booking.check_in)}`,
+      text: `Hi ${booking.guest_name},\n\nYour booking has been cancelled.\n\n${stayDetails(booking)}\n\n${refundNote}`
+    };
+  },
+
+  refund_issued: booking => ({
+    subject: `Refund of ${formatNaira(booking.refund_amount)} processed`,
+    text: `Hi ${booking.guest_name},\n\nYour refund of ${formatNaira(booking.refund_amount)} for your cancelled booking at ${booking.hotel_name} has been processed. Depending on your bank it can take up to 10 working days to appear on your statement.\n\n${stayDetails(booking)}`
+  }),
+
+  checkin_reminder: booking => ({
+    subject: `See you soon at ${booking.hotel_name}`,
+    text: `Hi ${booking.guest_name},\n\nThis is a reminder that your stay starts on ${formatStayDate(booking.check_in)}.\n\n${stayDetails(booking)}\n\nPlease bring a valid ID to check in. Need to change your dates? Manage your booking at:\n${SITE_URL}/dashboard`
+  }),
+
+  // Sent to an address nobody has verified, so nothing the sender typed is copied in
+  contact_acknowledgment: () => ({
+    subject: 'We received your message',
+    text: `Hello,\n\nThanks for getting in touch. Our team will reply to this address within one working day.\n\nIf you did not contact us, you can ignore this email.\n\n${SITE_URL}`
+  })
+};
+
+/**
+ * Render a notification
+ * @param {string} type - Key of TEMPLATES
+ * @param {Object} data - Data for the template
+ * @returns {Object} - { subject, text }
+ */
+function renderTemplate(type, data) {
+  if (!TEMPLATES[type]) {
+    throw new Error(`Unknown email template: ${type}`);
+  }
+  return TEMPLATES[type](data);
+}
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate
+};
@@ -0,0 +1,88 @@
+// API error types
+//
+// Route handlers throw (or pass to next()) one of these instead of answering
+// themselves; middleware/errors.js turns them into the JSON error envelope with
+// the matching HTTP status.
+
+/**
+ * Base class for errors that are safe to show to the client
+ * @param {string} message - Human readable explanation
+ * @param {Object} options - { code, details } to override the default code or attach extra response fields
+ */
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// 400 - The request itself is malformed or fails validation
+class ValidationError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 400, code: 'VALIDATION_ERROR', ...options });
+  }
+}
+
+// 401 - Not signed in, or wrong credentials
+class AuthenticationError extends AppError {
+  constructor(message = 'Authentication required. Please login first.', options = {}) {
+    super(message, { status: 401, code: 'AUTH_REQUIRED', ...options });
+  }
+}
+
+// 403 - Signed in but not allowed to do this
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have access to this resource', options = {}) {
+    super(message, { status: 403, code: 'FORBIDDEN', ...options });
+  }
+}
+
+// 404 - The record does not exist, or belongs to someone else
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', options = {}) {
+    super(message, { status: 404, code: 'NOT_FOUND', ...options });
+  }
+}
+
+// 409 - The request is valid but clashes with the record's current state
+class ConflictError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 409, code: 'CONFLICT', ...options });
+  }
+}
+
+// 429 - The caller has sent too many requests in a short time
+class RateLimitError extends AppError {
+  constructor(message = 'Too many requests. Please try again later.', options = {}) {
+    super(message, { status: 429, code: 'RATE_LIMITED', ...options });
+  }
+}
+
+// 502 - Paystack or another upstream service failed
+class UpstreamError extends AppError {
+  constructor(message = 'Payment service error. Please try again.', options = {}) {
+    super(message, { status: 502, code: 'UPSTREAM_ERROR', ...options });
+  }
+}
+
+// 503 - The database connection is down
+class ServiceUnavailableError extends AppError {
+  constructor(message = 'Database not connected', options = {}) {
+    super(message, { status: 503, code: 'SERVICE_UNAVAILABLE', ...options });
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  UpstreamError,
+  ServiceUnavailableError
+};
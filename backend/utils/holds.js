@@ -0,0 +1,67 @@
+// Lapsed booking holds
+//
+// A pending booking is created when a guest starts paying and keeps its room
+// claimed until hold_expires_at. Holds nobody paid for are marked expired here
+// and their nights go back on sale. Booking changes waiting for payment
+// (pending_modification) lapse the same way. Both are swept by the
+// expire_holds job (utils/scheduler.js).
+
+const { releaseRoom } = require('./availability');
+const { cancelPendingModification } = require('./modifications');
+const { COLLECTIONS, BOOKING_STATUS } = require('../config/constants');
+
+/**
+ * Expire every pending booking whose hold has lapsed
+ * @param {Object} db - Database handle
+ * @returns {Promise<number>} - Number of holds released
+ */
+async function expireLapsedHolds(db) {
+  const bookings = db.collection(COLLECTIONS.BOOKINGS);
+  const lapsed = await bookings
+    .find({ booking_status: BOOKING_STATUS.PENDING, hold_expires_at: { $lte: new Date() } })
+    .toArray();
+
+  let released = 0;
+
+  for (const booking of lapsed) {
+    // Only the caller that flips the status releases the room, so a payment
+    // confirmed in the meantime keeps its nights
+    const result = await bookings.updateOne(
+      { _id: booking._id, booking_status: BOOKING_STATUS.PENDING },
+      { $set: { booking_status: BOOKING_STATUS.EXPIRED, expired_at: new Date(), updated_at: new Date() } }
+    );
+
+    if (result.modifiedCount === 1) {
+      await releaseRoom(db, booking.hotel_id, booking.room_type, booking.check_in, booking.check_out);
+      released++;
+    }
+  }
+
+  return released;
+}
+
+/**
+ * Drop every booking change whose payment window has lapsed
+ * @param {Object} db - Database handle
+ * @returns {Promise<number>} - Number of changes dropped
+ */
+async function expireLapsedModifications(db) {
+  const lapsed = await db.collection(COLLECTIONS.BOOKINGS)
+    .find({ 'pending_modification.expires_at': { $lte: new Date() } })
+    .toArray();
+
+  let released = 0;
+
+  for (const booking of lapsed) {
+    if (await cancelPendingModification(db, booking)) {
+      released++;
+    }
+  }
+
+  return released;
+}
+
+module.exports = {
+  expireLapsedHolds,
+  expireLapsedModifications
+};
@@ -0,0 +1,410 @@
+// Hotel catalog search
+//
+// Turns the query string of GET /api/hotels into a MongoDB aggregation so
+// filtering, sorting and paging happen in the database instead of the browser.
+// With check-in and check-out dates only rooms free on every night count, using
+// the same room_inventory ledger that reservations are made against, and price
+// filters and sorting use what the stay actually costs rather than the base rate:
+// nightly rates and deals are priced in the pipeline, so even then the database
+// does the paging.
+
+const {
+  COLLECTIONS,
+  BOOKING_STATUS,
+  PRICING,
+  PROPERTY_TYPES,
+  HOTEL_SEARCH,
+  AMENITY_FILTERS,
+  DEFAULT_ROOM_UNITS
+} = require('../config/constants');
+const { parseStayDates } = require('./availability');
+const { roundMoneyExpression } = require('./pricing');
+const { findStayDeals, bestDiscountExpression } = require('./deals');
+const { stayRatesExpression } = require('./rates');
+const { escapeRegex, correctSearchTerms } = require('./textSearch');
+
+// Sort orders offered on the hotels page; _id keeps pages stable between ties
+const SORT_ORDERS = {
+  relevance: { score: -1, rating: -1, _id: 1 },
+  'price-low': { from_price: 1, _id: 1 },
+  'price-high': { from_price: -1, _id: 1 },
+  rating: { rating: -1, _id: 1 },
+  popular: { booking_count: -1, rating: -1, _id: 1 }
+};
+
+// Price orders, applied to the stay total instead when dates are given
+const PRICE_SORT_DIRECTIONS = { 'price-low': 1, 'price-high': -1 };
+
+/**
+ * Read a query parameter that may be repeated or comma separated
+ * @param {string|string[]|undefined} value - Raw query value
+ * @returns {string[]} - Trimmed, non-empty values
+ */
+function toList(value) {
+  return [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read a non-negative number from the query string
+ * @param {string|undefined} value - Raw query value
+ * @returns {number|null} - Parsed number, or null when absent or invalid
+ */
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Parse hotel search parameters
+ * Unknown or malformed filters are ignored rather than rejected, so a stale
+ * link still lists hotels; invalid stay dates are reported.
+ * @param {Object} query - req.query
+ * @returns {Object} - Normalised search options, or { error }
+ */
+function parseHotelSearch(query) {
+  const limit = Math.min(parseInt(query.limit, 10) || HOTEL_SEARCH.DEFAULT_LIMIT, HOTEL_SEARCH.MAX_LIMIT);
+
+  // Dates are optional, but a half-filled or impossible range is an error
+  let stay = null;
+  if (query.checkin || query.checkout) {
+    const dates = parseStayDates(query.checkin, query.checkout);
+    if (dates.error) {
+      return { error: dates.error };
+    }
+    stay = { checkin: query.checkin, checkout: query.checkout, nights: dates.nights };
+  }
+
+  // Free text is ranked by relevance unless another order is asked for
+  const text = typeof query.q === 'string' ? query.q.trim() : '';
+  const defaultSort = text ? 'relevance' : 'rating';
+  const sort = SORT_ORDERS[query.sort] && (text || query.sort !== 'relevance') ? query.sort : defaultSort;
+
+  return {
+    text,
+    stay,
+    destinations: toList(query.destination),
+    minPrice: toNumber(query.minPrice),
+    maxPrice: toNumber(query.maxPrice),
+    rating: toNumber(query.rating),
+    amenities: toList(query.amenities),
+    types: toList(query.type).filter(type => PROPERTY_TYPES.includes(type)),
+    guests: parseInt(query.guests, 10) || null,
+    sort,
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.max(limit, 1)
+  };
+}
+
+/**
+ * Conditions a single room must meet to count as a match
+ * Returned both as a query ($elemMatch) and as an expression ($filter) so the
+ * price shown on the card is the cheapest room the hotel actually matched on.
+ * Free units for a stay can only be checked by the expression, once the
+ * hotel's inventory has been joined in as `inventory`. The price range only
+ * applies to the base rate without dates; stays are priced by stayPriceExpression().
+ * @param {Object} search - Parsed search options
+ * @returns {Object} - { query, expression }
+ */
+function buildRoomConditions(search) {
+  const query = { available: { $ne: false } };
+  const expression = [{ $ne: ['$$room.available', false] }];
+
+  if (!search.stay && (search.minPrice !== null || search.maxPrice !== null)) {
+    query.price_per_night = {};
+    if (search.minPrice !== null) {
+      query.price_per_night.$gte = search.minPrice;
+      expression.push({ $gte: ['$$room.price_per_night', search.minPrice] });
+    }
+    if (search.maxPrice !== null) {
+      query.price_per_night.$lte = search.maxPrice;
+      expression.push({ $lte: ['$$room.price_per_night', search.maxPrice] });
+    }
+  }
+
+  if (search.guests) {
+    query.capacity = { $gte: search.guests };
+    expression.push({ $gte: ['$$room.capacity', search.guests] });
+  }
+
+  // Peak units booked on any night of the stay must leave one unit free
+  if (search.stay) {
+    const bookedNights = {
+      $filter: { input: '$inventory', as: 'night', cond: { $eq: ['$$night.room_type', '$$room.room_type'] } }
+    };
+
+    expression.push({
+      $gt: [
+        { $ifNull: ['$$room.units', DEFAULT_ROOM_UNITS] },
+        { $ifNull: [{ $max: { $map: { input: bookedNights, as: 'night', in: '$$night.booked' } } }, 0] }
+      ]
+    });
+  }
+
+  return { query, expression: { $and: expression } };
+}
+
+/**
+ * Build the hotel filter
+ * @param {Object} search - Parsed search options
+ * @param {Object} roomQuery - Conditions for at least one room
+ * @param {string[]} terms - Spelling-corrected free-text words, if any
+ * @returns {Object} - MongoDB filter
+ */
+function buildHotelFilter(search, roomQuery, terms = []) {
+  const conditions = [{ rooms: { $elemMatch: roomQuery } }];
+
+  // Uses the hotel_text index; any of the words matches, more matches rank higher
+  if (terms.length > 0) {
+    conditions.push({ $text: { $search: terms.join(' ') } });
+  }
+
+  // Any of the destinations, matched against the area or the hotel name
+  if (search.destinations.length > 0) {
+    const patterns = search.destinations.map(destination => new RegExp(escapeRegex(destination), 'i'));
+    conditions.push({ $or: [{ location: { $in: patterns } }, { name: { $in: patterns } }] });
+  }
+
+  if (search.rating !== null) {
+    conditions.push({ rating: { $gte: search.rating } });
+  }
+
+  // Every requested amenity, under any of the names hotels list it as
+  for (const amenity of search.amenities) {
+    conditions.push({ amenities: { $in: AMENITY_FILTERS[amenity.toLowerCase()] || [amenity] } });
+  }
+
+  if (search.types.length > 0) {
+    conditions.push({ property_type: { $in: search.types } });
+  }
+
+  return { $and: conditions };
+}
+
+/**
+ * Expression for whether a nightly price is inside the searched price range
+ * @param {Object} search - Parsed search options
+ * @param {string} price - Expression for the price per night
+ * @returns {Object|boolean} - Condition, or true without a range
+ */
+function priceRangeExpression(search, price) {
+  const conditions = [];
+  if (search.minPrice !== null) {
+    conditions.push({ $gte: [price, search.minPrice] });
+  }
+  if (search.maxPrice !== null) {
+    conditions.push({ $lte: [price, search.maxPrice] });
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : true;
+}
+
+/**
+ * Expression for the entry of an array with the lowest value of a field
+ * @param {string} input - Expression for the array
+ * @param {string} field - Field to compare
+ * @returns {Object} - Expression for the first cheapest entry, null for an empty array
+ */
+function cheapestExpression(input, field) {
+  return {
+    $reduce: {
+      input,
+      initialValue: null,
+      in: {
+        $cond: [
+          { $or: [{ $eq: ['$$value', null] }, { $lt: [`$$this.${field}`, `$$value.${field}`] }] },
+          '$$this',
+          '$$value'
+        ]
+      }
+    }
+  };
+}
+
+/**
+ * Expression pricing the searched stay in the room held in `$$room`
+ * Follows calculateQuote(): nightly rates, then the best deal, then the
+ * service fee and tax. `from_price` is the room price per night after the
+ * deal, which the price range is checked against.
+ * @param {Object} search - Parsed search options with a stay
+ * @param {Object[]} deals - Deals the stay qualifies for (findStayDeals)
+ * @returns {Object} - Expression for { room_type, from_price, total }
+ */
+function stayPriceExpression(search, deals) {
+  const discountPercentage = bestDiscountExpression(deals, '$_id', '$$room.room_type');
+
+  return {
+    $let: {
+      vars: { subtotal: roundMoneyExpression(stayRatesExpression('$$room', search.stay.nights)) },
+      in: {
+        $let: {
+          vars: {
+            price: roundMoneyExpression({
+              $subtract: ['$$subtotal', roundMoneyExpression({ $divide: [{ $multiply: ['$$subtotal', discountPercentage] }, 100] })]
+            })
+          },
+          in: {
+            $let: {
+              vars: { fee: roundMoneyExpression({ $multiply: ['$$price', PRICING.SERVICE_FEE_RATE] }) },
+              in: {
+                room_type: '$$room.room_type',
+                from_price: roundMoneyExpression({ $divide: ['$$price', search.stay.nights.length] }),
+                total: roundMoneyExpression({
+                  $add: ['$$price', '$$fee', roundMoneyExpression({ $multiply: [{ $add: ['$$price', '$$fee'] }, PRICING.TAX_RATE] })]
+                })
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Search the hotel catalog
+ * @param {Object} db - Database handle
+ * @param {Object} query - req.query
+ * @returns {Promise<Object>} - { hotels, total, page, pages, limit }, or { error }
+ */
+async function searchHotels(db, query) {
+  const search = parseHotelSearch(query);
+  if (search.error) {
+    return { error: search.error };
+  }
+
+  const terms = search.text ? await correctSearchTerms(db, search.text) : [];
+  if (search.text && terms.length === 0) {
+    return { hotels: [], total: 0, page: search.page, pages: 1, limit: search.limit };
+  }
+
+  const rooms = buildRoomConditions(search);
+  const pipeline = [{ $match: buildHotelFilter(search, rooms.query, terms) }];
+
+  if (terms.length > 0) {
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  }
+
+  // Booked counts for the stay's nights, per room type
+  if (search.stay) {
+    pipeline.push({
+      $lookup: {
+        from: COLLECTIONS.ROOM_INVENTORY,
+        let: { hotelId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$hotel_id', '$$hotelId'] }, date: { $in: search.stay.nights } } },
+          { $project: { _id: 0, room_type: 1, booked: 1 } }
+        ],
+        as: 'inventory'
+      }
+    });
+  }
+
+  // Rooms that meet every condition; hotels without one drop out
+  pipeline.push(
+    { $addFields: { matched_rooms: { $filter: { input: '$rooms', as: 'room', cond: rooms.expression } } } },
+    { $match: { 'matched_rooms.0': { $exists: true } } },
+    { $project: { inventory: 0 } }
+  );
+
+  if (search.stay) {
+    // Price the stay in every matched room; rooms outside the price range drop out, then so do hotels without one
+    const deals = await findStayDeals(db, {
+      check_in: search.stay.checkin,
+      nights: search.stay.nights,
+      guests: search.guests || 1
+    });
+
+    pipeline.push(
+      {
+        $addFields: {
+          cheapest_stay: cheapestExpression({
+            $filter: {
+              input: { $map: { input: '$matched_rooms', as: 'room', in: stayPriceExpression(search, deals) } },
+              as: 'stay',
+              cond: priceRangeExpression(search, '$$stay.from_price')
+            }
+          }, 'total')
+        }
+      },
+      { $match: { cheapest_stay: { $ne: null } } },
+      {
+        $addFields: {
+          from_price: '$cheapest_stay.from_price',
+          from_room_type: '$cheapest_stay.room_type',
+          stay_quote: {
+            room_type: '$cheapest_stay.room_type',
+            nights: { $literal: search.stay.nights.length },
+            total: '$cheapest_stay.total'
+          }
+        }
+      },
+      { $project: { cheapest_stay: 0, matched_rooms: 0 } }
+    );
+  } else {
+    // Without dates the cheapest base rate is the price
+    pipeline.push(
+      { $addFields: { cheapest_room: cheapestExpression('$matched_rooms', 'price_per_night') } },
+      {
+        $addFields: {
+          from_price: '$cheapest_room.price_per_night',
+          from_room_type: '$cheapest_room.room_type'
+        }
+      },
+      { $project: { cheapest_room: 0, matched_rooms: 0 } }
+    );
+  }
+
+  // Popularity is the number of stays actually sold
+  if (search.sort === 'popular') {
+    pipeline.push(
+      {
+        $lookup: {
+          from: COLLECTIONS.BOOKINGS,
+          let: { hotelId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ['$hotel_id', '$$hotelId'] },
+                booking_status: { $in: [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.COMPLETED] }
+              }
+            },
+            { $count: 'count' }
+          ],
+          as: 'booking_stats'
+        }
+      },
+      { $addFields: { booking_count: { $ifNull: [{ $arrayElemAt: ['$booking_stats.count', 0] }, 0] } } },
+      { $project: { booking_stats: 0 } }
+    );
+  }
+
+  // Stays are sorted by what the whole stay costs
+  const priceDirection = search.stay && PRICE_SORT_DIRECTIONS[search.sort];
+  pipeline.push(
+    { $sort: priceDirection ? { 'stay_quote.total': priceDirection, _id: 1 } : SORT_ORDERS[search.sort] },
+    {
+      $facet: {
+        hotels: [{ $skip: (search.page - 1) * search.limit }, { $limit: search.limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  );
+
+  const [result] = await db.collection(COLLECTIONS.HOTELS).aggregate(pipeline).toArray();
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  return {
+    hotels: result.hotels,
+    total,
+    page: search.page,
+    pages: Math.max(Math.ceil(total / search.limit), 1),
+    limit: search.limit
+  };
+}
+
+module.exports = {
+  searchHotels
+};
@@ -0,0 +1,70 @@
+// Outgoing email
+//
+// Messages go through the transport named by MAIL.TRANSPORT. In production
+// `smtp` hands them to the relay in MAIL.SMTP and is the only transport
+// allowed. For local runs `console` prints them to the server log and `file`
+// writes each one to MAIL.OUTBOX_DIR, so links in them can be followed without
+// a mail provider.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { MAIL, NODE_ENV } = require('../config/constants');
+const { sendSmtp } = require('./smtp');
+
+// Each transport takes a complete message and delivers it
+const TRANSPORTS = {
+  console: async message => {
+    console.log(`✉️  Email to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  file: async message => {
+    await fs.mkdir(MAIL.OUTBOX_DIR, { recursive: true });
+    const fileName = `${message.date.toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.txt`;
+    const content = `From: ${message.from}\nTo: ${message.to}\nDate: ${message.date.toUTCString()}\nSubject: ${message.subject}\n\n${message.text}\n`;
+    await fs.writeFile(path.join(MAIL.OUTBOX_DIR, fileName), content);
+  },
+
+  smtp: sendSmtp
+};
+
+// Transports that keep messages on this machine instead of delivering them
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+/**
+ * Check the configured transport, so a server that can't send email stops at startup
+ * @throws {Error} - Unknown transport, a local transport in production, or SMTP without a host
+ */
+function checkMailTransport() {
+  if (!TRANSPORTS[MAIL.TRANSPORT]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${MAIL.TRANSPORT}"; use one of ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  if (NODE_ENV === 'production' && LOCAL_TRANSPORTS.includes(MAIL.TRANSPORT)) {
+    throw new Error(`MAIL_TRANSPORT "${MAIL.TRANSPORT}" does not deliver email; set MAIL_TRANSPORT=smtp in production`);
+  }
+  if (MAIL.TRANSPORT === 'smtp' && !MAIL.SMTP.HOST) {
+    throw new Error('MAIL_TRANSPORT is smtp but SMTP_HOST is not set');
+  }
+}
+
+/**
+ * Transport selected in the environment
+ * @returns {Function} - Delivery function
+ */
+function getTransport() {
+  checkMailTransport();
+  return TRANSPORTS[MAIL.TRANSPORT];
+}
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<void>}
+ */
+async function sendMail({ to, subject, text }) {
+  await getTransport()({ from: MAIL.FROM, to, subject, text, date: new Date() });
+}
+
+module.exports = {
+  checkMailTransport,
+  sendMail
+};
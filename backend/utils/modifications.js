@@ -0,0 +1,218 @@
+// Booking modifications: new dates, another room type or a different party size
+//
+// A change is priced like a new booking. Nights the booking does not already
+// hold are reserved first; the nights it gives up are only released once the
+// change is applied, so a guest never loses their original stay to a failed
+// or abandoned modification.
+
+const { reserveNights, releaseNights, getStayNights } = require('./availability');
+const { getCancellationPolicy } = require('./cancellation');
+const { COLLECTIONS, BOOKING_STATUS } = require('../config/constants');
+
+/**
+ * Merge requested changes into a booking's current stay
+ * @param {Object} booking - Booking document
+ * @param {Object} changes - { room_type?, checkin?, checkout?, guests? }
+ * @returns {Object} - Target stay { room_type, check_in, check_out, guests }
+ */
+function getTargetStay(booking, changes) {
+  return {
+    room_type: changes.room_type || booking.room_type,
+    check_in: changes.checkin || booking.check_in,
+    check_out: changes.checkout || booking.check_out,
+    guests: parseInt(changes.guests, 10) || booking.guests
+  };
+}
+
+/**
+ * Check whether a target stay differs from the booking
+ * @param {Object} booking - Booking document
+ * @param {Object} target - Target stay
+ * @returns {boolean} - True when something would change
+ */
+function isStayChanged(booking, target) {
+  return target.room_type !== booking.room_type ||
+    target.check_in !== booking.check_in ||
+    target.check_out !== booking.check_out ||
+    target.guests !== booking.guests;
+}
+
+/**
+ * Nights of the target stay the booking does not hold yet
+ * @param {Object} booking - Booking document
+ * @param {Object} target - Target stay
+ * @returns {string[]} - Nights to reserve for target.room_type
+ */
+function getAddedNights(booking, target) {
+  const targetNights = getStayNights(target.check_in, target.check_out);
+  if (target.room_type !== booking.room_type) {
+    return targetNights;
+  }
+
+  const heldNights = getStayNights(booking.check_in, booking.check_out);
+  return targetNights.filter(night => !heldNights.includes(night));
+}
+
+/**
+ * Nights the booking gives up by moving to the target stay
+ * @param {Object} booking - Booking document
+ * @param {Object} target - Target stay
+ * @returns {string[]} - Nights to release for booking.room_type
+ */
+function getDroppedNights(booking, target) {
+  const heldNights = getStayNights(booking.check_in, booking.check_out);
+  if (target.room_type !== booking.room_type) {
+    return heldNights;
+  }
+
+  const targetNights = getStayNights(target.check_in, target.check_out);
+  return heldNights.filter(night => !targetNights.includes(night));
+}
+
+/**
+ * Reserve the extra nights a modification needs
+ * @param {Object} db - Database handle
+ * @param {Object} hotel - Hotel document
+ * @param {Object} booking - Booking document
+ * @param {Object} target - Target stay
+ * @returns {Promise<boolean>} - True when the target stay is available
+ */
+async function holdModification(db, hotel, booking, target) {
+  // A shorter stay in the same room needs nothing more, even if the room's units have since been cut to zero
+  const addedNights = getAddedNights(booking, target);
+  if (addedNights.length === 0) {
+    return true;
+  }
+
+  return reserveNights(db, hotel, target.room_type, addedNights);
+}
+
+/**
+ * Give back the extra nights of a modification that will not go ahead
+ * @param {Object} db - Database handle
+ * @param {Object} booking - Booking document (before the change)
+ * @param {Object} target - Target stay that was held
+ */
+async function releaseModification(db, booking, target) {
+  await releaseNights(db, booking.hotel_id, target.room_type, getAddedNights(booking, target));
+}
+
+/**
+ * Drop a modification that is still waiting for payment
+ * Only the caller that removes it releases the extra nights.
+ * @param {Object} db - Database handle
+ * @param {Object} booking - Booking document carrying pending_modification
+ * @returns {Promise<boolean>} - True when this call dropped it
+ */
+async function cancelPendingModification(db, booking) {
+  const pending = booking.pending_modification;
+  if (!pending) {
+    return false;
+  }
+
+  const result = await db.collection(COLLECTIONS.BOOKINGS).updateOne(
+    { _id: booking._id, 'pending_modification.expires_at': pending.expires_at },
+    { $unset: { pending_modification: '' }, $set: { updated_at: new Date() } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  await releaseModification(db, booking, pending.stay);
+  return true;
+}
+
+/**
+ * Booking fields for a modified stay
+ * @param {Object} hotel - Hotel document
+ * @param {Object} quote - Quote for the target stay
+ * @returns {Object} - Fields to set on the booking once the change applies
+ */
+function buildModifiedStay(hotel, quote) {
+  return {
+    room_type: quote.room_type,
+    check_in: quote.check_in,
+    check_out: quote.check_out,
+    guests: quote.guests,
+    nights: quote.nights,
+    price_per_night: quote.price_per_night,
+    nightly_rates: quote.nightly_rates,
+    subtotal: quote.subtotal,
+    discount: quote.discount,
+    deal: quote.deal,
+    promo_discount: quote.promo_discount,
+    promo: quote.promo,
+    service_fee: quote.service_fee,
+    tax: quote.tax,
+    total_amount: quote.total,
+    cancellation_policy: getCancellationPolicy(hotel, quote.room_type) // Terms of the new room
+  };
+}
+
+/**
+ * Move a booking to its modified stay
+ * Only applies while the booking is still confirmed on the stay the
+ * modification was planned from, so a change can never be applied twice.
+ * @param {Object} db - Database handle
+ * @param {Object} booking - Booking document (before the change)
+ * @param {Object} stay - From buildModifiedStay
+ * @param {Object} details - History fields (difference, payment reference or refund due)
+ * @param {Object} condition - Extra filter the booking must still match
+ * @returns {Promise<boolean>} - True when the booking was updated
+ */
+async function applyModification(db, booking, stay, details = {}, condition = {}) {
+  const result = await db.collection(COLLECTIONS.BOOKINGS).updateOne(
+    {
+      ...condition,
+      _id: booking._id,
+      booking_status: BOOKING_STATUS.CONFIRMED,
+      room_type: booking.room_type,
+      check_in: booking.check_in,
+      check_out: booking.check_out,
+      guests: booking.guests
+    },
+    {
+      $set: { ...stay, updated_at: new Date() },
+      $unset: { pending_modification: '' },
+      $push: {
+        modifications: {
+          from: {
+            room_type: booking.room_type,
+            check_in: booking.check_in,
+            check_out: booking.check_out,
+            guests: booking.guests,
+            total_amount: booking.total_amount
+          },
+          to: {
+            room_type: stay.room_type,
+            check_in: stay.check_in,
+            check_out: stay.check_out,
+            guests: stay.guests,
+            total_amount: stay.total_amount
+          },
+          ...details,
+          modified_at: new Date()
+        }
+      }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  // The old nights are no longer needed
+  await releaseNights(db, booking.hotel_id, booking.room_type, getDroppedNights(booking, stay));
+  return true;
+}
+
+module.exports = {
+  getTargetStay,
+  isStayChanged,
+  holdModification,
+  releaseModification,
+  cancelPendingModification,
+  buildModifiedStay,
+  applyModification
+};
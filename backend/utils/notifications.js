@@ -0,0 +1,238 @@
+// Guest email notifications
+//
+// Every email is rendered once and queued in the `notifications` collection
+// before it is sent, so a failed delivery can be retried with the same content
+// and support can see what each guest was told. A notification with a `key`
+// (e.g. booking_confirmed:<booking id>) is only ever queued once, which keeps
+// the payment redirect and the webhook from both emailing the guest.
+//
+// Sending a notification never throws: problems are logged and the message is
+// left for the retry_notifications job (utils/scheduler.js) to send again.
+
+const { ObjectId } = require('mongodb');
+const { sendMail } = require('./mailer');
+const { renderTemplate } = require('./emailTemplates');
+const {
+  COLLECTIONS,
+  BOOKING_STATUS,
+  NOTIFICATION_STATUS,
+  NOTIFICATIONS
+} = require('../config/constants');
+
+// Milliseconds in one day, for finding bookings due a reminder
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Try to send a queued notification once
+ * The caller must have claimed it (next_attempt_at pushed into the future).
+ * @param {Object} db - Database handle
+ * @param {Object} notification - Notification document
+ * @returns {Promise<boolean>} - True when the email went out
+ */
+async function deliverNotification(db, notification) {
+  const notifications = db.collection(COLLECTIONS.NOTIFICATIONS);
+  const attempts = (notification.attempts || 0) + 1;
+
+  try {
+    await sendMail({ to: notification.to, subject: notification.subject, text: notification.text });
+
+    await notifications.updateOne(
+      { _id: notification._id },
+      {
+        $set: { status: NOTIFICATION_STATUS.SENT, attempts, sent_at: new Date(), updated_at: new Date() },
+        $unset: { next_attempt_at: '', last_error: '' }
+      }
+    );
+    return true;
+  } catch (error) {
+    console.error(`Notification ${notification._id} (${notification.type}) failed, attempt ${attempts}:`, error.message);
+
+    // Back off a little more after each failure, then give up
+    const delays = NOTIFICATIONS.RETRY_DELAYS_MINUTES;
+    const update = attempts >= NOTIFICATIONS.MAX_ATTEMPTS
+      ? { $set: { status: NOTIFICATION_STATUS.FAILED, failed_at: new Date() }, $unset: { next_attempt_at: '' } }
+      : { $set: { next_attempt_at: new Date(Date.now() + delays[Math.min(attempts, delays.length) - 1] * 60 * 1000) } };
+
+    await notifications.updateOne(
+      { _id: notification._id },
+      { ...update, $set: { ...update.$set, attempts, last_error: error.message, updated_at: new Date() } }
+    );
+    return false;
+  }
+}
+
+/**
+ * Queue an email and try to send it straight away
+ * @param {Object} db - Database handle
+ * @param {string} type - Template name (utils/emailTemplates.js)
+ * @param {Object} options - { to, data, key, user_id, booking_id }
+ * @returns {Promise<Object|null>} - Queued notification, or null when the key was already used or queuing failed
+ */
+async function notify(db, type, { to, data, key, user_id: userId, booking_id: bookingId }) {
+  try {
+    const { subject, text } = renderTemplate(type, data);
+    const now = new Date();
+
+    const notification = {
+      type,
+      to,
+      subject,
+      text,
+      status: NOTIFICATION_STATUS.PENDING,
+      attempts: 0,
+      // Claimed by this call; the retry job only picks it up if this process dies mid-send
+      next_attempt_at: new Date(now.getTime() + NOTIFICATIONS.SEND_LEASE_MS),
+      created_at: now,
+      updated_at: now
+    };
+    if (key) {
+      notification.key = key;
+    }
+    if (userId) {
+      notification.user_id = new ObjectId(userId);
+    }
+    if (bookingId) {
+      notification.booking_id = bookingId;
+    }
+
+    try {
+      const result = await db.collection(COLLECTIONS.NOTIFICATIONS).insertOne(notification);
+      notification._id = result.insertedId;
+    } catch (error) {
+      if (error.code === 11000) {
+        return null; // Already sent (or queued) for this event
+      }
+      throw error;
+    }
+
+    await deliverNotification(db, notification);
+    return notification;
+  } catch (error) {
+    console.error(`Could not queue ${type} email:`, error);
+    return null;
+  }
+}
+
+/**
+ * Queue an email about a booking to the guest who made it
+ * Goes to the email given in the guest details, or the account's address for
+ * bookings made before guest details were collected.
+ * @param {Object} db - Database handle
+ * @param {string} type - booking_confirmed, booking_cancelled, refund_issued or checkin_reminder
+ * @param {Object} booking - Booking document
+ * @param {Object} extra - More template data, e.g. { refund }
+ * @returns {Promise<Object|null>} - Queued notification
+ */
+async function notifyBooking(db, type, booking, extra = {}) {
+  try {
+    const guest = booking.guest_details || {};
+    let to = guest.email;
+    let guestName = guest.firstName;
+
+    if (!to || !guestName) {
+      const user = await db.collection(COLLECTIONS.USERS).findOne(
+        { _id: booking.user_id },
+        { projection: { email: 1, first_name: 1 } }
+      );
+      to = to || (user && user.email);
+      guestName = guestName || (user && user.first_name);
+    }
+
+    if (!to) {
+      console.error(`No email address for booking ${booking._id}; ${type} email not sent`);
+      return null;
+    }
+
+    return notify(db, type, {
+      to,
+      key: `${type}:${booking._id}`,
+      user_id: booking.user_id,
+      booking_id: booking._id,
+      data: {
+        guest_name: guestName || 'there',
+        hotel_name: booking.hotel_name,
+        hotel_location: booking.hotel_location,
+        room_type: booking.room_type,
+        check_in: booking.check_in,
+        check_out: booking.check_out,
+        guests: booking.guests,
+        total_amount: booking.total_amount,
+        reference: booking.transaction_reference,
+        ...extra
+      }
+    });
+  } catch (error) {
+    console.error(`Could not queue ${type} email for booking ${booking._id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Retry every notification whose next attempt is due
+ * Each one is claimed with a conditional update first, so two servers never
+ * send the same email.
+ * @param {Object} db - Database handle
+ * @returns {Promise<number>} - Number of emails sent
+ */
+async function retryNotifications(db) {
+  const notifications = db.collection(COLLECTIONS.NOTIFICATIONS);
+  const started = new Date();
+  let sent = 0;
+
+  for (;;) {
+    const notification = await notifications.findOneAndUpdate(
+      { status: NOTIFICATION_STATUS.PENDING, next_attempt_at: { $lte: started } },
+      { $set: { next_attempt_at: new Date(Date.now() + NOTIFICATIONS.SEND_LEASE_MS) } },
+      { sort: { next_attempt_at: 1 }, returnDocument: 'after' }
+    );
+    if (!notification) {
+      break;
+    }
+
+    if (await deliverNotification(db, notification)) {
+      sent++;
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Remind guests whose stay starts within NOTIFICATIONS.REMINDER_DAYS_BEFORE days
+ * @param {Object} db - Database handle
+ * @returns {Promise<number>} - Number of reminders queued
+ */
+async function sendCheckInReminders(db) {
+  const bookings = db.collection(COLLECTIONS.BOOKINGS);
+  const today = new Date().toISOString().split('T')[0];
+  const lastDay = new Date(Date.now() + NOTIFICATIONS.REMINDER_DAYS_BEFORE * DAY_MS).toISOString().split('T')[0];
+
+  const due = await bookings.find({
+    booking_status: BOOKING_STATUS.CONFIRMED,
+    check_in: { $gte: today, $lte: lastDay },
+    reminder_sent_at: { $exists: false }
+  }).toArray();
+
+  let queued = 0;
+
+  for (const booking of due) {
+    // Flag first so a booking is reminded once even with several servers
+    const claimed = await bookings.updateOne(
+      { _id: booking._id, reminder_sent_at: { $exists: false } },
+      { $set: { reminder_sent_at: new Date() } }
+    );
+
+    if (claimed.modifiedCount === 1 && await notifyBooking(db, 'checkin_reminder', booking)) {
+      queued++;
+    }
+  }
+
+  return queued;
+}
+
+module.exports = {
+  notify,
+  notifyBooking,
+  retryNotifications,
+  sendCheckInReminders
+};
@@ -1,6 +1,7 @@
 // Paystack payment gateway utility functions
 
 const https = require('https');
+const crypto = require('crypto');
 const { PAYSTACK_SECRET_KEY, API_ENDPOINTS } = require('../config/constants');
 
 /**
@@ -99,8 +100,57 @@ async function verifyPayment(reference) {
   }
 }
 
+/**
+ * Refund a transaction through Paystack
+ * @param {string} reference - Reference of the transaction to refund
+ * @param {number} amount - Amount to refund in kobo (full amount if omitted)
+ * @returns {Promise} - Promise resolving to refund response
+ */
+async function createRefund(reference, amount) {
+  try {
+    // Make API call to queue the refund
+    const response = await makePaystackRequest(
+      API_ENDPOINTS.REFUND, 
+      'POST', 
+      { transaction: reference, ...(amount ? { amount } : {}) }
+    );
+    
+    return response;
+  } catch (error) {
+    throw new Error(`Refund request failed: ${error.message}`);
+  }
+}
+
+/**
+ * Check that a webhook request really came from Paystack
+ * Paystack signs the raw request body with HMAC-SHA512 using the secret key
+ * and sends the hex digest in the x-paystack-signature header.
+ * @param {Buffer} rawBody - Unparsed request body
+ * @param {string} signature - Value of the x-paystack-signature header
+ * @returns {boolean} - True when the signature matches
+ */
+function verifyWebhookSignature(rawBody, signature) {
+  if (!rawBody || !signature || !PAYSTACK_SECRET_KEY) {
+    return false;
+  }
+  
+  const expected = crypto
+    .createHmac('sha512', PAYSTACK_SECRET_KEY)
+    .update(rawBody)
+    .digest('hex');
+  
+  // Constant-time comparison so the digest can't be guessed byte by byte
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(signature);
+  
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
 module.exports = {
   makePaystackRequest,
   initializePayment,
-  verifyPayment
+  verifyPayment,
+  createRefund,
+  verifyWebhookSignature
 };
\ No newline at end of file
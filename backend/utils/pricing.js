@@ -0,0 +1,135 @@
+// Booking price calculation
+//
+// Quotes are always computed here from the hotels collection; amounts sent by
+// the browser are only compared against them, never charged as-is.
+
+const { PRICING, PROMO_DISCOUNT_TYPES } = require('../config/constants');
+const { parseStayDates, findRoom } = require('./availability');
+const { findBestDeal } = require('./deals');
+const { getStayRates } = require('./rates');
+
+/**
+ * Round an amount to whole kobo
+ * @param {number} amount - Amount in naira
+ * @returns {number} - Amount with at most two decimals
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Aggregation expression that rounds like roundMoney()
+ * @param {*} amount - Expression for an amount in naira
+ * @returns {Object} - Expression for the amount with at most two decimals
+ */
+function roundMoneyExpression(amount) {
+  return { $divide: [{ $floor: { $add: [{ $multiply: [amount, 100] }, 0.5] } }, 100] };
+}
+
+/**
+ * Amount a promo code takes off what the guest spends on the room
+ * @param {Object} promo - Promo code, or the terms stored on a booking ({ discount_type, discount_value })
+ * @param {number} amount - Room subtotal after any deal
+ * @returns {number} - Discount, never more than the amount
+ */
+function promoDiscount(promo, amount) {
+  const discount = promo.discount_type === PROMO_DISCOUNT_TYPES.PERCENT
+    ? amount * promo.discount_value / 100
+    : promo.discount_value;
+
+  return roundMoney(Math.min(Math.max(discount, 0), amount));
+}
+
+/**
+ * Price a stay from the room's rate for each night
+ * The promo code is applied as given; checking that it may be used is up to
+ * the caller (utils/promo.js).
+ * @param {Object} db - Database handle
+ * @param {Object} hotel - Hotel document
+ * @param {Object} request - { roomType, checkin, checkout, guests }
+ * @param {Object} [promo] - Promo code or stored promo terms to apply after the deal
+ * @returns {Promise<Object>} - { quote } on success, { error } otherwise
+ */
+async function calculateQuote(db, hotel, { roomType, checkin, checkout, guests = 1 }, promo = null) {
+  const room = findRoom(hotel, roomType);
+  if (!room) {
+    return { error: 'Selected room type is not offered by this hotel' };
+  }
+
+  const stay = parseStayDates(checkin, checkout);
+  if (stay.error) {
+    return { error: stay.error };
+  }
+
+  const partySize = parseInt(guests, 10) || 1;
+  if (partySize > room.capacity) {
+    return { error: `${room.room_type} sleeps at most ${room.capacity} guests` };
+  }
+
+  // Weekend, seasonal and single-date rates can make every night cost something different
+  const nightlyRates = getStayRates(room, stay.nights);
+  const nights = nightlyRates.length;
+  const subtotal = roundMoney(nightlyRates.reduce((sum, night) => sum + night.price, 0));
+
+  // Apply the best eligible deal before fees so fees are charged on what the guest pays
+  const deal = await findBestDeal(db, {
+    hotel_id: hotel._id,
+    room_type: room.room_type,
+    check_in: checkin,
+    nights: stay.nights,
+    guests: partySize
+  });
+  const discount = deal ? roundMoney(subtotal * deal.discount_percentage / 100) : 0;
+
+  // Promo codes stack on top of the deal, off what is left to pay for the room
+  const promoAmount = promo ? promoDiscount(promo, subtotal - discount) : 0;
+  const discountedSubtotal = roundMoney(subtotal - discount - promoAmount);
+
+  const serviceFee = roundMoney(discountedSubtotal * PRICING.SERVICE_FEE_RATE);
+  const tax = roundMoney((discountedSubtotal + serviceFee) * PRICING.TAX_RATE);
+  const total = roundMoney(discountedSubtotal + serviceFee + tax);
+
+  return {
+    quote: {
+      hotel_id: hotel._id,
+      room_type: room.room_type,
+      check_in: checkin,
+      check_out: checkout,
+      guests: partySize,
+      nights,
+      price_per_night: roundMoney(subtotal / nights), // Average when rates vary
+      nightly_rates: nightlyRates,
+      subtotal,
+      discount,
+      deal: deal ? { id: deal._id, title: deal.title, discount_percentage: deal.discount_percentage } : null,
+      promo_discount: promoAmount,
+      promo: promo
+        ? { id: promo.id || promo._id, code: promo.code, discount_type: promo.discount_type, discount_value: promo.discount_value }
+        : null,
+      service_fee: serviceFee,
+      service_fee_rate: PRICING.SERVICE_FEE_RATE,
+      tax,
+      tax_rate: PRICING.TAX_RATE,
+      total,
+      currency: PRICING.CURRENCY
+    }
+  };
+}
+
+/**
+ * Check a client-side total against the server quote
+ * @param {number} clientTotal - Amount the browser expects to pay
+ * @param {Object} quote - Quote from calculateQuote
+ * @returns {boolean} - True when they agree to the kobo
+ */
+function quoteMatches(clientTotal, quote) {
+  return Math.abs(Number(clientTotal) - quote.total) < 0.01;
+}
+
+module.exports = {
+  roundMoney,
+  roundMoneyExpression,
+  promoDiscount,
+  calculateQuote,
+  quoteMatches
+};
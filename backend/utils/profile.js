@@ -0,0 +1,76 @@
+// User profile helpers shared by login and the profile routes
+
+const { isEmailVerified } = require('./verification');
+
+// Collation for looking up email addresses case-insensitively
+const EMAIL_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Session data kept for a signed-in user
+ * Rebuilt after profile edits so the navbar and bookings use the new details.
+ * @param {Object} user - User document
+ * @returns {Object} - { id, name, email, role, email_verified }
+ */
+function buildSessionUser(user) {
+  return {
+    id: user._id,
+    name: `${user.first_name} ${user.last_name}`,
+    email: user.email,
+    role: user.role,
+    email_verified: isEmailVerified(user)
+  };
+}
+
+/**
+ * Profile fields returned to the dashboard
+ * @param {Object} user - User document
+ * @returns {Object} - Editable fields, with date_of_birth as YYYY-MM-DD
+ */
+function formatProfile(user) {
+  return {
+    first_name: user.first_name,
+    last_name: user.last_name || '',
+    email: user.email,
+    email_verified: isEmailVerified(user),
+    phone: user.phone || '',
+    date_of_birth: user.date_of_birth ? user.date_of_birth.toISOString().split('T')[0] : '',
+    pending_email: user.pending_email || null
+  };
+}
+
+/**
+ * Normalise an email address for storage and comparison
+ * @param {*} email - Raw value from the request body
+ * @returns {string} - Trimmed, lowercase address
+ */
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/**
+ * Read an edited profile that has passed SCHEMAS.profile
+ * @param {Object} body - { first_name, last_name, phone, date_of_birth, email }
+ * @returns {Object} - { profile, email } with the fields to save and the requested address
+ */
+function readProfile(body) {
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+
+  return {
+    profile: {
+      first_name: text(body.first_name),
+      last_name: text(body.last_name),
+      phone: text(body.phone),
+      // Date inputs send YYYY-MM-DD; an empty value clears the date
+      date_of_birth: text(body.date_of_birth) ? new Date(`${text(body.date_of_birth)}T00:00:00Z`) : null
+    },
+    email: normalizeEmail(body.email)
+  };
+}
+
+module.exports = {
+  EMAIL_COLLATION,
+  buildSessionUser,
+  formatProfile,
+  normalizeEmail,
+  readProfile
+};
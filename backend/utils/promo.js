@@ -0,0 +1,201 @@
+// Promo codes handed to partners and guests
+//
+// A promo code takes a percentage or a fixed naira amount off the room
+// subtotal left after any deal. Its rules are optional fields on the code:
+//   starts_at / expires_at    When the code can be used (dates)
+//   min_spend                 Smallest room subtotal after the deal
+//   hotel_ids                 Hotels it covers (missing = every hotel)
+//   max_redemptions           Uses across all guests
+//   max_redemptions_per_user  Uses by one account
+//
+// Uses are recorded in the code's `redemptions` array when a booking paid with
+// it is confirmed. Caps are checked again in the same update, so concurrent
+// checkouts can never take a code past them.
+
+const { COLLECTIONS } = require('../config/constants');
+const { calculateQuote, roundMoney } = require('./pricing');
+const { ConflictError, NotFoundError, ValidationError } = require('./errors');
+
+/**
+ * Codes are stored and matched in upper case
+ * @param {string} code - Code as typed
+ * @returns {string} - Normalized code
+ */
+function normalizePromoCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+/**
+ * Look up an active promo code
+ * @param {Object} db - Database handle
+ * @param {string} code - Code as typed
+ * @returns {Promise<Object|null>} - Promo code document
+ */
+async function findPromoCode(db, code) {
+  const normalized = normalizePromoCode(code);
+  if (!normalized) {
+    return null;
+  }
+
+  return db.collection(COLLECTIONS.PROMO_CODES).findOne({ code: normalized, active: true });
+}
+
+/**
+ * Number of times an account has used a promo code
+ * @param {Object} promo - Promo code document
+ * @param {ObjectId|string} userId - Account
+ * @returns {number}
+ */
+function countUserRedemptions(promo, userId) {
+  return (promo.redemptions || []).filter(redemption => String(redemption.user_id) === String(userId)).length;
+}
+
+/**
+ * Check that a promo code can be used for a quoted stay
+ * @param {Object} promo - Promo code document
+ * @param {Object} quote - Quote from calculateQuote
+ * @param {ObjectId|string} userId - Account paying for the stay
+ * @param {Date} now - Booking time
+ * @returns {Error|null} - Error explaining why the code is refused, or null when it applies
+ */
+function getPromoBlocker(promo, quote, userId, now = new Date()) {
+  if (promo.starts_at && now < promo.starts_at) {
+    return new ValidationError(`Promo code ${promo.code} is not valid yet`, { code: 'PROMO_NOT_STARTED' });
+  }
+
+  if (promo.expires_at && now > promo.expires_at) {
+    return new ValidationError(`Promo code ${promo.code} has expired`, { code: 'PROMO_EXPIRED' });
+  }
+
+  if (Array.isArray(promo.hotel_ids) && !promo.hotel_ids.includes(quote.hotel_id)) {
+    return new ValidationError(`Promo code ${promo.code} cannot be used at this hotel`, { code: 'PROMO_NOT_APPLICABLE' });
+  }
+
+  const spend = roundMoney(quote.subtotal - quote.discount);
+  if (promo.min_spend && spend < promo.min_spend) {
+    return new ValidationError(`Promo code ${promo.code} needs a room spend of at least ₦${promo.min_spend.toLocaleString()}`, {
+      code: 'PROMO_MIN_SPEND',
+      details: { min_spend: promo.min_spend }
+    });
+  }
+
+  if (promo.max_redemptions && (promo.redemptions || []).length >= promo.max_redemptions) {
+    return new ConflictError(`Promo code ${promo.code} has been fully redeemed`, { code: 'PROMO_EXHAUSTED' });
+  }
+
+  if (promo.max_redemptions_per_user && countUserRedemptions(promo, userId) >= promo.max_redemptions_per_user) {
+    return new ConflictError(`You have already used promo code ${promo.code}`, { code: 'PROMO_ALREADY_USED' });
+  }
+
+  return null;
+}
+
+/**
+ * Price a stay, applying a promo code when one is given
+ * @param {Object} db - Database handle
+ * @param {Object} hotel - Hotel document
+ * @param {Object} request - { roomType, checkin, checkout, guests, promoCode }
+ * @param {ObjectId|string} userId - Account paying for the stay
+ * @returns {Promise<Object>} - { quote } on success, { error } with an AppError otherwise
+ */
+async function quoteWithPromo(db, hotel, request, userId) {
+  let promo = null;
+  if (request.promoCode) {
+    promo = await findPromoCode(db, request.promoCode);
+    if (!promo) {
+      return { error: new NotFoundError('Promo code not found', { code: 'PROMO_NOT_FOUND' }) };
+    }
+  }
+
+  const result = await calculateQuote(db, hotel, request, promo);
+  if (result.error) {
+    return { error: new ValidationError(result.error) };
+  }
+
+  const blocker = promo && getPromoBlocker(promo, result.quote, userId);
+  if (blocker) {
+    return { error: blocker };
+  }
+
+  return { quote: result.quote };
+}
+
+/**
+ * Record a confirmed booking's use of its promo code
+ * The caps are part of the update filter, so two checkouts racing for the
+ * last use cannot both get it. Recording the same booking twice is a no-op.
+ * @param {Object} db - Database handle
+ * @param {Object} booking - Booking with `promo` from its quote
+ * @returns {Promise<string>} - 'redeemed', 'already_redeemed' or 'exhausted'
+ */
+async function redeemPromoCode(db, booking) {
+  const promoCodes = db.collection(COLLECTIONS.PROMO_CODES);
+  const promo = await promoCodes.findOne({ _id: booking.promo.id });
+  if (!promo) {
+    return 'exhausted';
+  }
+
+  if ((promo.redemptions || []).some(redemption => redemption.booking_id.equals(booking._id))) {
+    return 'already_redeemed';
+  }
+
+  const caps = [];
+  if (promo.max_redemptions) {
+    caps.push({ $lt: [{ $size: { $ifNull: ['$redemptions', []] } }, promo.max_redemptions] });
+  }
+  if (promo.max_redemptions_per_user) {
+    caps.push({
+      $lt: [
+        { $size: { $filter: { input: { $ifNull: ['$redemptions', []] }, cond: { $eq: ['$$this.user_id', booking.user_id] } } } },
+        promo.max_redemptions_per_user
+      ]
+    });
+  }
+
+  const result = await promoCodes.updateOne(
+    {
+      _id: promo._id,
+      'redemptions.booking_id': { $ne: booking._id },
+      ...(caps.length > 0 ? { $expr: { $and: caps } } : {})
+    },
+    {
+      $push: {
+        redemptions: {
+          booking_id: booking._id,
+          user_id: booking.user_id,
+          discount: booking.promo_discount,
+          redeemed_at: new Date()
+        }
+      },
+      $set: { updated_at: new Date() }
+    }
+  );
+  if (result.modifiedCount === 1) {
+    return 'redeemed';
+  }
+
+  // Either a concurrent delivery recorded this booking first, or a cap was reached
+  const recorded = await promoCodes.countDocuments({ _id: promo._id, 'redemptions.booking_id': booking._id });
+  return recorded > 0 ? 'already_redeemed' : 'exhausted';
+}
+
+/**
+ * Give back a use recorded for a booking that could not be confirmed
+ * @param {Object} db - Database handle
+ * @param {Object} booking - Booking with `promo` from its quote
+ */
+async function releasePromoRedemption(db, booking) {
+  await db.collection(COLLECTIONS.PROMO_CODES).updateOne(
+    { _id: booking.promo.id },
+    { $pull: { redemptions: { booking_id: booking._id } }, $set: { updated_at: new Date() } }
+  );
+}
+
+module.exports = {
+  normalizePromoCode,
+  findPromoCode,
+  getPromoBlocker,
+  quoteWithPromo,
+  redeemPromoCode,
+  releasePromoRedemption
+};
@@ -0,0 +1,152 @@
+// Nightly room rates
+//
+// A room's price for a night is taken from the first of these that applies:
+//   date_rates               One calendar night ({ date: YYYY-MM-DD, price_per_night })
+//   seasonal_rates           A period that recurs every year ({ name, from, to, price_per_night,
+//                            weekend_price_per_night }); `from`/`to` are MM-DD and may wrap the new year
+//   weekend_price_per_night  Friday and Saturday nights
+//   price_per_night          Every other night
+// Rooms with none of the optional fields cost price_per_night every night.
+
+const { WEEKEND_NIGHTS } = require('../config/constants');
+
+/**
+ * Whether a night is a Friday or Saturday night
+ * @param {string} night - Night (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+function isWeekendNight(night) {
+  return WEEKEND_NIGHTS.includes(new Date(`${night}T00:00:00Z`).getUTCDay());
+}
+
+/**
+ * Find the season a night falls in
+ * @param {Object} room - Room from hotel.rooms
+ * @param {string} night - Night (YYYY-MM-DD)
+ * @returns {Object|null} - First matching entry of seasonal_rates
+ */
+function findSeason(room, night) {
+  const monthDay = night.slice(5);
+
+  return (room.seasonal_rates || []).find(season => season.from <= season.to
+    ? monthDay >= season.from && monthDay <= season.to
+    : monthDay >= season.from || monthDay <= season.to) || null;
+}
+
+/**
+ * Price of one night in a room
+ * @param {Object} room - Room from hotel.rooms
+ * @param {string} night - Night (YYYY-MM-DD)
+ * @returns {Object} - { date, price, rate } where `rate` names the rate that applied
+ */
+function getNightlyRate(room, night) {
+  const override = (room.date_rates || []).find(entry => entry.date === night);
+  if (override) {
+    return { date: night, price: override.price_per_night, rate: 'Special rate' };
+  }
+
+  const weekend = isWeekendNight(night);
+  const season = findSeason(room, night);
+  if (season) {
+    const price = weekend && season.weekend_price_per_night ? season.weekend_price_per_night : season.price_per_night;
+    return { date: night, price, rate: season.name };
+  }
+
+  if (weekend && room.weekend_price_per_night) {
+    return { date: night, price: room.weekend_price_per_night, rate: 'Weekend' };
+  }
+
+  return { date: night, price: room.price_per_night, rate: 'Standard' };
+}
+
+/**
+ * Price every night of a stay
+ * @param {Object} room - Room from hotel.rooms
+ * @param {string[]} nights - Nights of the stay (YYYY-MM-DD)
+ * @returns {Object[]} - One { date, price, rate } per night
+ */
+function getStayRates(room, nights) {
+  return nights.map(night => getNightlyRate(room, night));
+}
+
+/**
+ * Aggregation expression for the room subtotal of a stay
+ * Applies the same rates as getNightlyRate() inside the database, so searches
+ * can filter and sort on stay prices.
+ * @param {string} room - Variable holding the room, e.g. '$$room'
+ * @param {string[]} nights - Nights of the stay (YYYY-MM-DD)
+ * @returns {Object} - Expression for the sum of the nightly prices
+ */
+function stayRatesExpression(room, nights) {
+  const nightDetails = nights.map(night => ({ date: night, month_day: night.slice(5), weekend: isWeekendNight(night) }));
+
+  return {
+    $sum: {
+      $map: {
+        input: { $literal: nightDetails },
+        as: 'night',
+        in: {
+          $let: {
+            vars: {
+              override: {
+                $arrayElemAt: [
+                  { $filter: { input: { $ifNull: [`${room}.date_rates`, []] }, as: 'rate', cond: { $eq: ['$$rate.date', '$$night.date'] } } },
+                  0
+                ]
+              },
+              season: {
+                $arrayElemAt: [
+                  {
+                    $filter: {
+                      input: { $ifNull: [`${room}.seasonal_rates`, []] },
+                      as: 'season',
+                      cond: {
+                        $cond: [
+                          { $lte: ['$$season.from', '$$season.to'] },
+                          { $and: [{ $gte: ['$$night.month_day', '$$season.from'] }, { $lte: ['$$night.month_day', '$$season.to'] }] },
+                          { $or: [{ $gte: ['$$night.month_day', '$$season.from'] }, { $lte: ['$$night.month_day', '$$season.to'] }] }
+                        ]
+                      }
+                    }
+                  },
+                  0
+                ]
+              }
+            },
+            // A single-date rate, then the season's rate, then the room's own
+            in: {
+              $ifNull: [
+                '$$override.price_per_night',
+                {
+                  $ifNull: [
+                    {
+                      $cond: [
+                        { $and: ['$$night.weekend', { $gt: ['$$season.weekend_price_per_night', 0] }] },
+                        '$$season.weekend_price_per_night',
+                        '$$season.price_per_night'
+                      ]
+                    },
+                    {
+                      $cond: [
+                        { $and: ['$$night.weekend', { $gt: [`${room}.weekend_price_per_night`, 0] }] },
+                        `${room}.weekend_price_per_night`,
+                        `${room}.price_per_night`
+                      ]
+                    }
+                  ]
+                }
+              ]
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  isWeekendNight,
+  getNightlyRate,
+  getStayRates,
+  stayRatesExpression
+};
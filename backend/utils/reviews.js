@@ -0,0 +1,109 @@
+// Guest reviews and the hotel ratings computed from them
+//
+// A hotel's `rating`, `review_count` and `review_scores` are derived from its
+// approved reviews and recomputed whenever a review is moderated.
+
+const { COLLECTIONS, BOOKING_STATUS, REVIEW_STATUS, REVIEW_SCORES } = require('../config/constants');
+const { ConflictError, NotFoundError } = require('./errors');
+
+/**
+ * Round an average to one decimal place, as ratings are displayed
+ * @param {number} value - Average score
+ * @returns {number} - Rounded score
+ */
+function roundRating(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Build the stored review from a submission already checked against SCHEMAS.review
+ * @param {Object} body - { rating, scores: { cleanliness, location, service }, comment }
+ * @returns {Object} - { rating, scores, comment } with the stars as numbers
+ */
+function buildReview(body) {
+  const scores = {};
+  for (const aspect of REVIEW_SCORES) {
+    scores[aspect] = Number(body.scores[aspect]);
+  }
+
+  return {
+    rating: Number(body.rating),
+    scores,
+    comment: typeof body.comment === 'string' ? body.comment.trim() : ''
+  };
+}
+
+/**
+ * Check that a booking entitles its owner to review the hotel
+ * @param {Object|null} booking - Booking owned by the reviewer
+ * @returns {Error|null} - Error explaining why the review is refused, or null when allowed
+ */
+function getReviewBlocker(booking) {
+  if (!booking) {
+    return new NotFoundError('Booking not found');
+  }
+
+  if (booking.booking_status !== BOOKING_STATUS.COMPLETED) {
+    return new ConflictError('You can review a hotel once your stay is completed', { code: 'STAY_NOT_COMPLETED' });
+  }
+
+  return null;
+}
+
+/**
+ * Name shown on a review: first name and last initial
+ * @param {Object} user - User document
+ * @returns {string} - e.g. "Ada O."
+ */
+function getReviewerName(user) {
+  const lastInitial = user.last_name ? ` ${user.last_name.charAt(0).toUpperCase()}.` : '';
+  return `${user.first_name || 'Guest'}${lastInitial}`;
+}
+
+/**
+ * Recompute a hotel's rating from its approved reviews
+ * Hotels without approved reviews keep their current rating.
+ * @param {Object} db - Database handle
+ * @param {string} hotelId - Hotel ID
+ * @returns {Promise<Object>} - { rating, review_count, review_scores }
+ */
+async function recomputeHotelRating(db, hotelId) {
+  const averages = { rating: { $avg: '$rating' }, count: { $sum: 1 } };
+  for (const aspect of REVIEW_SCORES) {
+    averages[aspect] = { $avg: `$scores.${aspect}` };
+  }
+
+  const [stats] = await db.collection(COLLECTIONS.REVIEWS).aggregate([
+    { $match: { hotel_id: hotelId, status: REVIEW_STATUS.APPROVED } },
+    { $group: { _id: null, ...averages } }
+  ]).toArray();
+
+  const hotels = db.collection(COLLECTIONS.HOTELS);
+
+  if (!stats) {
+    await hotels.updateOne(
+      { _id: hotelId },
+      { $set: { review_count: 0, updated_at: new Date() }, $unset: { review_scores: '' } }
+    );
+    return { review_count: 0 };
+  }
+
+  const summary = {
+    rating: roundRating(stats.rating),
+    review_count: stats.count,
+    review_scores: {}
+  };
+  for (const aspect of REVIEW_SCORES) {
+    summary.review_scores[aspect] = roundRating(stats[aspect]);
+  }
+
+  await hotels.updateOne({ _id: hotelId }, { $set: { ...summary, updated_at: new Date() } });
+  return summary;
+}
+
+module.exports = {
+  buildReview,
+  getReviewBlocker,
+  getReviewerName,
+  recomputeHotelRating
+};
@@ -0,0 +1,214 @@
+// In-process scheduler for background jobs
+//
+// Every server ticks through the jobs below, but a job only runs where it can
+// take its lock in `job_locks`. The lock document holds `next_run_at`: taking
+// the lock pushes it a lease ahead, finishing sets it one interval after the
+// run started, so each job runs once per interval however many servers are up,
+// and a server that dies mid-run only blocks the job until the lease lapses.
+// Every run is recorded in `job_runs` for the back office.
+
+const os = require('os');
+const database = require('../database');
+const { expireLapsedHolds, expireLapsedModifications } = require('./holds');
+const { retryNotifications, sendCheckInReminders } = require('./notifications');
+const { purgeExpiredSessions } = require('./sessionStore');
+const {
+  COLLECTIONS,
+  BOOKING_STATUS,
+  PAYMENT_STATUS,
+  NOTIFICATIONS,
+  SCHEDULER,
+  JOB_RUN_STATUS
+} = require('../config/constants');
+
+// Identifies this server in locks and run history
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Mark stays completed once their check-out date has arrived
+ * Bookings from before booking_status existed count as confirmed when paid.
+ * @param {Object} db - Database handle
+ * @returns {Promise<number>} - Number of bookings completed
+ */
+async function completePastStays(db) {
+  const today = new Date().toISOString().split('T')[0];
+
+  const result = await db.collection(COLLECTIONS.BOOKINGS).updateMany(
+    {
+      check_out: { $lte: today },
+      $or: [
+        { booking_status: BOOKING_STATUS.CONFIRMED },
+        { booking_status: { $exists: false }, payment_status: PAYMENT_STATUS.PAID }
+      ]
+    },
+    { $set: { booking_status: BOOKING_STATUS.COMPLETED, completed_at: new Date(), updated_at: new Date() } }
+  );
+
+  return result.modifiedCount;
+}
+
+// Jobs in the order each tick runs them; `run` resolves to counts for the run history
+const JOBS = [
+  {
+    name: 'expire_holds',
+    description: 'Release rooms held for payments and booking changes that were never completed',
+    run: async db => ({
+      holds_released: await expireLapsedHolds(db),
+      changes_released: await expireLapsedModifications(db)
+    })
+  },
+  {
+    name: 'retry_notifications',
+    description: 'Resend guest emails whose last attempt failed',
+    run: async db => ({ sent: await retryNotifications(db) })
+  },
+  {
+    name: 'checkin_reminders',
+    description: `Email guests ${NOTIFICATIONS.REMINDER_DAYS_BEFORE} days before check-in`,
+    run: async db => ({ queued: await sendCheckInReminders(db) })
+  },
+  {
+    name: 'complete_stays',
+    description: 'Mark confirmed bookings completed once check-out has passed',
+    run: async db => ({ completed: await completePastStays(db) })
+  },
+  {
+    name: 'purge_sessions',
+    description: 'Delete expired login sessions',
+    run: async db => ({ deleted: await purgeExpiredSessions(db) })
+  }
+].map(job => ({ ...job, intervalMs: SCHEDULER.INTERVALS_MS[job.name] }));
+
+/**
+ * Take a job's lock if the job is due and nobody else is running it
+ * @param {Object} db - Database handle
+ * @param {Object} job - Entry of JOBS
+ * @param {Date} now - Time of the attempt
+ * @returns {Promise<boolean>} - True when this server should run the job
+ */
+async function acquireLock(db, job, now) {
+  try {
+    const lock = await db.collection(COLLECTIONS.JOB_LOCKS).findOneAndUpdate(
+      { _id: job.name, $or: [{ next_run_at: { $lte: now } }, { next_run_at: { $exists: false } }] },
+      {
+        $set: {
+          next_run_at: new Date(now.getTime() + SCHEDULER.LOCK_LEASE_MS),
+          running_on: INSTANCE_ID,
+          locked_at: now
+        }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return Boolean(lock);
+  } catch (error) {
+    if (error.code === 11000) {
+      return false; // Not due, or another server has it; the upsert collided with its lock
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run a job if it is due, recording the run
+ * @param {Object} db - Database handle
+ * @param {Object} job - Entry of JOBS
+ * @returns {Promise<Object|null>} - The run record, or null when the job was not due here
+ */
+async function runJob(db, job) {
+  const startedAt = new Date();
+  if (!await acquireLock(db, job, startedAt)) {
+    return null;
+  }
+
+  const run = { job: job.name, instance: INSTANCE_ID, started_at: startedAt };
+  try {
+    run.result = await job.run(db);
+    run.status = JOB_RUN_STATUS.SUCCEEDED;
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+    run.status = JOB_RUN_STATUS.FAILED;
+    run.error = error.message;
+  }
+  run.finished_at = new Date();
+  run.duration_ms = run.finished_at - startedAt;
+
+  // Release the lock until the next interval, unless the lease ran out and another server took over
+  await db.collection(COLLECTIONS.JOB_LOCKS).updateOne(
+    { _id: job.name, running_on: INSTANCE_ID },
+    {
+      $set: {
+        next_run_at: new Date(startedAt.getTime() + job.intervalMs),
+        last_run_at: startedAt,
+        last_status: run.status,
+        last_duration_ms: run.duration_ms
+      },
+      $unset: { running_on: '', locked_at: '' }
+    }
+  );
+  await db.collection(COLLECTIONS.JOB_RUNS).insertOne(run);
+
+  return run;
+}
+
+/**
+ * Every job with its schedule and last outcome, for the back office
+ * @param {Object} db - Database handle
+ * @returns {Promise<Object[]>}
+ */
+async function listJobs(db) {
+  const locks = await db.collection(COLLECTIONS.JOB_LOCKS).find({}).toArray();
+
+  return JOBS.map(job => {
+    const lock = locks.find(entry => entry._id === job.name) || {};
+    return {
+      name: job.name,
+      description: job.description,
+      interval_ms: job.intervalMs,
+      running_on: lock.running_on || null,
+      next_run_at: lock.running_on ? null : lock.next_run_at || null,
+      last_run_at: lock.last_run_at || null,
+      last_status: lock.last_status || null,
+      last_duration_ms: lock.last_duration_ms === undefined ? null : lock.last_duration_ms
+    };
+  });
+}
+
+/**
+ * Start checking for due jobs on a fixed interval
+ * @param {number} tickMs - Time between checks
+ * @returns {Object} - Interval handle
+ */
+function startScheduler(tickMs = SCHEDULER.TICK_MS) {
+  let ticking = false;
+
+  const timer = setInterval(async () => {
+    const db = database.getDb();
+    if (!db || ticking) {
+      return; // No database yet, or the previous tick is still working through its jobs
+    }
+
+    ticking = true;
+    try {
+      for (const job of JOBS) {
+        await runJob(db, job);
+      }
+    } catch (error) {
+      console.error('Scheduler error:', error);
+    } finally {
+      ticking = false;
+    }
+  }, tickMs);
+
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+
+  return timer;
+}
+
+module.exports = {
+  JOBS,
+  completePastStays,
+  runJob,
+  listJobs,
+  startScheduler
+};
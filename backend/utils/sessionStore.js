@@ -0,0 +1,109 @@
+// Login sessions kept in MongoDB
+//
+// express-session's default store lives in one process's memory, so sessions
+// were lost on every restart and not shared between servers, and stale ones
+// were never cleaned up. This store keeps each session in the `sessions`
+// collection until its cookie expires; the purge_sessions job
+// (utils/scheduler.js) deletes the expired ones.
+
+const session = require('express-session');
+const { COLLECTIONS, SESSION_MAX_AGE_MS } = require('../config/constants');
+
+/**
+ * When a session stops being valid
+ * @param {Object} sess - Session data
+ * @returns {Date}
+ */
+function expiryOf(sess) {
+  const expires = sess.cookie && sess.cookie.expires;
+  return expires ? new Date(expires) : new Date(Date.now() + SESSION_MAX_AGE_MS);
+}
+
+/**
+ * express-session store backed by the `sessions` collection
+ */
+class MongoSessionStore extends session.Store {
+  /**
+   * @param {Function} getDb - Returns the database handle (database.getDb)
+   */
+  constructor(getDb) {
+    super();
+    this.getDb = getDb;
+  }
+
+  sessions() {
+    const db = this.getDb();
+    if (!db) {
+      throw new Error('Database not connected');
+    }
+    return db.collection(COLLECTIONS.SESSIONS);
+  }
+
+  get(sid, callback) {
+    Promise.resolve()
+      .then(() => this.sessions().findOne({ _id: sid, expires: { $gt: new Date() } }))
+      .then(doc => callback(null, doc ? doc.session : null), callback);
+  }
+
+  set(sid, sess, callback) {
+    // The cookie object has getters; store it as plain JSON
+    const data = JSON.parse(JSON.stringify(sess));
+
+    Promise.resolve()
+      .then(() => this.sessions().updateOne(
+        { _id: sid },
+        { $set: { session: data, expires: expiryOf(sess), updated_at: new Date() } },
+        { upsert: true }
+      ))
+      .then(() => callback && callback(null), callback);
+  }
+
+  touch(sid, sess, callback) {
+    Promise.resolve()
+      .then(() => this.sessions().updateOne(
+        { _id: sid },
+        { $set: { 'session.cookie': JSON.parse(JSON.stringify(sess.cookie)), expires: expiryOf(sess) } }
+      ))
+      .then(() => callback && callback(null), callback);
+  }
+
+  destroy(sid, callback) {
+    Promise.resolve()
+      .then(() => this.sessions().deleteOne({ _id: sid }))
+      .then(() => callback && callback(null), callback);
+  }
+}
+
+/**
+ * Delete every session whose cookie has expired
+ * @param {Object} db - Database handle
+ * @returns {Promise<number>} - Number of sessions deleted
+ */
+async function purgeExpiredSessions(db) {
+  const result = await db.collection(COLLECTIONS.SESSIONS).deleteMany({ expires: { $lte: new Date() } });
+  return result.deletedCount;
+}
+
+/**
+ * Log a user out everywhere, e.g. after their password changes
+ * @param {Object} db - Database handle
+ * @param {ObjectId|string} userId - Account whose sessions end
+ * @param {string} [keepSessionId] - Session to leave signed in (the one that made the change)
+ * @returns {Promise<number>} - Number of sessions ended
+ */
+async function endUserSessions(db, userId, keepSessionId = null) {
+  // Sessions are stored as JSON, so the user ID is a string
+  const filter = { 'session.user.id': String(userId) };
+  if (keepSessionId) {
+    filter._id = { $ne: keepSessionId };
+  }
+
+  const result = await db.collection(COLLECTIONS.SESSIONS).deleteMany(filter);
+  return result.deletedCount;
+}
+
+module.exports = {
+  MongoSessionStore,
+  purgeExpiredSessions,
+  endUserSessions
+};
@@ -0,0 +1,191 @@
+// Minimal SMTP client for the `smtp` mail transport
+//
+// Speaks just enough SMTP to hand one message to a relay: EHLO, STARTTLS when
+// the server offers it (or implicit TLS with SMTP_SECURE), AUTH LOGIN when
+// credentials are set, then MAIL FROM / RCPT TO / DATA. Bodies are sent as
+// base64 UTF-8 so naira signs and long lines survive any relay.
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+const { MAIL } = require('../config/constants');
+
+/**
+ * Reads SMTP replies from a socket, one complete (possibly multi-line) reply at a time
+ */
+class SmtpConnection {
+  constructor(socket) {
+    this.replies = [];
+    this.waiters = [];
+    this.error = null;
+    this.use(socket);
+  }
+
+  /**
+   * Read from a new socket, e.g. the TLS socket after STARTTLS
+   * @param {Object} socket - net or tls socket
+   */
+  use(socket) {
+    // The plain socket's bytes belong to TLS from here on
+    if (this.socket) {
+      this.socket.removeListener('data', this.onData);
+    }
+
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    this.onData = chunk => this.receive(chunk.toString('utf8'));
+
+    socket.setTimeout(MAIL.SMTP.TIMEOUT_MS, () => socket.destroy(new Error('SMTP server did not respond in time')));
+    socket.on('data', this.onData);
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+
+    let end;
+    while ((end = this.buffer.indexOf('\r\n')) !== -1) {
+      const line = this.buffer.slice(0, end);
+      this.buffer = this.buffer.slice(end + 2);
+      this.lines.push(line.slice(4));
+
+      // "250-..." continues a reply, "250 ..." ends it
+      if (line.charAt(3) !== '-') {
+        const reply = { code: parseInt(line.slice(0, 3), 10), text: this.lines.join('\n') };
+        this.lines = [];
+        const waiter = this.waiters.shift();
+        if (waiter) {
+          waiter.resolve(reply);
+        } else {
+          this.replies.push(reply);
+        }
+      }
+    }
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    this.waiters.splice(0).forEach(waiter => waiter.reject(this.error));
+  }
+
+  nextReply() {
+    if (this.replies.length > 0) {
+      return Promise.resolve(this.replies.shift());
+    }
+    if (this.error) {
+      return Promise.reject(this.error);
+    }
+    return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+  }
+
+  /**
+   * Send a command and wait for its reply
+   * @param {string|null} line - Command, or null to only read (the greeting)
+   * @param {number[]} expected - Reply codes that mean success
+   * @param {string} label - Name used in errors, so credentials never end up in logs
+   * @returns {Promise<Object>} - { code, text }
+   */
+  async command(line, expected, label = line ? line.split(' ')[0] : 'greeting') {
+    if (line !== null) {
+      this.socket.write(`${line}\r\n`);
+    }
+
+    const reply = await this.nextReply();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${label} rejected: ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  }
+}
+
+/**
+ * Bare address from "Name <address>"
+ * @param {string} mailbox - Address with an optional display name
+ * @returns {string}
+ */
+function addressOf(mailbox) {
+  const match = /<([^>]+)>/.exec(mailbox);
+  return match ? match[1] : mailbox.trim();
+}
+
+/**
+ * Header value, encoded when it is not plain ASCII
+ * @param {string} value - Header text
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+/**
+ * Build the DATA section for a message
+ * @param {Object} message - { from, to, subject, text, date }
+ * @returns {string} - Headers and base64 body, lines ending in CRLF
+ */
+function formatMessage(message) {
+  const domain = addressOf(message.from).split('@')[1] || os.hostname();
+  const body = Buffer.from(message.text.replace(/\r?\n/g, '\r\n')).toString('base64').match(/.{1,76}/g) || [];
+
+  return [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${message.date.toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...body
+  ].join('\r\n');
+}
+
+/**
+ * Deliver a message through the SMTP relay in MAIL.SMTP
+ * @param {Object} message - { from, to, subject, text, date }
+ * @returns {Promise<void>} - Rejects with the server's reply when delivery is refused
+ */
+async function sendSmtp(message) {
+  const { HOST, PORT, SECURE, USER, PASS } = MAIL.SMTP;
+  if (!HOST) {
+    throw new Error('SMTP_HOST is not set');
+  }
+
+  const socket = SECURE
+    ? tls.connect({ host: HOST, port: PORT, servername: HOST })
+    : net.connect({ host: HOST, port: PORT });
+  const connection = new SmtpConnection(socket);
+
+  try {
+    await connection.command(null, [220]);
+    let hello = await connection.command(`EHLO ${os.hostname()}`, [250]);
+
+    // Upgrade a plain connection before any credentials are sent
+    if (!SECURE && /^STARTTLS\b/im.test(hello.text)) {
+      await connection.command('STARTTLS', [220]);
+      connection.use(tls.connect({ socket, servername: HOST }));
+      hello = await connection.command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (USER) {
+      await connection.command('AUTH LOGIN', [334]);
+      await connection.command(Buffer.from(USER).toString('base64'), [334], 'AUTH');
+      await connection.command(Buffer.from(PASS || '').toString('base64'), [235], 'AUTH');
+    }
+
+    await connection.command(`MAIL FROM:<${addressOf(message.from)}>`, [250]);
+    await connection.command(`RCPT TO:<${addressOf(message.to)}>`, [250, 251]);
+    await connection.command('DATA', [354]);
+    await connection.command(`${formatMessage(message)}\r\n.`, [250], 'DATA');
+    await connection.command('QUIT', [221]);
+  } finally {
+    connection.socket.destroy();
+  }
+}
+
+module.exports = {
+  sendSmtp
+};
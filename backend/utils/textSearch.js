@@ -0,0 +1,193 @@
+// Free-text hotel search helpers
+//
+// MongoDB's text index matches whole (stemmed) words only, so misspelled
+// search terms are first corrected against the words that actually appear
+// in the catalog ("Ikoyy" → "ikoyi", "beech" → "beach").
+
+const { COLLECTIONS, HOTEL_SEARCH } = require('../config/constants');
+
+// Words found in hotel names, locations, amenities and descriptions
+let vocabulary = null;
+let vocabularyLoadedAt = 0;
+
+/**
+ * Split text into lowercase search words
+ * @param {string} text - Text to split
+ * @returns {string[]} - Words of two or more letters or digits
+ */
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length >= 2);
+}
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text - Raw user input
+ * @returns {string} - Pattern matching the text literally
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Edit distance between two words, counting swapped neighbours as one edit
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} - Insertions, deletions, substitutions and transpositions needed
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * Load the catalog's words, cached for HOTEL_SEARCH.VOCABULARY_TTL_MS
+ * @param {Object} db - Database handle
+ * @returns {Promise<Set<string>>} - Known words
+ */
+async function getVocabulary(db) {
+  if (vocabulary && Date.now() - vocabularyLoadedAt < HOTEL_SEARCH.VOCABULARY_TTL_MS) {
+    return vocabulary;
+  }
+
+  const hotels = await db.collection(COLLECTIONS.HOTELS)
+    .find({}, { projection: { name: 1, location: 1, amenities: 1, description: 1 } })
+    .toArray();
+
+  vocabulary = new Set();
+  for (const hotel of hotels) {
+    [hotel.name, hotel.location, hotel.description, ...(hotel.amenities || [])]
+      .forEach(text => tokenize(text).forEach(word => vocabulary.add(word)));
+  }
+  vocabularyLoadedAt = Date.now();
+
+  return vocabulary;
+}
+
+/**
+ * Replace misspelled words with the closest catalog word
+ * Short words tolerate one edit, longer ones two; words with no close match are kept.
+ * @param {Object} db - Database handle
+ * @param {string} text - Search text as typed
+ * @returns {Promise<string[]>} - Corrected words
+ */
+async function correctSearchTerms(db, text) {
+  const words = await getVocabulary(db);
+
+  return tokenize(text).map(term => {
+    if (words.has(term)) {
+      return term;
+    }
+
+    const allowed = term.length <= 4 ? 1 : 2;
+    let best = null;
+    let bestDistance = allowed + 1;
+
+    for (const word of words) {
+      if (Math.abs(word.length - term.length) > allowed) {
+        continue;
+      }
+      const distance = editDistance(term, word);
+      if (distance < bestDistance) {
+        best = word;
+        bestDistance = distance;
+      }
+    }
+
+    return best || term;
+  });
+}
+
+/**
+ * Autocomplete suggestions for the header search bar
+ * Destinations come first, then hotels; if nothing starts with what was typed,
+ * the corrected spelling is tried instead.
+ * @param {Object} db - Database handle
+ * @param {string} text - Partial search text
+ * @returns {Promise<Object[]>} - { type, label, detail, url } entries
+ */
+async function suggestHotels(db, text) {
+  const typed = String(text || '').trim();
+  if (typed.length < 2) {
+    return [];
+  }
+
+  let prefix = typed;
+  let hotels = await findByWordPrefix(db, prefix);
+  if (hotels.length === 0) {
+    const corrected = (await correctSearchTerms(db, typed)).join(' ');
+    if (corrected && corrected !== typed.toLowerCase()) {
+      prefix = corrected;
+      hotels = await findByWordPrefix(db, prefix);
+    }
+  }
+
+  // Areas are only suggested when the location itself matched, not just a hotel name
+  const pattern = wordPrefixPattern(prefix);
+  const destinations = new Map();
+  for (const hotel of hotels) {
+    const area = hotel.location.split(',')[0].trim();
+    if (pattern.test(hotel.location) && !destinations.has(area.toLowerCase())) {
+      destinations.set(area.toLowerCase(), {
+        type: 'destination',
+        label: area,
+        detail: hotel.location,
+        url: `/hotels?destination=${encodeURIComponent(area)}`
+      });
+    }
+  }
+
+  const hotelSuggestions = hotels.map(hotel => ({
+    type: 'hotel',
+    label: hotel.name,
+    detail: hotel.location,
+    url: `/hotel/${encodeURIComponent(hotel._id)}`
+  }));
+
+  return [...destinations.values(), ...hotelSuggestions].slice(0, HOTEL_SEARCH.SUGGEST_LIMIT);
+}
+
+/**
+ * Pattern matching text at the start of any word
+ * @param {string} text - Prefix to look for
+ * @returns {RegExp} - Case-insensitive pattern
+ */
+function wordPrefixPattern(text) {
+  return new RegExp(`(^|\\s)${escapeRegex(text)}`, 'i');
+}
+
+/**
+ * Hotels whose name or location has a word starting with the text
+ * @param {Object} db - Database handle
+ * @param {string} text - Prefix to look for
+ * @returns {Promise<Object[]>} - Matching hotels, best rated first
+ */
+async function findByWordPrefix(db, text) {
+  const pattern = wordPrefixPattern(text);
+
+  return db.collection(COLLECTIONS.HOTELS)
+    .find({ $or: [{ name: pattern }, { location: pattern }] }, { projection: { name: 1, location: 1 } })
+    .sort({ rating: -1 })
+    .limit(HOTEL_SEARCH.SUGGEST_LIMIT)
+    .toArray();
+}
+
+module.exports = {
+  escapeRegex,
+  correctSearchTerms,
+  suggestHotels
+};
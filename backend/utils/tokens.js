@@ -0,0 +1,29 @@
+// Single-use tokens sent to users in email links
+//
+// Only a SHA-256 hash of each token is stored, so a leaked database cannot be
+// used to follow someone else's link.
+
+const crypto = require('crypto');
+
+/**
+ * Hash a token for storage or lookup
+ * @param {string} token - Token as it appears in the link
+ * @returns {string} - Hex-encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Create a random token and the hash to store for it
+ * @returns {Object} - { token, hash }
+ */
+function createToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashToken(token) };
+}
+
+module.exports = {
+  hashToken,
+  createToken
+};
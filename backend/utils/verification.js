@@ -0,0 +1,50 @@
+// Email address verification for new accounts
+//
+// Accounts registered before verification existed have no `email_verified`
+// field and are treated as verified.
+
+const { COLLECTIONS, EMAIL_VERIFICATION_TOKEN_HOURS, SITE_URL } = require('../config/constants');
+const { createToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+/**
+ * Whether a user has confirmed their email address
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+function isEmailVerified(user) {
+  return user.email_verified !== false;
+}
+
+/**
+ * Issue a new verification link and email it to the user
+ * Any earlier link stops working. The link points at the configured SITE_URL,
+ * never the request's Host header, so a forged host can't capture the token.
+ * @param {Object} db - Database handle
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(db, user) {
+  const { token, hash } = createToken();
+
+  await db.collection(COLLECTIONS.USERS).updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        email_verification_token_hash: hash,
+        email_verification_expires_at: new Date(Date.now() + EMAIL_VERIFICATION_TOKEN_HOURS * 60 * 60 * 1000)
+      }
+    }
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.first_name},\n\nWelcome to Fago's Booking! Follow this link within ${EMAIL_VERIFICATION_TOKEN_HOURS} hours to verify your email address:\n${SITE_URL}/api/verify-email?token=${token}\n\nYou can browse hotels right away, but you'll need a verified address to pay for a booking.`
+  });
+}
+
+module.exports = {
+  isEmailVerified,
+  sendVerificationEmail
+};
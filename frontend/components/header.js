@@ -23,8 +23,9 @@ function createHeader(user = null) {
       </div>
 
       <form class="search-bar-container" onsubmit="handleSearch(event)">
-        <input type="search" id="search-bar" placeholder="Search hotels, destinations...">
+        <input type="search" id="search-bar" placeholder="Search hotels, destinations..." autocomplete="off">
         <label for="search-bar" class="fas fa-search"></label>
+        <div class="search-suggestions" id="search-suggestions"></div>
       </form>
     </header>
   `;
@@ -64,6 +65,8 @@ function initHeaderEvents() {
     });
   }
 
+  initSearchSuggestions();
+
   window.onscroll = () => {
     if (searchBtn) searchBtn.classList.remove('fa-times');
     if (searchBar) searchBar.classList.remove('active');
@@ -91,6 +94,61 @@ function handleSearch(event) {
   }
 }
 
+// Autocomplete for a search box, fetched once typing pauses
+// Pages pass their own destination input; the dropdown is added after it if the markup has none.
+function initSearchSuggestions(searchInput = document.getElementById('search-bar')) {
+  if (!searchInput || !window.BookingUtils) {
+    return;
+  }
+
+  let list = searchInput.parentElement.querySelector('.search-suggestions');
+  if (!list) {
+    list = document.createElement('div');
+    list.className = 'search-suggestions';
+    searchInput.insertAdjacentElement('afterend', list);
+  }
+
+  const loadSuggestions = BookingUtils.debounce(async (term) => {
+    if (term.length < 2) {
+      list.innerHTML = '';
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/hotels/suggest?q=${encodeURIComponent(term)}`);
+      const data = await response.json();
+
+      // Ignore answers for text the user has already changed
+      if (!data.success || searchInput.value.trim() !== term) {
+        return;
+      }
+
+      list.innerHTML = data.suggestions.map(suggestion => `
+        <a href="${suggestion.url}" class="search-suggestion">
+          <i class="fas fa-${suggestion.type === 'hotel' ? 'hotel' : 'map-marker-alt'}"></i>
+          <span>${escapeSuggestion(suggestion.label)}</span>
+          <small>${escapeSuggestion(suggestion.detail)}</small>
+        </a>
+      `).join('');
+    } catch (error) {
+      console.error('Failed to load search suggestions:', error);
+    }
+  }, 250);
+
+  searchInput.addEventListener('input', () => loadSuggestions(searchInput.value.trim()));
+  searchInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      list.innerHTML = '';
+    }
+  });
+}
+
+function escapeSuggestion(text) {
+  const div = document.createElement('div');
+  div.textContent = text || '';
+  return div.innerHTML;
+}
+
 // Update navbar auth state
 async function updateNavbarAuth() {
   try {
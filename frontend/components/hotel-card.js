@@ -1,6 +1,6 @@
 // Hotel Card Component with Lazy Loading
 function createHotelCard(hotel) {
-  const price = hotel.rooms && hotel.rooms[0] ? hotel.rooms[0].price_per_night : 0;
+  const price = getHotelPrice(hotel);
   const image = hotel.images && hotel.images[0] ? hotel.images[0] : 'https://images.unsplash.com/photo-1566073771259-6a8506099945';
 
   return `
@@ -8,6 +8,7 @@ function createHotelCard(hotel) {
       <img data-src="${image}" alt="${hotel.name}" class="lazy-image" 
            style="background: #f0f0f0; min-height: 200px;"
            onerror="this.dataset.src='https://images.unsplash.com/photo-1566073771259-6a8506099945'">
+      ${createFavoriteButton(hotel._id)}
       <div class="hotel-info">
         <h3>${hotel.name}</h3>
         <p class="location"><i class="fas fa-map-marker-alt"></i> ${hotel.location}</p>
@@ -16,7 +17,7 @@ function createHotelCard(hotel) {
           <span>(${hotel.rating || 4.0})</span>
         </div>
         <div class="price-book">
-          <span class="price">₦${price.toLocaleString()}/night</span>
+          <span class="price">From ₦${price.toLocaleString()}/night</span>
           <button class="book-btn" onclick="event.stopPropagation(); location.href='/hotel/${hotel._id}'">View Details</button>
         </div>
       </div>
@@ -25,8 +26,11 @@ function createHotelCard(hotel) {
 }
 
 // Hotel List Card Component with Lazy Loading
-function createHotelListCard(hotel) {
-  const price = hotel.rooms && hotel.rooms[0] ? hotel.rooms[0].price_per_night : 0;
+// stayQuery carries searched dates and guests on to the details page
+function createHotelListCard(hotel, stayQuery = '') {
+  const price = getHotelPrice(hotel);
+  const detailsUrl = `/hotel/${hotel._id}${stayQuery ? `?${stayQuery}` : ''}`;
+  const stay = hotel.stay_quote;
   const image = hotel.images && hotel.images[0] ? hotel.images[0] : 'https://images.unsplash.com/photo-1566073771259-6a8506099945';
   const amenities = hotel.amenities || [];
 
@@ -35,13 +39,14 @@ function createHotelListCard(hotel) {
       <img data-src="${image}" alt="${hotel.name}" class="lazy-image"
            style="background: #f0f0f0; min-height: 150px;"
            onerror="this.dataset.src='https://images.unsplash.com/photo-1566073771259-6a8506099945'">
+      ${createFavoriteButton(hotel._id)}
       <div class="hotel-details">
         <div class="hotel-main-info">
           <h3>${hotel.name}</h3>
           <p class="location"><i class="fas fa-map-marker-alt"></i> ${hotel.location}</p>
           <div class="rating">
             <div class="stars">${createStars(hotel.rating || 4.0)}</div>
-            <span class="rating-score">${hotel.rating || 4.0} (${Math.floor(Math.random() * 100) + 50} reviews)</span>
+            <span class="rating-score">${hotel.rating || 4.0} (${formatReviewCount(hotel.review_count)})</span>
           </div>
           <div class="amenities">
             ${amenities.slice(0, 4).map(amenity =>
@@ -52,16 +57,38 @@ function createHotelListCard(hotel) {
         </div>
         <div class="hotel-booking">
           <div class="price-info">
+            ${stay ? `
+            <span class="price">₦${stay.total.toLocaleString()}</span>
+            <span class="per-night">total for ${stay.nights} night${stay.nights === 1 ? '' : 's'}</span>
+            ` : `
             <span class="price">₦${price.toLocaleString()}</span>
             <span class="per-night">/night</span>
+            `}
           </div>
-          <button class="view-details-btn" onclick="location.href='/hotel/${hotel._id}'">View Details</button>
+          <button class="view-details-btn" onclick="location.href='${detailsUrl}'">View Details</button>
         </div>
       </div>
     </div>
   `;
 }
 
+// Cheapest nightly rate - the search API sends the cheapest room that matched the filters
+function getHotelPrice(hotel) {
+  if (typeof hotel.from_price === 'number') {
+    return hotel.from_price;
+  }
+  const prices = (hotel.rooms || []).map(room => room.price_per_night);
+  return prices.length > 0 ? Math.min(...prices) : 0;
+}
+
+// Number of published reviews behind a hotel's rating
+function formatReviewCount(count) {
+  if (!count) {
+    return 'No reviews yet';
+  }
+  return `${count} review${count === 1 ? '' : 's'}`;
+}
+
 // Create star rating
 function createStars(rating) {
   const fullStars = Math.floor(rating);
@@ -105,9 +132,10 @@ function getAmenityIcon(amenity) {
 }
 
 // API functions
-async function fetchHotels() {
+async function fetchHotels(params = {}) {
   try {
-    const response = await fetch(`${window.API_BASE_URL || ''}/api/hotels`);
+    const query = new URLSearchParams(params).toString();
+    const response = await fetch(`${window.API_BASE_URL || ''}/api/hotels${query ? `?${query}` : ''}`);
     const data = await response.json();
     if (data.success) {
       return data.hotels;
@@ -119,8 +147,4 @@ async function fetchHotels() {
     console.error('Error fetching hotels:', error);
     return [];
   }
-}
-
-// Global hotels variable
-let allHotels = [];
-let currentHotels = [];
\ No newline at end of file
+}
\ No newline at end of file
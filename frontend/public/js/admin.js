@@ -0,0 +1,388 @@
+// Admin Back Office JavaScript
+
+// Job whose runs the Jobs tab shows ('' for all)
+let jobFilter = '';
+
+// Current search, status filter and page of each table
+const adminTables = {
+  bookings: { q: '', status: '', page: 1 },
+  payments: { q: '', status: '', page: 1 },
+  contacts: { q: '', status: '', page: 1 },
+  reviews: { q: '', status: '', page: 1 }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  initMobileMenu();
+  initAdminTabs();
+  initAdminToolbars();
+  initJobsToolbar();
+  Object.keys(adminTables).forEach(loadAdminTable);
+  loadJobs();
+  setTimeout(updateNavbarAuth, 100);
+});
+
+function initAdminTabs() {
+  document.querySelectorAll('.nav-item').forEach(item => {
+    item.addEventListener('click', function () {
+      const tab = this.dataset.tab;
+
+      document.querySelectorAll('.nav-item').forEach(nav => nav.classList.remove('active'));
+      this.classList.add('active');
+
+      document.querySelectorAll('.dashboard-section').forEach(section => section.classList.remove('active'));
+      document.getElementById(tab).classList.add('active');
+    });
+  });
+}
+
+function initAdminToolbars() {
+  Object.keys(adminTables).forEach(name => {
+    const section = document.getElementById(name);
+    let searchTimer;
+
+    section.querySelector('.admin-search').addEventListener('input', (e) => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        adminTables[name].q = e.target.value.trim();
+        adminTables[name].page = 1;
+        loadAdminTable(name);
+      }, 300);
+    });
+
+    section.querySelector('.admin-status').addEventListener('change', (e) => {
+      adminTables[name].status = e.target.value;
+      adminTables[name].page = 1;
+      loadAdminTable(name);
+    });
+
+    // Export exactly what the table is filtered to
+    section.querySelector('.admin-export').addEventListener('click', () => {
+      const { q, status } = adminTables[name];
+      const query = new URLSearchParams({ q, status });
+      window.location.href = `${window.API_BASE_URL || ''}/api/admin/${name}/export?${query}`;
+    });
+  });
+}
+
+async function loadAdminTable(name) {
+  const section = document.getElementById(name);
+  const wrapper = section.querySelector('.admin-table-wrapper');
+  const { q, status, page } = adminTables[name];
+
+  wrapper.innerHTML = '<div class="loading-message">Loading...</div>';
+
+  try {
+    const query = new URLSearchParams({ q, status, page });
+    const response = await fetch(`${window.API_BASE_URL || ''}/api/admin/${name}?${query}`);
+    const data = await response.json();
+
+    if (!data.success) {
+      wrapper.innerHTML = `<div class="error-message">${escapeHtml(data.message || 'Failed to load records')}</div>`;
+      return;
+    }
+
+    wrapper.innerHTML = data.records.length > 0
+      ? ADMIN_RENDERERS[name](data.records)
+      : '<div class="no-bookings"><p>No records found</p></div>';
+
+    renderPagination(name, data);
+  } catch (error) {
+    console.error(`Error loading ${name}:`, error);
+    wrapper.innerHTML = '<div class="error-message">Failed to load records</div>';
+  }
+}
+
+function renderPagination(name, data) {
+  const pagination = document.getElementById(name).querySelector('.admin-pagination');
+
+  pagination.innerHTML = `
+    <button class="btn-secondary" ${data.page <= 1 ? 'disabled' : ''} onclick="changeAdminPage('${name}', -1)">Previous</button>
+    <span>Page ${data.page} of ${data.pages} • ${data.total} record${data.total === 1 ? '' : 's'}</span>
+    <button class="btn-secondary" ${data.page >= data.pages ? 'disabled' : ''} onclick="changeAdminPage('${name}', 1)">Next</button>
+  `;
+}
+
+function changeAdminPage(name, step) {
+  adminTables[name].page += step;
+  loadAdminTable(name);
+}
+
+// Table markup per section
+const ADMIN_RENDERERS = {
+  bookings: records => `
+    <table class="admin-table">
+      <thead>
+        <tr><th>Booking</th><th>Customer</th><th>Hotel / Room</th><th>Stay</th><th>Total</th><th>Payment</th><th>Status</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${records.map(booking => `
+        <tr>
+          <td>#${booking._id.slice(-8)}</td>
+          <td>${escapeHtml(getCustomerName(booking))}<br><small>${escapeHtml(booking.user ? booking.user.email : '')}</small></td>
+          <td>${escapeHtml(booking.hotel_name || booking.hotel_id)}<br><small>${escapeHtml(booking.room_type)}</small></td>
+          <td>${booking.check_in} → ${booking.check_out}<br><small>${booking.guests} guest${booking.guests === 1 ? '' : 's'}</small></td>
+          <td>${formatAdminAmount(booking.total_amount)}</td>
+          <td>${formatStatus(booking.payment_status)}</td>
+          <td><span class="status-badge ${booking.booking_status}">${formatStatus(booking.booking_status)}</span></td>
+          <td class="admin-actions">${getBookingActions(booking)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  `,
+
+  payments: records => `
+    <table class="admin-table">
+      <thead>
+        <tr><th>Reference</th><th>Customer</th><th>Booking</th><th>Amount</th><th>Status</th><th>Refund</th><th>Date</th></tr>
+      </thead>
+      <tbody>
+        ${records.map(payment => `
+        <tr>
+          <td>${escapeHtml(payment.transaction_reference || '')}${payment.purpose ? `<br><small>${escapeHtml(payment.purpose)}</small>` : ''}</td>
+          <td>${escapeHtml(getCustomerName(payment))}<br><small>${escapeHtml(payment.user ? payment.user.email : '')}</small></td>
+          <td>${payment.booking_id ? '#' + payment.booking_id.slice(-8) : '-'}</td>
+          <td>${formatAdminAmount(payment.amount)}</td>
+          <td><span class="status-badge ${payment.status}">${formatStatus(payment.status)}</span>${payment.failure_reason ? `<br><small class="admin-flag">${escapeHtml(formatStatus(payment.failure_reason))}</small>` : ''}</td>
+          <td>${payment.refund ? `${formatAdminAmount(payment.refund.amount)}<br><small>${formatStatus(payment.refund.status)}</small>` : '-'}</td>
+          <td>${new Date(payment.created_at).toLocaleString()}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  `,
+
+  contacts: records => `
+    <table class="admin-table">
+      <thead>
+        <tr><th>From</th><th>Subject</th><th>Message</th><th>Received</th><th>Status</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${records.map(contact => `
+        <tr class="${contact.status === 'unread' ? 'admin-unread' : ''}">
+          <td>${escapeHtml(contact.name)}<br><small><a href="mailto:${encodeURIComponent(contact.email)}">${escapeHtml(contact.email)}</a></small></td>
+          <td>${escapeHtml(contact.subject || '')}</td>
+          <td class="admin-message">${escapeHtml(contact.message)}</td>
+          <td>${new Date(contact.created_at).toLocaleString()}</td>
+          <td><span class="status-badge ${contact.status}">${formatStatus(contact.status)}</span></td>
+          <td class="admin-actions">
+            ${contact.status !== 'read' ? `<button class="btn-secondary" onclick="updateContactStatus('${contact._id}', 'read')">Mark Read</button>` : ''}
+            ${contact.status !== 'replied' ? `<button class="btn-primary" onclick="updateContactStatus('${contact._id}', 'replied')">Mark Replied</button>` : ''}
+          </td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  `,
+
+  reviews: records => `
+    <table class="admin-table">
+      <thead>
+        <tr><th>Hotel</th><th>Reviewer</th><th>Rating</th><th>Review</th><th>Submitted</th><th>Status</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${records.map(review => `
+        <tr class="${review.status === 'pending' ? 'admin-unread' : ''}">
+          <td>${escapeHtml(review.hotel_name || review.hotel_id)}<br><small>Booking #${review.booking_id.slice(-8)}</small></td>
+          <td>${escapeHtml(review.reviewer_name)}<br><small>${escapeHtml(review.user ? review.user.email : '')}</small></td>
+          <td>${review.rating}/5<br><small>C ${review.scores.cleanliness} • L ${review.scores.location} • S ${review.scores.service}</small></td>
+          <td class="admin-message">${escapeHtml(review.comment)}</td>
+          <td>${new Date(review.created_at).toLocaleString()}</td>
+          <td><span class="status-badge ${review.status}">${formatStatus(review.status)}</span></td>
+          <td class="admin-actions">
+            ${review.status !== 'approved' ? `<button class="btn-primary" onclick="updateReviewStatus('${review._id}', 'approved')">Approve</button>` : ''}
+            ${review.status !== 'rejected' ? `<button class="btn-danger" onclick="updateReviewStatus('${review._id}', 'rejected')">Reject</button>` : ''}
+          </td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  `
+};
+
+function initJobsToolbar() {
+  const section = document.getElementById('jobs');
+
+  section.querySelector('.admin-job-filter').addEventListener('change', (e) => {
+    jobFilter = e.target.value;
+    loadJobs();
+  });
+
+  section.querySelector('.admin-refresh').addEventListener('click', loadJobs);
+}
+
+async function loadJobs() {
+  const section = document.getElementById('jobs');
+  const jobsWrapper = section.querySelector('.admin-jobs');
+  const runsWrapper = section.querySelector('.admin-job-runs');
+
+  jobsWrapper.innerHTML = '<div class="loading-message">Loading...</div>';
+  runsWrapper.innerHTML = '';
+
+  try {
+    const query = new URLSearchParams(jobFilter ? { job: jobFilter } : {});
+    const response = await fetch(`${window.API_BASE_URL || ''}/api/admin/jobs?${query}`);
+    const data = await response.json();
+
+    if (!data.success) {
+      jobsWrapper.innerHTML = `<div class="error-message">${escapeHtml(data.message || 'Failed to load jobs')}</div>`;
+      return;
+    }
+
+    fillJobFilter(data.jobs);
+    jobsWrapper.innerHTML = renderJobs(data.jobs);
+    runsWrapper.innerHTML = data.runs.length > 0
+      ? renderJobRuns(data.runs)
+      : '<div class="no-bookings"><p>No runs recorded yet</p></div>';
+  } catch (error) {
+    console.error('Error loading jobs:', error);
+    jobsWrapper.innerHTML = '<div class="error-message">Failed to load jobs</div>';
+  }
+}
+
+// Offer each job in the filter once its names are known
+function fillJobFilter(jobs) {
+  const select = document.getElementById('jobs').querySelector('.admin-job-filter');
+  if (select.options.length > 1) {
+    return;
+  }
+
+  jobs.forEach(job => select.add(new Option(formatStatus(job.name), job.name)));
+  select.value = jobFilter;
+}
+
+function renderJobs(jobs) {
+  return `
+    <table class="admin-table">
+      <thead>
+        <tr><th>Job</th><th>Every</th><th>Last run</th><th>Next run</th></tr>
+      </thead>
+      <tbody>
+        ${jobs.map(job => `
+        <tr>
+          <td>${escapeHtml(formatStatus(job.name))}<br><small>${escapeHtml(job.description)}</small></td>
+          <td>${formatDuration(job.interval_ms)}</td>
+          <td>${job.last_run_at
+            ? `${new Date(job.last_run_at).toLocaleString()}<br><span class="status-badge ${job.last_status}">${formatStatus(job.last_status)}</span> <small>${formatDuration(job.last_duration_ms)}</small>`
+            : '-'}</td>
+          <td>${job.running_on
+            ? `<span class="status-badge running">Running</span><br><small>${escapeHtml(job.running_on)}</small>`
+            : job.next_run_at ? new Date(job.next_run_at).toLocaleString() : 'On the next check'}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderJobRuns(runs) {
+  return `
+    <table class="admin-table">
+      <thead>
+        <tr><th>Job</th><th>Started</th><th>Took</th><th>Server</th><th>Status</th><th>Result</th></tr>
+      </thead>
+      <tbody>
+        ${runs.map(run => `
+        <tr>
+          <td>${escapeHtml(formatStatus(run.job))}</td>
+          <td>${new Date(run.started_at).toLocaleString()}</td>
+          <td>${formatDuration(run.duration_ms)}</td>
+          <td><small>${escapeHtml(run.instance)}</small></td>
+          <td><span class="status-badge ${run.status}">${formatStatus(run.status)}</span></td>
+          <td>${run.error
+            ? `<small class="admin-flag">${escapeHtml(run.error)}</small>`
+            : escapeHtml(Object.entries(run.result || {}).map(([key, count]) => `${count} ${key.replace(/_/g, ' ')}`).join(', '))}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function getBookingActions(booking) {
+  const today = new Date().toISOString().split('T')[0];
+  const closable = ['confirmed', 'completed', 'no_show'].includes(booking.booking_status) && booking.check_in <= today;
+
+  if (!closable) {
+    return '';
+  }
+
+  return `
+    ${booking.booking_status !== 'completed' ? `<button class="btn-primary" onclick="updateBookingStatus('${booking._id}', 'completed')">Completed</button>` : ''}
+    ${booking.booking_status !== 'no_show' ? `<button class="btn-danger" onclick="updateBookingStatus('${booking._id}', 'no_show')">No-show</button>` : ''}
+  `;
+}
+
+async function updateBookingStatus(bookingId, status) {
+  if (status === 'no_show' && !confirm('Mark this guest as a no-show? Remaining nights will be released for sale.')) {
+    return;
+  }
+
+  await patchAdminStatus(`/api/admin/bookings/${bookingId}/status`, status, 'bookings');
+}
+
+async function updateContactStatus(contactId, status) {
+  await patchAdminStatus(`/api/admin/contacts/${contactId}/status`, status, 'contacts');
+}
+
+async function updateReviewStatus(reviewId, status) {
+  await patchAdminStatus(`/api/admin/reviews/${reviewId}/status`, status, 'reviews');
+}
+
+async function patchAdminStatus(url, status, table) {
+  try {
+    const response = await fetch(`${window.API_BASE_URL || ''}${url}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status })
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+      alert(data.message || 'Failed to update status');
+      return;
+    }
+
+    loadAdminTable(table);
+  } catch (error) {
+    alert('Error updating status. Please try again.');
+  }
+}
+
+function getCustomerName(record) {
+  if (record.user) {
+    return `${record.user.first_name || ''} ${record.user.last_name || ''}`.trim();
+  }
+  if (record.guest_details && record.guest_details.firstName) {
+    return `${record.guest_details.firstName} ${record.guest_details.lastName || ''}`.trim();
+  }
+  return '-';
+}
+
+function formatAdminAmount(amount) {
+  return typeof amount === 'number' ? `₦${amount.toLocaleString()}` : '-';
+}
+
+function formatDuration(ms) {
+  if (typeof ms !== 'number') {
+    return '-';
+  }
+  if (ms < 1000) {
+    return `${ms} ms`;
+  }
+  if (ms < 60 * 1000) {
+    return `${Math.round(ms / 1000)} s`;
+  }
+  if (ms < 60 * 60 * 1000) {
+    return `${Math.round(ms / 60000)} min`;
+  }
+  return `${Math.round(ms / 3600000)} h`;
+}
+
+function formatStatus(status) {
+  if (!status) {
+    return '-';
+  }
+  const label = status.replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+function escapeHtml(value) {
+  const div = document.createElement('div');
+  div.textContent = value === undefined || value === null ? '' : String(value);
+  return div.innerHTML;
+}
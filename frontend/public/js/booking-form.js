@@ -1,4 +1,7 @@
 // Booking Form JavaScript
+let currentQuote = null; // Server price quote for the current selection
+let quoteRequestId = 0; // Latest quote request; answers to older ones are ignored
+
 function initBookingForm() {
   const today = new Date().toISOString().split('T')[0];
   document.getElementById('checkin').min = today;
@@ -6,32 +9,59 @@ function initBookingForm() {
 
   document.getElementById('checkin').addEventListener('change', calculateTotal);
   document.getElementById('checkout').addEventListener('change', calculateTotal);
+  document.getElementById('guests').addEventListener('change', calculateTotal);
+  document.getElementById('checkin').addEventListener('change', checkAvailability);
+  document.getElementById('checkout').addEventListener('change', checkAvailability);
+  document.getElementById('guests').addEventListener('change', checkAvailability);
   document.getElementById('booking-form').addEventListener('submit', handleBooking);
 }
 
-function calculateTotal() {
-  const checkin = new Date(document.getElementById('checkin').value);
-  const checkout = new Date(document.getElementById('checkout').value);
+async function calculateTotal() {
+  const checkin = document.getElementById('checkin').value;
+  const checkout = document.getElementById('checkout').value;
+  const guests = document.getElementById('guests').value;
+  const summary = document.getElementById('booking-summary');
+  const requestId = ++quoteRequestId;
 
-  if (checkin && checkout && checkout > checkin && selectedRoom) {
-    const nights = Math.ceil((checkout - checkin) / (1000 * 60 * 60 * 24));
-    const pricePerNight = selectedRoom.price_per_night;
-    const subtotal = nights * pricePerNight;
-    const serviceFee = subtotal * 0.05;
-    const total = subtotal + serviceFee;
+  currentQuote = null;
 
-    document.getElementById('booking-summary').innerHTML = `
-      <div class="summary-row">
-        <span>₦${pricePerNight.toLocaleString()} x ${nights} nights</span>
-        <span>₦${subtotal.toLocaleString()}</span>
-      </div>
-      <div class="summary-row">
-        <span>Service fee (5%)</span>
-        <span>₦${serviceFee.toLocaleString()}</span>
+  if (!checkin || !checkout || checkout <= checkin || !selectedRoom) {
+    return;
+  }
+
+  try {
+    // Prices come from the server; the browser only displays them
+    const quote = await BookingUtils.getQuote(currentHotel._id, selectedRoom.room_type, checkin, checkout, guests);
+
+    // The selection changed while this quote was on its way
+    if (requestId !== quoteRequestId) {
+      return;
+    }
+    currentQuote = quote;
+
+    // Stays whose nights are priced differently get a line per night
+    const rows = BookingUtils.getQuoteLines(currentQuote).map(line => `
+      <div class="summary-row${line.nightly ? ' nightly' : ''}">
+        <span>${line.label}</span>
+        <span>${line.amount < 0 ? '-' : ''}${BookingUtils.formatCurrency(Math.abs(line.amount))}</span>
       </div>
+    `).join('');
+
+    summary.innerHTML = `
+      ${rows}
       <div class="summary-row total">
         <span>Total</span>
-        <span>₦${total.toLocaleString()}</span>
+        <span>${BookingUtils.formatCurrency(currentQuote.total)}</span>
+      </div>
+    `;
+  } catch (error) {
+    if (requestId !== quoteRequestId) {
+      return;
+    }
+    summary.innerHTML = `
+      <div class="summary-row">
+        <span>${error.message}</span>
+        <span></span>
       </div>
     `;
   }
@@ -101,10 +131,18 @@ async function handleBooking(e) {
       return;
     }
 
-    const nights = Math.ceil((checkoutDate - checkinDate) / (1000 * 60 * 60 * 24));
-    const subtotal = nights * selectedRoom.price_per_night;
-    const serviceFee = subtotal * 0.05;
-    const total = subtotal + serviceFee;
+    if (!currentQuote) {
+      await calculateTotal();
+    }
+
+    if (!currentQuote) {
+      if (window.BookingUtils) {
+        BookingUtils.showError('This stay could not be priced. Please check your selection.');
+      } else {
+        alert('This stay could not be priced. Please check your selection.');
+      }
+      return;
+    }
 
     const bookingData = {
       hotelId: currentHotel._id,
@@ -113,12 +151,14 @@ async function handleBooking(e) {
       checkin,
       checkout,
       guests: parseInt(guests),
-      nights,
+      nights: currentQuote.nights,
       roomType: selectedRoom.room_type,
-      pricePerNight: selectedRoom.price_per_night,
-      subtotal,
-      serviceFee,
-      total
+      pricePerNight: currentQuote.price_per_night,
+      subtotal: currentQuote.subtotal,
+      discount: currentQuote.discount,
+      serviceFee: currentQuote.service_fee,
+      tax: currentQuote.tax,
+      total: currentQuote.total
     };
 
     sessionStorage.setItem('bookingData', JSON.stringify(bookingData));
@@ -3,7 +3,8 @@ function createBookingCard(booking) {
   const checkinDate = new Date(booking.check_in);
   const checkoutDate = new Date(booking.check_out);
   const isUpcoming = checkinDate > new Date();
-  const status = booking.booking_status || (booking.payment_status === 'paid' ? (isUpcoming ? 'confirmed' : 'completed') : 'pending');
+  // Stays are marked completed by the server once check-out has passed
+  const status = booking.booking_status || (booking.payment_status === 'paid' ? 'confirmed' : 'pending');
 
   return `
     <div class="booking-card ${isUpcoming ? 'upcoming' : 'past'} ${status}" data-status="${status}">
@@ -33,10 +34,14 @@ function createBookingCard(booking) {
         <div class="booking-price">
           <span class="total">₦${booking.total_amount.toLocaleString()}</span>
           <span class="nights">${booking.nights || 1} nights • ${booking.guests} guests</span>
+          ${booking.pending_modification ? '<span class="pending-change">Change awaiting payment</span>' : ''}
+          ${getReviewLabel(booking)}
         </div>
       </div>
       <div class="booking-actions">
         <button class="btn-secondary" onclick="viewBookingDetails('${booking._id}')">View Details</button>
+        ${isUpcoming && status === 'confirmed' ? '<button class="btn-secondary" onclick="modifyBooking(\'' + booking._id + '\')">Modify</button>' : ''}
+        ${status === 'completed' && !booking.review ? '<button class="btn-secondary" onclick="reviewBooking(\'' + booking._id + '\')">Write Review</button>' : ''}
         ${isUpcoming && status !== 'cancelled' ? '<button class="btn-danger" onclick="cancelBooking(\'' + booking._id + '\')">Cancel Booking</button>' : '<button class="btn-primary" onclick="bookAgain(\'' + booking.hotel_id + '\')">Book Again</button>'}
       </div>
     </div>
@@ -69,6 +74,87 @@ async function viewBookingDetails(bookingId) {
   }
 }
 
+function modifyBooking(bookingId) {
+  const booking = allBookings.find(b => b._id === bookingId);
+  if (booking) {
+    showModifyBookingModal(booking);
+  } else {
+    alert('Booking details not found');
+  }
+}
+
+async function submitBookingModification(bookingId, changes) {
+  try {
+    const response = await fetch(`${window.API_BASE_URL || ''}/api/bookings/${bookingId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
+
+    const data = await response.json();
+
+    if (!data.success) {
+      reportAPIError(data, 'Failed to modify booking');
+      return;
+    }
+
+    // A dearer stay is paid for on Paystack before it applies
+    if (data.authorization_url) {
+      alert(data.message);
+      window.location.href = data.authorization_url;
+      return;
+    }
+
+    closeBookingModal();
+    alert(data.message);
+    loadBookings();
+  } catch (error) {
+    alert('Error modifying booking. Please try again.');
+  }
+}
+
+// Review state of a completed stay
+function getReviewLabel(booking) {
+  if (!booking.review) {
+    return '';
+  }
+  return booking.review.status === 'pending'
+    ? '<span class="review-state">Review awaiting approval</span>'
+    : `<span class="review-state">You rated this stay ${booking.review.rating}/5</span>`;
+}
+
+function reviewBooking(bookingId) {
+  const booking = allBookings.find(b => b._id === bookingId);
+  if (booking) {
+    showReviewModal(booking);
+  } else {
+    alert('Booking details not found');
+  }
+}
+
+async function submitReview(bookingId, review) {
+  try {
+    const response = await fetch(`${window.API_BASE_URL || ''}/api/reviews`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ booking_id: bookingId, ...review })
+    });
+
+    const data = await response.json();
+
+    if (!data.success) {
+      reportAPIError(data, 'Failed to submit review');
+      return;
+    }
+
+    closeBookingModal();
+    alert(data.message);
+    loadBookings();
+  } catch (error) {
+    alert('Error submitting review. Please try again.');
+  }
+}
+
 async function cancelBooking(bookingId) {
   if (!confirm('Are you sure you want to cancel this booking? This action cannot be undone.')) {
     return;
@@ -82,21 +168,10 @@ async function cancelBooking(bookingId) {
     const data = await response.json();
 
     if (data.success) {
-      alert('Booking cancelled successfully');
+      alert(data.message || 'Booking cancelled successfully');
       loadBookings(); // Reload bookings
     } else {
-      // Update locally if API fails
-      const bookingCard = document.querySelector(`[data-status]:has(button[onclick*="${bookingId}"])`);
-      if (bookingCard) {
-        bookingCard.querySelector('.status-badge').textContent = 'Cancelled';
-        bookingCard.querySelector('.status-badge').className = 'status-badge cancelled';
-        bookingCard.dataset.status = 'cancelled';
-        const cancelBtn = bookingCard.querySelector('.btn-danger');
-        if (cancelBtn) {
-          cancelBtn.outerHTML = `<button class="btn-primary" onclick="bookAgain('${bookingId}')">Book Again</button>`;
-        }
-      }
-      alert('Booking cancelled successfully');
+      reportAPIError(data, 'Failed to cancel booking');
     }
   } catch (error) {
     alert('Error cancelling booking. Please try again.');
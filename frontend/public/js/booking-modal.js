@@ -37,6 +37,7 @@ function showBookingModal(booking) {
               <p><strong>Payment Status:</strong> ${booking.payment_status || 'pending'}</p>
               ${booking.transaction_reference ? `<p><strong>Transaction Ref:</strong> ${booking.transaction_reference}</p>` : ''}
             </div>
+            ${status === 'cancelled' ? getRefundSection(booking) : ''}
             ${booking.guest_details ? `
             <div class="info-section">
               <h3>Guest Details</h3>
@@ -60,6 +61,169 @@ function showBookingModal(booking) {
   document.body.insertAdjacentHTML('beforeend', modalHTML);
 }
 
+// Build the refund details shown for cancelled bookings
+function getRefundSection(booking) {
+  const cancellation = booking.cancellation || {};
+  const refund = booking.refund || { amount: 0, status: 'none' };
+  const refundStatusLabels = {
+    none: 'No refund due',
+    pending: 'Processing',
+    processed: 'Refunded',
+    failed: 'Failed - our support team will contact you'
+  };
+  
+  return `
+            <div class="info-section">
+              <h3>Cancellation &amp; Refund</h3>
+              ${booking.cancelled_at ? `<p><strong>Cancelled On:</strong> ${new Date(booking.cancelled_at).toLocaleDateString()}</p>` : ''}
+              ${cancellation.tier ? `<p><strong>Refund Policy Applied:</strong> ${cancellation.refund_percent}% refund</p>` : ''}
+              <p><strong>Refund Amount:</strong> ₦${(refund.amount || 0).toLocaleString()}</p>
+              <p><strong>Refund Status:</strong> ${refundStatusLabels[refund.status] || refund.status}</p>
+            </div>
+  `;
+}
+
+async function showModifyBookingModal(booking) {
+  let rooms = [{ room_type: booking.room_type, capacity: booking.guests }];
+  
+  try {
+    const response = await fetch(`${window.API_BASE_URL || ''}/api/hotels/${booking.hotel_id}`);
+    const data = await response.json();
+    if (data.success && data.hotel.rooms) {
+      rooms = data.hotel.rooms.filter(room => room.available !== false);
+    }
+  } catch (error) {
+    console.error('Error loading rooms:', error);
+  }
+  
+  const today = new Date().toISOString().split('T')[0];
+  const roomOptions = rooms.map(room => `
+                <option value="${room.room_type}" ${room.room_type === booking.room_type ? 'selected' : ''}>
+                  ${room.room_type}${room.price_per_night ? ` - ₦${room.price_per_night.toLocaleString()}/night` : ''}
+                </option>`).join('');
+  
+  const modalHTML = `
+    <div class="modal-overlay" onclick="closeBookingModal()">
+      <div class="booking-modal" onclick="event.stopPropagation()">
+        <div class="modal-header">
+          <h2>Modify Booking</h2>
+          <button class="modal-close" onclick="closeBookingModal()"><i class="fas fa-times"></i></button>
+        </div>
+        <form id="modify-booking-form" class="modal-content">
+          <p class="modify-note">${booking.hotel_name} • Booking #${booking._id.slice(-8)}. The new stay is repriced at today's rates; you pay any difference or have it refunded to your original payment method.</p>
+          <div class="form-row">
+            <div class="input-group">
+              <label for="modify-checkin">Check-in</label>
+              <input type="date" id="modify-checkin" value="${booking.check_in}" min="${today}" required>
+            </div>
+            <div class="input-group">
+              <label for="modify-checkout">Check-out</label>
+              <input type="date" id="modify-checkout" value="${booking.check_out}" min="${today}" required>
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="input-group">
+              <label for="modify-room">Room Type</label>
+              <select id="modify-room">${roomOptions}
+              </select>
+            </div>
+            <div class="input-group">
+              <label for="modify-guests">Guests</label>
+              <input type="number" id="modify-guests" value="${booking.guests}" min="1" max="10" required>
+            </div>
+          </div>
+        </form>
+        <div class="modal-actions">
+          <button class="btn-secondary" onclick="closeBookingModal()">Close</button>
+          <button class="btn-primary" type="submit" form="modify-booking-form">Update Booking</button>
+        </div>
+      </div>
+    </div>
+  `;
+  
+  document.body.insertAdjacentHTML('beforeend', modalHTML);
+  
+  document.getElementById('modify-booking-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitBookingModification(booking._id, {
+      checkin: document.getElementById('modify-checkin').value,
+      checkout: document.getElementById('modify-checkout').value,
+      room_type: document.getElementById('modify-room').value,
+      guests: parseInt(document.getElementById('modify-guests').value, 10)
+    });
+  });
+}
+
+function showReviewModal(booking) {
+  const starOptions = `
+                <option value="5">5 - Excellent</option>
+                <option value="4">4 - Very good</option>
+                <option value="3">3 - Average</option>
+                <option value="2">2 - Poor</option>
+                <option value="1">1 - Terrible</option>`;
+  
+  const modalHTML = `
+    <div class="modal-overlay" onclick="closeBookingModal()">
+      <div class="booking-modal" onclick="event.stopPropagation()">
+        <div class="modal-header">
+          <h2>Review Your Stay</h2>
+          <button class="modal-close" onclick="closeBookingModal()"><i class="fas fa-times"></i></button>
+        </div>
+        <form id="review-form" class="modal-content">
+          <p class="modify-note">${booking.hotel_name} • ${booking.room_type}, ${booking.check_in} to ${booking.check_out}. Reviews are published once checked by our team.</p>
+          <div class="form-row">
+            <div class="input-group">
+              <label for="review-rating">Overall</label>
+              <select id="review-rating">${starOptions}
+              </select>
+            </div>
+            <div class="input-group">
+              <label for="review-cleanliness">Cleanliness</label>
+              <select id="review-cleanliness">${starOptions}
+              </select>
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="input-group">
+              <label for="review-location">Location</label>
+              <select id="review-location">${starOptions}
+              </select>
+            </div>
+            <div class="input-group">
+              <label for="review-service">Service</label>
+              <select id="review-service">${starOptions}
+              </select>
+            </div>
+          </div>
+          <div class="input-group">
+            <label for="review-comment">Your review</label>
+            <textarea id="review-comment" rows="4" maxlength="2000" placeholder="What did you enjoy? What could be better?"></textarea>
+          </div>
+        </form>
+        <div class="modal-actions">
+          <button class="btn-secondary" onclick="closeBookingModal()">Close</button>
+          <button class="btn-primary" type="submit" form="review-form">Submit Review</button>
+        </div>
+      </div>
+    </div>
+  `;
+  
+  document.body.insertAdjacentHTML('beforeend', modalHTML);
+  
+  document.getElementById('review-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitReview(booking._id, {
+      rating: parseInt(document.getElementById('review-rating').value, 10),
+      scores: {
+        cleanliness: parseInt(document.getElementById('review-cleanliness').value, 10),
+        location: parseInt(document.getElementById('review-location').value, 10),
+        service: parseInt(document.getElementById('review-service').value, 10)
+      },
+      comment: document.getElementById('review-comment').value
+    });
+  });
+}
+
 function closeBookingModal() {
   const modal = document.querySelector('.modal-overlay');
   if (modal) {
@@ -1,4 +1,18 @@
 // Booking Utilities - Helper functions for the booking process
+
+// Failed API call; `code` is the stable error code from the response envelope
+// (AUTH_REQUIRED, EMAIL_NOT_VERIFIED, PRICE_CHANGED, ...) and `data` the full body
+class APIError extends Error {
+  constructor(data, status) {
+    super(data.message || `HTTP error! status: ${status}`);
+    this.name = 'APIError';
+    this.status = status;
+    this.code = data.code || 'INTERNAL_ERROR';
+    this.requestId = data.request_id || null;
+    this.data = data;
+  }
+}
+
 class BookingUtils {
   static formatCurrency(amount) {
     return `₦${amount.toLocaleString()}`;
@@ -13,6 +27,21 @@ class BookingUtils {
     });
   }
 
+  // Night of a stay as "Fri, Dec 19"; nights are calendar dates, so no timezone shift
+  static formatNight(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      timeZone: 'UTC'
+    });
+  }
+
+  // Whether the nights of a stay are priced differently (weekend, season or single-date rates)
+  static ratesVary(nightlyRates) {
+    return Array.isArray(nightlyRates) && nightlyRates.some(night => night.price !== nightlyRates[0].price);
+  }
+
   static calculateNights(checkin, checkout) {
     const checkinDate = new Date(checkin);
     const checkoutDate = new Date(checkout);
@@ -31,43 +60,59 @@ class BookingUtils {
     };
   }
 
-  static validateBookingData(bookingData) {
-    const required = ['hotelId', 'hotelName', 'checkin', 'checkout', 'guests', 'roomType', 'pricePerNight'];
-    const missing = required.filter(field => !bookingData[field]);
+  static async getQuote(hotelId, roomType, checkin, checkout, guests = 1) {
+    const query = new URLSearchParams({ room_type: roomType, checkin, checkout, guests });
+    const data = await this.makeAPIRequest(`/api/hotels/${hotelId}/quote?${query}`);
+    return data.quote;
+  }
 
-    if (missing.length > 0) {
-      throw new Error(`Missing required booking data: ${missing.join(', ')}`);
+  static getQuoteLines(quote) {
+    // One line per night when the rate changes during the stay
+    const lines = this.ratesVary(quote.nightly_rates)
+      ? quote.nightly_rates.map(night => ({
+        label: `${this.formatNight(night.date)} · ${night.rate}`,
+        amount: night.price,
+        nightly: true
+      }))
+      : [
+        {
+          label: `${this.formatCurrency(quote.price_per_night)} x ${quote.nights} ${quote.nights === 1 ? 'night' : 'nights'}`,
+          amount: quote.subtotal
+        }
+      ];
+
+    if (quote.discount > 0 && quote.deal) {
+      lines.push({ label: `${quote.deal.title} (-${quote.deal.discount_percentage}%)`, amount: -quote.discount });
     }
 
-    // Validate dates
-    const checkin = new Date(bookingData.checkin);
-    const checkout = new Date(bookingData.checkout);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    if (checkin < today) {
-      throw new Error('Check-in date cannot be in the past');
+    if (quote.promo_discount > 0 && quote.promo) {
+      const terms = quote.promo.discount_type === 'percent' ? ` (-${quote.promo.discount_value}%)` : '';
+      lines.push({ label: `Promo code ${quote.promo.code}${terms}`, amount: -quote.promo_discount });
     }
 
-    if (checkout <= checkin) {
-      throw new Error('Check-out date must be after check-in date');
+    lines.push({ label: `Service fee (${quote.service_fee_rate * 100}%)`, amount: quote.service_fee });
+
+    if (quote.tax > 0) {
+      lines.push({ label: `VAT (${quote.tax_rate * 100}%)`, amount: quote.tax });
     }
 
-    return true;
+    return lines;
+  }
+
+  // Same rules the API applies (validation-rules.js); throws the first problem found
+  static validateBookingData(bookingData) {
+    return this.assertValid(ValidationRules.SCHEMAS.booking, bookingData);
   }
 
   static validateGuestDetails(guestDetails) {
-    const required = ['firstName', 'lastName', 'email', 'phone'];
-    const missing = required.filter(field => !guestDetails[field] || guestDetails[field].trim() === '');
+    return this.assertValid(ValidationRules.SCHEMAS.guestDetails, guestDetails);
+  }
 
-    if (missing.length > 0) {
-      throw new Error(`Please fill in all required fields: ${missing.join(', ')}`);
-    }
+  static assertValid(schema, data) {
+    const errors = ValidationRules.validate(schema, data);
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(guestDetails.email)) {
-      throw new Error('Please enter a valid email address');
+    if (errors.length > 0) {
+      throw new Error(errors[0].message);
     }
 
     return true;
@@ -190,10 +235,11 @@ class BookingUtils {
         ...options
       });
 
-      const data = await response.json();
+      // Proxies and crashed servers can answer with HTML instead of the JSON envelope
+      const data = await response.json().catch(() => ({}));
 
-      if (!response.ok) {
-        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      if (!response.ok || data.success === false) {
+        throw new APIError(data, response.status);
       }
 
       return data;
@@ -203,6 +249,35 @@ class BookingUtils {
     }
   }
 
+  // Show a failed request to the user; `handlers` maps error codes to page-specific
+  // handling, e.g. { PRICE_CHANGED: error => applyQuote(error.data.quote) }
+  static handleAPIError(error, handlers = {}) {
+    if (handlers[error.code]) {
+      handlers[error.code](error);
+      return;
+    }
+
+    switch (error.code) {
+      case 'AUTH_REQUIRED':
+        this.showError('Your session has ended. Please log in again.');
+        setTimeout(() => {
+          window.location.href = '/login';
+        }, 1500);
+        break;
+      case 'EMAIL_NOT_VERIFIED':
+        this.showError(`${error.message} <a href="/dashboard" style="color: inherit; text-decoration: underline;">Go to dashboard</a>`, 10000);
+        break;
+      case 'SERVICE_UNAVAILABLE':
+      case 'UPSTREAM_ERROR':
+      case 'INTERNAL_ERROR':
+        // Quoting the request ID lets support find the failure in the server log
+        this.showError(error.requestId ? `${error.message} (Reference: ${error.requestId})` : error.message);
+        break;
+      default:
+        this.showError(error.message || 'Something went wrong. Please try again.');
+    }
+  }
+
   static debounce(func, wait) {
     let timeout;
     return function executedFunction(...args) {
@@ -268,4 +343,5 @@ if (typeof document !== 'undefined') {
 // Export for use in other files
 if (typeof window !== 'undefined') {
   window.BookingUtils = BookingUtils;
+  window.APIError = APIError;
 }
\ No newline at end of file
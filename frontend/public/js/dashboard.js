@@ -5,9 +5,38 @@ document.addEventListener('DOMContentLoaded', async () => {
   initMobileMenu();
   await loadUserData();
   initDashboard();
+  initProfileForms();
+  showBookingChangeResult();
   setTimeout(updateNavbarAuth, 100);
 });
 
+// Report the outcome of a booking change paid for on Paystack
+function showBookingChangeResult() {
+  const params = new URLSearchParams(window.location.search);
+  const messages = {
+    payment_failed: 'Payment for your booking change was not completed. Your original booking is unchanged.',
+    modification_unavailable: 'Your payment arrived after the new dates were released. Your original booking is unchanged and the payment will be refunded.',
+    amount_mismatch: 'The amount paid did not match the price of your booking change. Your original booking is unchanged and the payment will be refunded.',
+    email_link_invalid: 'That email confirmation link is invalid or has expired. Save your profile again to get a new one.',
+    email_taken: 'That email address was registered by another account before you confirmed it. Your email is unchanged.',
+    verification_link_invalid: 'That verification link is invalid or has expired. Use "Resend link" to get a new one.'
+  };
+
+  if (params.get('modified') === 'true') {
+    alert('Your booking has been updated.');
+  } else if (params.get('email_changed') === 'true') {
+    alert('Your email address has been updated.');
+  } else if (params.get('email_verified') === 'true') {
+    alert('Thanks! Your email address is verified and you can now pay for bookings.');
+  } else if (messages[params.get('error')]) {
+    alert(messages[params.get('error')]);
+  } else {
+    return;
+  }
+
+  window.history.replaceState({}, '', window.location.pathname);
+}
+
 async function loadUserData() {
   try {
     const response = await fetch(`${window.API_BASE_URL || ''}/api/user`);
@@ -20,6 +49,8 @@ async function loadUserData() {
 
     document.getElementById('user-name').textContent = data.user.name;
     await loadBookings();
+    await loadProfile();
+    await loadFavorites();
   } catch (error) {
     window.location.href = '/login';
   }
@@ -68,6 +99,190 @@ async function loadBookings() {
   }
 }
 
+async function loadProfile() {
+  try {
+    const response = await fetch(`${window.API_BASE_URL || ''}/api/profile`);
+    const data = await response.json();
+
+    if (data.success) {
+      fillProfileForm(data.profile);
+    }
+  } catch (error) {
+    console.error('Error loading profile:', error);
+  }
+}
+
+function fillProfileForm(profile) {
+  const form = document.getElementById('profile-form');
+  ['first_name', 'last_name', 'email', 'phone', 'date_of_birth'].forEach(field => {
+    form.elements[field].value = profile[field] || '';
+  });
+
+  document.getElementById('verify-banner').hidden = profile.email_verified;
+
+  // A new address only takes over once confirmed from the email we sent it
+  const pendingNote = document.getElementById('pending-email');
+  pendingNote.hidden = !profile.pending_email;
+  pendingNote.textContent = profile.pending_email
+    ? `Waiting for you to confirm ${profile.pending_email} from the link we emailed to it.`
+    : '';
+}
+
+function initProfileForms() {
+  document.getElementById('resend-verification').addEventListener('click', resendVerification);
+
+  document.getElementById('profile-form').addEventListener('submit', async function (e) {
+    e.preventDefault();
+    const body = Object.fromEntries(new FormData(this));
+
+    const data = await submitProfileChange('/api/profile', body, this);
+    if (data) {
+      fillProfileForm(data.profile);
+      document.getElementById('user-name').textContent = data.user.name;
+      alert(data.message);
+    }
+  });
+
+  document.getElementById('password-form').addEventListener('submit', async function (e) {
+    e.preventDefault();
+    const body = Object.fromEntries(new FormData(this));
+
+    if (body.new_password !== body.confirm_password) {
+      alert('New passwords do not match');
+      return;
+    }
+
+    const data = await submitProfileChange('/api/profile/password', {
+      current_password: body.current_password,
+      new_password: body.new_password
+    }, this);
+    if (data) {
+      this.reset();
+      alert(data.message);
+    }
+  });
+}
+
+// Tell the user why a request failed; an ended session goes back to the login page
+function reportAPIError(data, fallback) {
+  if (data.code === 'AUTH_REQUIRED') {
+    window.location.href = '/login';
+    return;
+  }
+  alert(data.message || fallback);
+}
+
+async function resendVerification() {
+  const button = document.getElementById('resend-verification');
+  button.disabled = true;
+
+  try {
+    const response = await fetch(`${window.API_BASE_URL || ''}/api/verify-email/resend`, { method: 'POST' });
+    const data = await response.json();
+
+    if (!data.success) {
+      reportAPIError(data, 'Could not send the verification email');
+      return;
+    }
+
+    if (data.email_verified) {
+      document.getElementById('verify-banner').hidden = true;
+    }
+    alert(data.message);
+  } catch (error) {
+    console.error('Error resending verification:', error);
+    alert('Could not send the verification email. Please try again.');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// PUT a profile change; returns the response on success, otherwise reports the error
+async function submitProfileChange(path, body, form) {
+  const button = form.querySelector('button[type="submit"]');
+  button.disabled = true;
+
+  try {
+    const response = await fetch(`${window.API_BASE_URL || ''}${path}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      return data;
+    }
+    reportAPIError(data, 'Could not save your changes');
+  } catch (error) {
+    console.error('Error saving profile:', error);
+    alert('Could not save your changes. Please try again.');
+  } finally {
+    button.disabled = false;
+  }
+  return null;
+}
+
+async function loadFavorites() {
+  const favoritesList = document.getElementById('favorites-list');
+
+  try {
+    const response = await fetch(`${window.API_BASE_URL || ''}/api/favorites`);
+    const data = await response.json();
+
+    if (!data.success) {
+      favoritesList.innerHTML = `<div class="error-message">${data.message || 'Failed to load favorites'}</div>`;
+    } else if (data.favorites.length === 0) {
+      favoritesList.innerHTML = '<p class="no-bookings">No favorite hotels yet. Tap the heart on any hotel to save it here. <a href="/hotels">Browse hotels</a></p>';
+    } else {
+      favoritesList.innerHTML = data.favorites.map(hotel => createFavoriteCard(hotel)).join('');
+    }
+  } catch (error) {
+    console.error('Error loading favorites:', error);
+    favoritesList.innerHTML = '<div class="error-message">Failed to load favorites</div>';
+  }
+}
+
+function createFavoriteCard(hotel) {
+  const image = hotel.images && hotel.images[0] ? hotel.images[0] : 'https://images.unsplash.com/photo-1566073771259-6a8506099945';
+  const rating = hotel.rating || 4.0;
+
+  return `
+    <div class="favorite-hotel">
+      <img src="${image}" alt="${hotel.name}">
+      <div class="hotel-info">
+        <h3>${hotel.name}</h3>
+        <p><i class="fas fa-map-marker-alt"></i> ${hotel.location}</p>
+        <div class="rating">
+          ${createStars(rating)}
+          <span>${rating}</span>
+        </div>
+        ${hotel.from_price !== null ? `<span class="price">From ₦${hotel.from_price.toLocaleString()}/night</span>` : ''}
+        <div class="favorite-actions">
+          <a href="/hotel/${hotel._id}" class="btn-primary">Book Now</a>
+          <button class="btn-remove" title="Remove from favorites" onclick="removeFavorite('${hotel._id}')"><i class="fas fa-heart"></i></button>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+async function removeFavorite(hotelId) {
+  try {
+    const response = await fetch(`${window.API_BASE_URL || ''}/api/favorites/${encodeURIComponent(hotelId)}`, { method: 'DELETE' });
+    const data = await response.json();
+
+    if (data.success) {
+      await loadFavorites();
+    } else {
+      reportAPIError(data, 'Could not remove favorite');
+    }
+  } catch (error) {
+    console.error('Error removing favorite:', error);
+    alert('Could not remove favorite. Please try again.');
+  }
+}
+
 function initDashboard() {
   // Tab navigation
   document.querySelectorAll('.nav-item').forEach(item => {
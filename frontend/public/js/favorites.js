@@ -0,0 +1,87 @@
+// Favorite Hotels - heart toggles on hotel cards and the hotel details page
+let favoriteHotelIds = new Set();
+let favoritesSignedIn = false;
+
+// Saved hotels of the signed-in user; guests get an empty list
+async function loadFavoriteIds() {
+  try {
+    const response = await fetch(`${window.API_BASE_URL || ''}/api/favorites`);
+    const data = await response.json();
+
+    favoritesSignedIn = data.success;
+    favoriteHotelIds = new Set(data.success ? data.hotel_ids : []);
+  } catch (error) {
+    console.error('Error loading favorites:', error);
+  }
+
+  refreshFavoriteButtons();
+}
+
+const favoritesReady = loadFavoriteIds();
+
+// Heart button for a hotel, filled when it is already saved
+function createFavoriteButton(hotelId) {
+  const saved = favoriteHotelIds.has(hotelId);
+  return `
+    <button type="button" class="favorite-btn${saved ? ' active' : ''}" data-hotel-id="${hotelId}"
+            aria-pressed="${saved}" title="${saved ? 'Remove from favorites' : 'Save to favorites'}"
+            onclick="toggleFavorite(event, '${hotelId}')">
+      <i class="${saved ? 'fas' : 'far'} fa-heart"></i>
+    </button>
+  `;
+}
+
+function setFavoriteButton(button, saved) {
+  button.classList.toggle('active', saved);
+  button.setAttribute('aria-pressed', saved);
+  button.title = saved ? 'Remove from favorites' : 'Save to favorites';
+  button.querySelector('i').className = `${saved ? 'fas' : 'far'} fa-heart`;
+}
+
+// Sync every heart on the page with the saved list
+function refreshFavoriteButtons() {
+  document.querySelectorAll('.favorite-btn[data-hotel-id]').forEach(button => {
+    setFavoriteButton(button, favoriteHotelIds.has(button.dataset.hotelId));
+  });
+}
+
+async function toggleFavorite(event, hotelId) {
+  // Cards navigate on click; the heart must not
+  event.stopPropagation();
+  await favoritesReady;
+
+  if (!favoritesSignedIn) {
+    window.location.href = '/login';
+    return;
+  }
+
+  const saved = favoriteHotelIds.has(hotelId);
+
+  try {
+    const response = saved
+      ? await fetch(`${window.API_BASE_URL || ''}/api/favorites/${encodeURIComponent(hotelId)}`, { method: 'DELETE' })
+      : await fetch(`${window.API_BASE_URL || ''}/api/favorites`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ hotel_id: hotelId })
+      });
+    const data = await response.json();
+
+    if (data.success) {
+      if (saved) {
+        favoriteHotelIds.delete(hotelId);
+      } else {
+        favoriteHotelIds.add(hotelId);
+      }
+      refreshFavoriteButtons();
+    } else if (data.code === 'AUTH_REQUIRED') {
+      // Signed out in another tab since the page loaded
+      window.location.href = '/login';
+    } else {
+      alert(data.message || 'Could not update favorites');
+    }
+  } catch (error) {
+    console.error('Error updating favorites:', error);
+    alert('Could not update favorites. Please try again.');
+  }
+}
@@ -1,11 +1,13 @@
 // Hotel Details Page JavaScript
 let currentHotel = null;
 let selectedRoom = null;
+let roomAvailability = {}; // Availability for the selected dates, keyed by room type
 
 document.addEventListener('DOMContentLoaded', async () => {
   initMobileMenu();
   await loadHotelDetails();
   initBookingForm();
+  prefillStayFromSearch();
 
   // Update auth state multiple times to ensure it's loaded
   setTimeout(updateNavbarAuth, 100);
@@ -34,10 +36,19 @@ async function loadHotelDetails() {
   }
 }
 
+// Point the heart next to the hotel name at this hotel
+function initFavoriteButton(hotelId) {
+  const button = document.getElementById('favorite-btn');
+  button.dataset.hotelId = hotelId;
+  button.addEventListener('click', event => toggleFavorite(event, hotelId));
+  refreshFavoriteButtons();
+}
+
 function displayHotelDetails(hotel) {
   const image = hotel.images && hotel.images[0] ? hotel.images[0] : 'https://images.unsplash.com/photo-1566073771259-6a8506099945';
 
   document.getElementById('hotel-name').textContent = hotel.name;
+  initFavoriteButton(hotel._id);
   document.querySelector('.location').innerHTML = `<i class="fas fa-map-marker-alt"></i> ${hotel.location}`;
   document.querySelector('.hotel-description p').textContent = hotel.description || 'Experience luxury and comfort at this beautiful hotel.';
   const mainImage = document.getElementById('main-hotel-image');
@@ -62,7 +73,79 @@ function displayHotelDetails(hotel) {
   const rating = hotel.rating || 4.0;
   const stars = document.querySelector('.stars');
   stars.innerHTML = createStars(rating);
-  document.querySelector('.rating span').textContent = `${rating} (${Math.floor(Math.random() * 100) + 50} reviews)`;
+  document.querySelector('.rating span').textContent = `${rating} (${formatReviewCount(hotel.review_count)})`;
+
+  loadReviews(1);
+}
+
+// Published guest reviews, one page at a time
+async function loadReviews(page) {
+  const list = document.getElementById('reviews-list');
+
+  try {
+    const response = await fetch(`${window.API_BASE_URL || ''}/api/hotels/${currentHotel._id}/reviews?page=${page}`);
+    const data = await response.json();
+
+    if (!data.success) {
+      list.innerHTML = `<p class="error-message">${data.message || 'Failed to load reviews'}</p>`;
+      return;
+    }
+
+    displayReviewSummary(data.summary);
+
+    list.innerHTML = data.reviews.length > 0
+      ? data.reviews.map(review => `
+        <div class="review-item">
+          <div class="review-item-header">
+            <strong>${escapeReviewText(review.reviewer_name)}</strong>
+            <span class="stars">${createStars(review.rating)}</span>
+          </div>
+          <small>${new Date(review.created_at).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+            • Cleanliness ${review.scores.cleanliness} • Location ${review.scores.location} • Service ${review.scores.service}</small>
+          ${review.comment ? `<p>${escapeReviewText(review.comment)}</p>` : ''}
+        </div>
+      `).join('')
+      : '<p>No reviews yet. Guests can review this hotel after their stay.</p>';
+
+    document.getElementById('reviews-pagination').innerHTML = data.pages > 1 ? `
+      <button class="btn-secondary" ${data.page <= 1 ? 'disabled' : ''} onclick="loadReviews(${data.page - 1})">Previous</button>
+      <span>Page ${data.page} of ${data.pages}</span>
+      <button class="btn-secondary" ${data.page >= data.pages ? 'disabled' : ''} onclick="loadReviews(${data.page + 1})">Next</button>
+    ` : '';
+  } catch (error) {
+    console.error('Error loading reviews:', error);
+    list.innerHTML = '<p class="error-message">Failed to load reviews</p>';
+  }
+}
+
+function displayReviewSummary(summary) {
+  const container = document.getElementById('reviews-summary');
+
+  if (!summary.review_count) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const scores = summary.review_scores || {};
+  container.innerHTML = `
+    <div class="reviews-summary">
+      <div>
+        <span class="reviews-score">${summary.rating}</span>
+        <div>${formatReviewCount(summary.review_count)}</div>
+      </div>
+      <div class="reviews-aspects">
+        <div><strong>${scores.cleanliness || '-'}</strong> Cleanliness</div>
+        <div><strong>${scores.location || '-'}</strong> Location</div>
+        <div><strong>${scores.service || '-'}</strong> Service</div>
+      </div>
+    </div>
+  `;
+}
+
+function escapeReviewText(text) {
+  const div = document.createElement('div');
+  div.textContent = text || '';
+  return div.innerHTML;
 }
 
 function displayRoomOptions(rooms) {
@@ -86,6 +169,7 @@ function displayRoomOptions(rooms) {
           <h4>${room.room_type}</h4>
           <p>Capacity: ${room.capacity} guests</p>
           <p class="room-price">₦${room.price_per_night.toLocaleString()}/night</p>
+          ${room.cancellation_policy ? formatCancellationPolicy(room.cancellation_policy) : ''}
         </div>
         <button class="select-room-btn" onclick="selectRoom(${index})">Select</button>
       </div>
@@ -96,9 +180,123 @@ function displayRoomOptions(rooms) {
     } else {
       roomsList.innerHTML = roomCards;
     }
+    updateRoomAvailability();
   }, 400);
 }
 
+function formatCancellationPolicy(policy) {
+  if (policy.non_refundable) {
+    return '<p class="room-policy non-refundable"><i class="fas fa-ban"></i> Non-refundable</p>';
+  }
+
+  const days = policy.free_cancellation_days;
+  const freeWindow = days === 1 ? '1 day' : `${days} days`;
+  const late = policy.penalty_percent >= 100
+    ? 'no refund after that'
+    : `${policy.penalty_percent}% fee after that`;
+
+  return `<p class="room-policy"><i class="fas fa-undo"></i> Free cancellation up to ${freeWindow} before check-in, ${late}</p>`;
+}
+
+// Price of each night when weekend, seasonal or single-date rates apply to the chosen dates
+function formatNightlyRates(nightlyRates) {
+  const nights = nightlyRates.map(night => `
+    <li>
+      <span>${BookingUtils.formatNight(night.date)} · ${night.rate}</span>
+      <span>${BookingUtils.formatCurrency(night.price)}</span>
+    </li>
+  `).join('');
+
+  return `<ul class="room-nightly-rates">${nights}</ul>`;
+}
+
+// Carry dates and guests over from the hotels search
+function prefillStayFromSearch() {
+  const params = new URLSearchParams(window.location.search);
+  const checkin = params.get('checkin');
+  const checkout = params.get('checkout');
+  const today = new Date().toISOString().split('T')[0];
+
+  if (checkin && checkout && checkin >= today && checkout > checkin) {
+    document.getElementById('checkin').value = checkin;
+    document.getElementById('checkout').value = checkout;
+  }
+
+  const guests = document.getElementById('guests');
+  const guestOption = Array.from(guests.options).find(option => option.value === params.get('guests'));
+  if (guestOption) {
+    guests.value = guestOption.value;
+  }
+
+  checkAvailability();
+}
+
+async function checkAvailability() {
+  const checkin = document.getElementById('checkin').value;
+  const checkout = document.getElementById('checkout').value;
+  const guests = document.getElementById('guests').value;
+
+  if (!currentHotel || !checkin || !checkout || checkout <= checkin) {
+    return;
+  }
+
+  try {
+    const query = new URLSearchParams({ checkin, checkout, guests });
+    const response = await fetch(`${window.API_BASE_URL || ''}/api/hotels/${currentHotel._id}/availability?${query}`);
+    const data = await response.json();
+
+    if (data.success) {
+      roomAvailability = {};
+      data.rooms.forEach(room => {
+        roomAvailability[room.room_type] = room;
+      });
+      updateRoomAvailability();
+    }
+  } catch (error) {
+    console.error('Error checking availability:', error);
+  }
+}
+
+function updateRoomAvailability() {
+  document.querySelectorAll('.room-option').forEach(option => {
+    const room = currentHotel.rooms[option.dataset.roomIndex];
+    const availability = roomAvailability[room.room_type];
+    const soldOut = Boolean(availability) && availability.units_available === 0;
+    const button = option.querySelector('.select-room-btn');
+
+    option.classList.toggle('sold-out', soldOut);
+    button.disabled = soldOut;
+    button.textContent = soldOut ? 'Sold Out' : 'Select';
+
+    const unitsLeft = option.querySelector('.room-units-left');
+    if (unitsLeft) {
+      unitsLeft.remove();
+    }
+    if (availability && availability.units_available > 0 && availability.units_available <= 2) {
+      option.querySelector('.room-info').insertAdjacentHTML('beforeend',
+        `<p class="room-units-left">Only ${availability.units_available} left for these dates</p>`);
+    }
+
+    const nightlyRates = option.querySelector('.room-nightly-rates');
+    if (nightlyRates) {
+      nightlyRates.remove();
+    }
+    if (availability && BookingUtils.ratesVary(availability.nightly_rates)) {
+      option.querySelector('.room-info').insertAdjacentHTML('beforeend', formatNightlyRates(availability.nightly_rates));
+    }
+  });
+
+  // Drop a selection that is no longer bookable for the chosen dates
+  if (selectedRoom && roomAvailability[selectedRoom.room_type] &&
+      roomAvailability[selectedRoom.room_type].units_available === 0) {
+    selectedRoom = null;
+    document.querySelectorAll('.room-option').forEach(option => option.classList.remove('selected'));
+    const bookBtn = document.getElementById('book-now-btn');
+    bookBtn.disabled = true;
+    bookBtn.textContent = 'Select Room First';
+  }
+}
+
 function selectRoom(roomIndex) {
   selectedRoom = currentHotel.rooms[roomIndex];
 
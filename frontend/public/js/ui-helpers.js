@@ -37,6 +37,13 @@ function createStars(rating) {
   return stars;
 }
 
+function formatReviewCount(count) {
+  if (!count) {
+    return 'No reviews yet';
+  }
+  return `${count} review${count === 1 ? '' : 's'}`;
+}
+
 function initMobileMenu() {
   createMobileSidebar();
   document.getElementById('mobile-menu').addEventListener('click', openSidebar);
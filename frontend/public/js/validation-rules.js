@@ -0,0 +1,434 @@
+// Validation Rules - request schemas shared by the browser and the API
+//
+// The API checks request bodies against these schemas (backend/middleware/validate.js)
+// and the booking pages run the same checks before sending, so both sides agree on
+// what a valid booking, guest or account looks like.
+//
+// A schema maps field names to rules:
+//   type        'string' | 'number' | 'integer' | 'boolean' | 'date' (YYYY-MM-DD) | 'object' | 'array'
+//   required    Field must be present and not blank
+//   minLength / maxLength   String length, after trimming
+//   min / max   Numeric bounds, or YYYY-MM-DD bounds for dates
+//   maxItems    Longest list allowed for an 'array'
+//   format      'email' | 'phone' | 'objectId' | 'monthDay' (MM-DD) | 'promoCode'
+//   enum        Allowed values
+//   notPast / notFuture     Dates relative to today
+//   after       Date must be later than another field's date
+//   maxNights   With `after`, most days allowed between the two dates
+//   maxDaysAhead            Date at most this many days from today
+//   schema      Rules for the properties of an 'object' field
+//   items       Rule every entry of an 'array' field must pass
+//   label       Name used in messages (defaults to the field name in words)
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ValidationRules = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  const FORMATS = {
+    email: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: () => 'Please enter a valid email address' },
+    phone: { pattern: /^\+?[0-9\s()-]{7,20}$/, message: () => 'Please enter a valid phone number' },
+    objectId: { pattern: /^[a-f0-9]{24}$/i, message: label => `${label} is not valid` },
+    monthDay: { pattern: /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/, message: label => `${label} must be a month and day (MM-DD)` },
+    promoCode: { pattern: /^[A-Za-z0-9_-]{3,40}$/, message: label => `${label} must be 3 to 40 letters, numbers, dashes or underscores` }
+  };
+
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Shared field rules
+  const EMAIL = { type: 'string', required: true, format: 'email', maxLength: 254, label: 'Email' };
+  const PASSWORD = { type: 'string', required: true, minLength: 6, maxLength: 128, label: 'Password' };
+  const PHONE = { type: 'string', format: 'phone', label: 'Phone number' };
+  const PERSON_NAME = { type: 'string', required: true, maxLength: 50 };
+
+  const GUEST_DETAILS = {
+    firstName: { ...PERSON_NAME, label: 'First name' },
+    lastName: { ...PERSON_NAME, label: 'Last name' },
+    email: EMAIL,
+    phone: { ...PHONE, required: true },
+    requests: { type: 'string', maxLength: 500, label: 'Special requests' }
+  };
+
+  const STAY = {
+    checkin: { type: 'date', required: true, notPast: true, maxDaysAhead: 365, label: 'Check-in date' },
+    checkout: { type: 'date', required: true, after: 'checkin', maxNights: 30, label: 'Check-out date' },
+    guests: { type: 'integer', required: true, min: 1, max: 20, label: 'Guests' }
+  };
+
+  const BOOKING = {
+    hotelId: { type: 'string', required: true, maxLength: 100, label: 'Hotel' },
+    hotelName: { type: 'string', required: true, maxLength: 200, label: 'Hotel name' },
+    ...STAY,
+    roomType: { type: 'string', required: true, maxLength: 100, label: 'Room type' },
+    pricePerNight: { type: 'number', required: true, min: 0, label: 'Price per night' }
+  };
+
+  const PROMO_CODE = { type: 'string', maxLength: 40, label: 'Promo code' };
+
+  const STARS = { type: 'integer', required: true, min: 1, max: 5 };
+
+  // Catalog entries edited in the back office; MongoDB keeps its own copy of these
+  // rules as the collection validator (backend/config/schemas.js)
+  const PRICE = { type: 'number', min: 0 };
+
+  const SEASONAL_RATE = {
+    name: { type: 'string', required: true, maxLength: 100, label: 'Season name' },
+    from: { type: 'string', required: true, format: 'monthDay', label: 'Season start' },
+    to: { type: 'string', required: true, format: 'monthDay', label: 'Season end' },
+    price_per_night: { ...PRICE, required: true, label: 'Seasonal price per night' },
+    weekend_price_per_night: { ...PRICE, label: 'Seasonal weekend price per night' }
+  };
+
+  const DATE_RATE = {
+    date: { type: 'date', required: true, label: 'Rate date' },
+    price_per_night: { ...PRICE, required: true, label: 'Date price per night' }
+  };
+
+  const ROOM = {
+    room_type: { type: 'string', required: true, maxLength: 100, label: 'Room type' },
+    price_per_night: { ...PRICE, required: true, label: 'Price per night' },
+    weekend_price_per_night: { ...PRICE, label: 'Weekend price per night' },
+    seasonal_rates: { type: 'array', maxItems: 50, items: { type: 'object', required: true, label: 'Seasonal rate', schema: SEASONAL_RATE } },
+    date_rates: { type: 'array', maxItems: 400, items: { type: 'object', required: true, label: 'Date rate', schema: DATE_RATE } },
+    capacity: { type: 'integer', required: true, min: 1, max: 20, label: 'Capacity' },
+    units: { type: 'integer', min: 0, max: 10000, label: 'Units' },
+    available: { type: 'boolean', label: 'Available' },
+    non_refundable: { type: 'boolean', label: 'Non-refundable' }
+  };
+
+  const HOTEL = {
+    _id: { type: 'string', maxLength: 100, label: 'Hotel ID' },
+    name: { type: 'string', required: true, maxLength: 200, label: 'Hotel name' },
+    location: { type: 'string', required: true, maxLength: 200, label: 'Location' },
+    description: { type: 'string', maxLength: 5000, label: 'Description' },
+    // Same list as PROPERTY_TYPES in backend/config/constants.js
+    property_type: { type: 'string', enum: ['hotel', 'apartment', 'resort'], label: 'Property type' },
+    rooms: { type: 'array', maxItems: 50, items: { type: 'object', required: true, label: 'Room', schema: ROOM } },
+    amenities: { type: 'array', maxItems: 100, items: { type: 'string', required: true, maxLength: 100, label: 'Amenity' } },
+    images: { type: 'array', maxItems: 50, items: { type: 'string', required: true, maxLength: 1000, label: 'Image' } },
+    cancellation_policy: {
+      type: 'object',
+      label: 'Cancellation policy',
+      schema: {
+        free_cancellation_days: { type: 'integer', min: 0, max: 365, label: 'Free cancellation days' },
+        penalty_percent: { type: 'number', min: 0, max: 100, label: 'Penalty percent' },
+        non_refundable: { type: 'boolean', label: 'Non-refundable' }
+      }
+    }
+  };
+
+  // Promo codes created in the back office; `code` is stored in upper case
+  const PROMO = {
+    code: { ...PROMO_CODE, required: true, format: 'promoCode' },
+    description: { type: 'string', maxLength: 500, label: 'Description' },
+    discount_type: { type: 'string', required: true, enum: ['percent', 'fixed'], label: 'Discount type' },
+    discount_value: { ...PRICE, required: true, label: 'Discount value' },
+    starts_at: { type: 'date', label: 'Start date' },
+    expires_at: { type: 'date', notPast: true, label: 'Expiry date' },
+    min_spend: { ...PRICE, label: 'Minimum spend' },
+    hotel_ids: { type: 'array', maxItems: 500, items: { type: 'string', required: true, maxLength: 100, label: 'Hotel' } },
+    max_redemptions: { type: 'integer', min: 1, label: 'Maximum uses' },
+    max_redemptions_per_user: { type: 'integer', min: 1, label: 'Maximum uses per guest' }
+  };
+
+  const OBJECT_ID = { type: 'string', required: true, format: 'objectId' };
+
+  const SCHEMAS = {
+    stayDates: {
+      checkin: STAY.checkin,
+      checkout: STAY.checkout
+    },
+    register: {
+      name: { type: 'string', required: true, minLength: 2, maxLength: 100, label: 'Full name' },
+      email: EMAIL,
+      password: PASSWORD,
+      phone: PHONE
+    },
+    login: {
+      email: { type: 'string', required: true, maxLength: 254, label: 'Email' },
+      password: { type: 'string', required: true, maxLength: 128, label: 'Password' }
+    },
+    passwordForgot: {
+      email: EMAIL
+    },
+    passwordReset: {
+      token: { type: 'string', required: true, maxLength: 128, label: 'Reset link' },
+      password: PASSWORD
+    },
+    passwordChange: {
+      current_password: { type: 'string', required: true, maxLength: 128, label: 'Current password' },
+      new_password: { ...PASSWORD, label: 'New password' }
+    },
+    profile: {
+      first_name: { ...PERSON_NAME, label: 'First name' },
+      last_name: { type: 'string', maxLength: 50, label: 'Last name' },
+      email: EMAIL,
+      phone: PHONE,
+      date_of_birth: { type: 'date', notFuture: true, min: '1900-01-01', label: 'Date of birth' }
+    },
+    contact: {
+      name: { type: 'string', required: true, maxLength: 100, label: 'Name' },
+      email: EMAIL,
+      subject: { type: 'string', required: true, maxLength: 150, label: 'Subject' },
+      message: { type: 'string', required: true, minLength: 10, maxLength: 5000, label: 'Message' }
+    },
+    guestDetails: GUEST_DETAILS,
+    booking: BOOKING,
+    paymentInitialize: {
+      email: EMAIL,
+      amount: { type: 'number', required: true, min: 1, label: 'Amount' },
+      hotelId: BOOKING.hotelId,
+      bookingData: {
+        type: 'object',
+        required: true,
+        label: 'Booking details',
+        schema: {
+          ...BOOKING,
+          guestDetails: { type: 'object', required: true, label: 'Guest details', schema: GUEST_DETAILS },
+          promoCode: PROMO_CODE
+        }
+      }
+    },
+    promoValidate: {
+      code: { ...PROMO_CODE, required: true },
+      hotelId: BOOKING.hotelId,
+      roomType: BOOKING.roomType,
+      ...STAY
+    },
+    availability: {
+      ...STAY,
+      guests: { ...STAY.guests, required: false }
+    },
+    quote: {
+      room_type: BOOKING.roomType,
+      ...STAY,
+      guests: { ...STAY.guests, required: false }
+    },
+    bookingChange: {
+      checkin: { ...STAY.checkin, required: false },
+      checkout: { ...STAY.checkout, required: false },
+      guests: { ...STAY.guests, required: false },
+      room_type: { type: 'string', maxLength: 100, label: 'Room type' }
+    },
+    review: {
+      booking_id: { ...OBJECT_ID, label: 'Booking' },
+      rating: { ...STARS, label: 'Overall rating' },
+      scores: {
+        type: 'object',
+        required: true,
+        label: 'Scores',
+        schema: {
+          cleanliness: { ...STARS, label: 'Cleanliness' },
+          location: { ...STARS, label: 'Location' },
+          service: { ...STARS, label: 'Service' }
+        }
+      },
+      comment: { type: 'string', maxLength: 2000, label: 'Review' }
+    },
+    favorite: {
+      hotel_id: { type: 'string', required: true, maxLength: 100, label: 'Hotel' }
+    },
+    favoriteHotelId: {
+      hotelId: { type: 'string', required: true, maxLength: 100, label: 'Hotel' }
+    },
+    bookingId: {
+      id: { ...OBJECT_ID, label: 'Booking ID' }
+    },
+    recordId: {
+      id: { ...OBJECT_ID, label: 'ID' }
+    },
+    hotel: HOTEL,
+    room: ROOM,
+    bookingStatusChange: {
+      status: { type: 'string', required: true, enum: ['completed', 'no_show'], label: 'Status' }
+    },
+    contactStatusChange: {
+      status: { type: 'string', required: true, enum: ['unread', 'read', 'replied'], label: 'Status' }
+    },
+    reviewModeration: {
+      status: { type: 'string', required: true, enum: ['approved', 'rejected'], label: 'Status' }
+    },
+    promoCode: PROMO,
+    promoCodeStatusChange: {
+      active: { type: 'boolean', required: true, label: 'Active' }
+    }
+  };
+
+  function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+  }
+
+  // "first_name" / "firstName" -> "First name"
+  function defaultLabel(field) {
+    const words = field.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  // UTC calendar date, YYYY-MM-DD, so the browser and the API agree on what today is
+  function today(offsetDays = 0) {
+    return new Date(Date.now() + offsetDays * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  function isCalendarDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+      return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+  }
+
+  function daysBetween(from, to) {
+    return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+  }
+
+  // First problem with a single present value, or null
+  function checkField(rule, value, label, data, schema) {
+    switch (rule.type) {
+      case 'string': {
+        if (typeof value !== 'string') {
+          return `${label} must be text`;
+        }
+        const text = value.trim();
+        if (rule.minLength && text.length < rule.minLength) {
+          return `${label} must be at least ${rule.minLength} characters`;
+        }
+        if (rule.maxLength && text.length > rule.maxLength) {
+          return `${label} must be at most ${rule.maxLength} characters`;
+        }
+        if (rule.format && !FORMATS[rule.format].pattern.test(text)) {
+          return FORMATS[rule.format].message(label);
+        }
+        break;
+      }
+
+      case 'number':
+      case 'integer': {
+        // Form posts and query strings send numbers as text
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+          return `${label} must be a number`;
+        }
+        if (rule.type === 'integer' && !Number.isInteger(number)) {
+          return `${label} must be a whole number`;
+        }
+        if (rule.min !== undefined && number < rule.min) {
+          return `${label} must be at least ${rule.min}`;
+        }
+        if (rule.max !== undefined && number > rule.max) {
+          return `${label} must be at most ${rule.max}`;
+        }
+        break;
+      }
+
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          return `${label} must be true or false`;
+        }
+        break;
+
+      case 'date': {
+        if (!isCalendarDate(value)) {
+          return `${label} must be a valid date (YYYY-MM-DD)`;
+        }
+        if (rule.notPast && value < today()) {
+          return `${label} cannot be in the past`;
+        }
+        if (rule.notFuture && value > today()) {
+          return `${label} cannot be in the future`;
+        }
+        if (rule.min && value < rule.min) {
+          return `${label} must be on or after ${rule.min}`;
+        }
+        if (rule.max && value > rule.max) {
+          return `${label} must be on or before ${rule.max}`;
+        }
+        if (rule.maxDaysAhead && value > today(rule.maxDaysAhead)) {
+          return `${label} can be at most ${rule.maxDaysAhead} days from today`;
+        }
+
+        // Compared only when the other date is itself valid
+        const other = rule.after ? data[rule.after] : undefined;
+        if (rule.after && isCalendarDate(other)) {
+          const otherLabel = schema[rule.after].label || defaultLabel(rule.after);
+          if (value <= other) {
+            return `${label} must be after ${otherLabel.charAt(0).toLowerCase()}${otherLabel.slice(1)}`;
+          }
+          if (rule.maxNights && daysBetween(other, value) > rule.maxNights) {
+            return `Stays can be at most ${rule.maxNights} nights`;
+          }
+        }
+        break;
+      }
+
+      case 'object':
+        if (typeof value !== 'object' || Array.isArray(value)) {
+          return `${label} is not valid`;
+        }
+        break;
+
+      case 'array':
+        if (!Array.isArray(value)) {
+          return `${label} must be a list`;
+        }
+        if (rule.maxItems && value.length > rule.maxItems) {
+          return `${label} can have at most ${rule.maxItems} entries`;
+        }
+        break;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      return `${label} must be one of: ${rule.enum.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check data against a schema
+   * @param {Object} schema - Field rules, e.g. SCHEMAS.booking
+   * @param {Object} data - Values to check
+   * @param {string} prefix - Path of the parent object, for nested fields
+   * @returns {Object[]} - { field, message } for every invalid field; empty when valid
+   */
+  function validate(schema, data, prefix = '') {
+    const values = data && typeof data === 'object' ? data : {};
+    const errors = [];
+
+    Object.keys(schema).forEach(field => {
+      const rule = schema[field];
+      const value = values[field];
+      const path = `${prefix}${field}`;
+      const label = rule.label || defaultLabel(field);
+
+      if (isBlank(value)) {
+        if (rule.required) {
+          errors.push({ field: path, message: `${label} is required` });
+        }
+        return;
+      }
+
+      const message = checkField(rule, value, label, values, schema);
+      if (message) {
+        errors.push({ field: path, message });
+      } else if (rule.type === 'object' && rule.schema) {
+        errors.push(...validate(rule.schema, value, `${path}.`));
+      } else if (rule.type === 'array' && rule.items) {
+        // Entries are checked as fields named by their index, e.g. rooms.0.room_type
+        value.forEach((item, index) => {
+          const itemLabel = `${rule.items.label || label} ${index + 1}`;
+          errors.push(...validate({ [index]: { ...rule.items, label: itemLabel } }, value, `${path}.`));
+        });
+      }
+    });
+
+    return errors;
+  }
+
+  return {
+    SCHEMAS,
+    FORMATS,
+    validate
+  };
+}));
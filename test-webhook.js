@@ -0,0 +1,155 @@
+// Test script for the Paystack webhook endpoint
+// Acts as a local Paystack stand-in: events are signed with HMAC-SHA512 over
+// the raw body using PAYSTACK_SECRET_KEY, exactly like Paystack does, and
+// delivered to the running server. The events point at a booking that does not
+// exist, and the payments the server records for them are deleted afterwards.
+require('dotenv').config();
+const http = require('http');
+const crypto = require('crypto');
+const { MongoClient, ObjectId } = require('mongodb');
+const { COLLECTIONS, MONGODB_URI } = require('./backend/config/constants');
+
+const SECRET = process.env.PAYSTACK_SECRET_KEY;
+const PORT = process.env.PORT || 3000;
+
+async function testWebhook() {
+  console.log('🧪 Testing Paystack Webhook...\n');
+
+  if (!SECRET) {
+    console.log('❌ PAYSTACK_SECRET_KEY is not set; cannot sign test events');
+    return;
+  }
+
+  const reference = `TEST-${Date.now()}`;
+  const bookingId = new ObjectId();
+  const charge = {
+    event: 'charge.success',
+    data: {
+      reference,
+      amount: 4725000,
+      currency: 'NGN',
+      status: 'success',
+      channel: 'card',
+      paid_at: new Date().toISOString(),
+      metadata: {
+        hotel_id: 'hotel1',
+        user_id: new ObjectId().toString(),
+        booking_id: bookingId.toString()
+      }
+    }
+  };
+
+  const tests = [
+    { name: 'Unsigned event is rejected', body: charge, sign: false, expect: 401 },
+    { name: 'Tampered event is rejected', body: charge, sign: true, tamper: true, expect: 401 },
+    { name: 'Signed charge.success is accepted', body: charge, sign: true, expect: 200 },
+    { name: 'Replayed charge.success is accepted', body: charge, sign: true, expect: 200 },
+    {
+      name: 'Signed charge.failed is accepted',
+      body: { event: 'charge.failed', data: { ...charge.data, reference: `${reference}-F`, status: 'failed' } },
+      sign: true,
+      expect: 200
+    },
+    {
+      name: 'Signed refund.processed is accepted',
+      body: { event: 'refund.processed', data: { id: 1, transaction_reference: reference, amount: 4725000, status: 'processed' } },
+      sign: true,
+      expect: 200
+    },
+    { name: 'Unknown event is acknowledged', body: { event: 'transfer.success', data: {} }, sign: true, expect: 200 }
+  ];
+
+  let passed = 0;
+
+  for (let i = 0; i < tests.length; i++) {
+    const test = tests[i];
+    console.log(`${i + 1}. ${test.name}...`);
+
+    try {
+      const payload = JSON.stringify(test.body);
+      const headers = {};
+      if (test.sign) {
+        headers['x-paystack-signature'] = sign(payload);
+      }
+
+      // Change the body after signing to simulate a forged event
+      const sent = test.tamper ? payload.replace('4725000', '100') : payload;
+      const response = await postWebhook(sent, headers);
+
+      if (response.statusCode === test.expect) {
+        console.log(`✅ HTTP ${response.statusCode}`, response.body);
+        passed++;
+      } else {
+        console.log(`❌ Expected HTTP ${test.expect}, got ${response.statusCode}`, response.body);
+      }
+    } catch (error) {
+      console.log(`❌ ${test.name} failed:`, error.message);
+    }
+
+    if (i < tests.length - 1) console.log('');
+  }
+
+  console.log(`\n🎯 ${passed}/${tests.length} webhook checks passed.`);
+
+  await cleanUp([reference, `${reference}-F`], bookingId);
+}
+
+// Delete whatever the server recorded for the test events
+async function cleanUp(references, bookingId) {
+  if (!MONGODB_URI) {
+    console.log(`⚠️  MONGODB_URI is not set; delete payments ${references.join(', ')} by hand`);
+    return;
+  }
+
+  const client = new MongoClient(MONGODB_URI);
+  try {
+    await client.connect();
+    const db = client.db('fagos_booking');
+
+    const payments = await db.collection(COLLECTIONS.PAYMENTS).deleteMany({ transaction_reference: { $in: references } });
+    await db.collection(COLLECTIONS.BOOKINGS).deleteMany({ _id: bookingId });
+    await db.collection(COLLECTIONS.NOTIFICATIONS).deleteMany({ booking_id: bookingId });
+
+    console.log(`🧹 Removed ${payments.deletedCount} test payment(s)`);
+  } catch (error) {
+    console.log(`❌ Cleanup failed; delete payments ${references.join(', ')} by hand:`, error.message);
+  } finally {
+    await client.close();
+  }
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha512', SECRET).update(payload).digest('hex');
+}
+
+function postWebhook(payload, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: 'localhost',
+      port: PORT,
+      path: '/api/payment/webhook',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers
+      }
+    }, (res) => {
+      let responseData = '';
+      res.on('data', chunk => responseData += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ statusCode: res.statusCode, body: JSON.parse(responseData) });
+        } catch {
+          resolve({ statusCode: res.statusCode, body: responseData });
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+testWebhook().catch(console.error);